@@ -0,0 +1,208 @@
+// Governance MPL agents - players that drive the engine through commands
+// Loaded by index.html (window.GovAgents, "Watch Agent" in the footer) and by Node
+// (require("./agents.js"); the harness plays them headlessly).
+//
+// Agent: { name, description, decide(state) -> commands }
+// - state is a read-only snapshot of the day's start (deep-frozen; see snapshot())
+// - commands are ordinary engine commands for that day: workforce/preset splits,
+//   actions, policies, builds, trades and { type: "resolveEvent", option } for state.activeEvent
+// - the same agent plays the browser game (one decide() per day before End Day)
+//   and the headless loop (playDay(); harness.js builds on it)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+  else root.GovAgents = factory(root.GovEngine);
+})(typeof globalThis !== "undefined" ? globalThis : this, function (Engine) {
+  "use strict";
+
+  // -------------------------------
+  // Agent loop
+  // -------------------------------
+  function deepFreeze(obj) {
+    for (const v of Object.values(obj)) if (v && typeof v === "object") deepFreeze(v);
+    return Object.freeze(obj);
+  }
+
+  // Read-only copy handed to decide(): an agent cannot touch the live game.
+  function snapshot(state) {
+    return deepFreeze(Engine.clone(state));
+  }
+
+  function decide(agent, state) {
+    return agent.decide(snapshot(state)) || [];
+  }
+
+  // One headless day: ask the agent, then step. Returns step()'s result plus the commands.
+  function playDay(agent, state) {
+    const commands = decide(agent, state);
+    return { commands, ...Engine.step(state, commands) };
+  }
+
+  // -------------------------------
+  // Helpers for agents
+  // -------------------------------
+  // First option the state allows; the last option is always the "refuse" fallback.
+  function firstEnabledOption(s) {
+    const ev = Engine.describeEvent(s);
+    if (!ev) return null;
+    const idx = ev.options.findIndex((o) => o.enabled);
+    return idx >= 0 ? { type: "resolveEvent", option: idx } : null;
+  }
+
+  function withEvent(s, cmds) {
+    const pick = firstEnabledOption(s);
+    return pick ? [pick, ...cmds] : cmds;
+  }
+
+  // Season or weather yields nothing today, however many farm.
+  function noHarvest(s) {
+    return Engine.foodPerDay({ ...s, workersFood: 1 }) === 0;
+  }
+
+  // Food to hold before relaxing: a few days per head, or what the coming winter needs.
+  function foodReserve(s) {
+    return Math.max(s.pop * Engine.cfg(s).STARVATION_RISK_FOOD_RATIO * 2, Engine.foodReserveNeeded(s));
+  }
+
+  // -------------------------------
+  // Lookahead (flat Monte Carlo)
+  // -------------------------------
+  // Every candidate plan is played ROLLOUTS times for HORIZON days on a copy of
+  // the state, each rollout with its own reseeded random stream, so the agent
+  // samples possible futures instead of reading the real one.
+  const LOOKAHEAD = {
+    HORIZON: 12,
+    ROLLOUTS: 3,
+    ROLLOUT_AGENT: "foodFirst", // plays the days after the first one
+  };
+
+  // End-of-rollout value. Stored food counts up to what the coming days need
+  // (the engine's winter look-ahead), so hoarding past that earns nothing.
+  function score(s) {
+    if (s.gameOver && !s.outcome.win) return -10000 + s.day * 10;
+    const food = Math.min(s.food, Math.max(s.pop * 6, Engine.foodReserveNeeded(s)));
+    return s.pop * 10 + s.stability * 2 + food + s.wood * 0.2 + s.tools * 0.2 + (s.buildings.farm || 0) * 15;
+  }
+
+  // Copy for simulation, on its own random stream.
+  function simState(s, rollout) {
+    const sim = Engine.clone(s);
+    sim.seed = (s.seed ^ Math.imul(rollout + 1, 0x9e3779b9)) >>> 0;
+    return sim;
+  }
+
+  // Average end score of `first` commands today, then the rollout agent's play.
+  function evaluate(s, first) {
+    let total = 0;
+    for (let r = 0; r < LOOKAHEAD.ROLLOUTS; r++) {
+      let sim = simState(s, r);
+      sim = Engine.step(sim, first).state;
+      for (let d = 1; d < LOOKAHEAD.HORIZON && !sim.gameOver; d++) {
+        sim = Engine.step(sim, AGENTS[LOOKAHEAD.ROLLOUT_AGENT].decide(sim)).state;
+      }
+      total += score(sim);
+    }
+    return total / LOOKAHEAD.ROLLOUTS;
+  }
+
+  function bestBy(candidates, value) {
+    let best = candidates[0];
+    let bestValue = -Infinity;
+    for (const c of candidates) {
+      const v = value(c);
+      if (v > bestValue) {
+        best = c;
+        bestValue = v;
+      }
+    }
+    return best;
+  }
+
+  function lookahead(s) {
+    const presets = Object.keys(Engine.cfg(s).PRESETS);
+    const ev = Engine.describeEvent(s);
+    const options = ev ? ev.options.map((o, i) => (o.enabled ? i : -1)).filter((i) => i >= 0) : [];
+    const eventCmd = (i) => (i === undefined ? [] : [{ type: "resolveEvent", option: i }]);
+
+    // 1) the split, 2) the event option under it, 3) whether to build something affordable.
+    const preset = bestBy(presets, (p) => evaluate(s, [...eventCmd(options[0]), { type: "preset", name: p }]));
+    const base = [{ type: "preset", name: preset }];
+    const option = options.length > 1 ? bestBy(options, (i) => evaluate(s, [...eventCmd(i), ...base])) : options[0];
+    const today = [...eventCmd(option), ...base];
+
+    const builds = Object.keys(Engine.cfg(s).BUILDINGS).filter((type) => Engine.canBuild(s, type));
+    const plans = [today, ...builds.map((type) => [...today, { type: "build", building: type }])];
+    return bestBy(plans, (plan) => evaluate(s, plan));
+  }
+
+  // -------------------------------
+  // Reference agents
+  // -------------------------------
+  const MERCHANT_KEEP_WOOD = 10; // never sells the last few logs
+
+  const AGENTS = {
+    balanced: {
+      name: "Balanced",
+      description: "Re-applies the balanced preset every day (tracks population changes).",
+      decide: (s) => withEvent(s, [{ type: "preset", name: "balanced" }]),
+    },
+
+    greedyFood: {
+      name: "Greedy Food",
+      description: "Everyone farms, always; rations while hungry.",
+      decide: (s) => {
+        const cmds = [{ type: "preset", name: "maxFood" }];
+        if (s.starveDays > 0 && Engine.canEnact(s, "ration")) cmds.push({ type: "enact", policy: "ration" });
+        return withEvent(s, cmds);
+      },
+    },
+
+    survivalThenFarms: {
+      name: "Survival + Farms",
+      description: "Survival split; spends wood on farms as soon as it allows one.",
+      decide: (s) => {
+        const cmds = [{ type: "preset", name: "survival" }];
+        if (Engine.actionAvailable(s, "buildFarm")) cmds.push({ type: "action", name: "buildFarm" });
+        return withEvent(s, cmds);
+      },
+    },
+
+    foodFirst: {
+      name: "Food First",
+      description: "Max food while stores are thin or will not last the coming winter, balanced once comfortable.",
+      decide: (s) => {
+        const comfortable = s.food > foodReserve(s);
+        const cmds = [{ type: "preset", name: comfortable ? "balanced" : "maxFood" }];
+        if (s.starveDays > 0 && Engine.canEnact(s, "ration")) cmds.push({ type: "enact", policy: "ration" });
+        return withEvent(s, cmds);
+      },
+    },
+
+    merchant: {
+      name: "Merchant",
+      description: "Food First while crops grow; with no harvest it cuts wood and buys food with it.",
+      decide: (s) => {
+        if (!noHarvest(s)) return AGENTS.foodFirst.decide(s);
+        const cmds = [{ type: "preset", name: "maxWood" }];
+        const spare = Math.floor(s.wood - MERCHANT_KEEP_WOOD);
+        if (s.food < foodReserve(s) && spare > 0) cmds.push({ type: "trade", give: "wood", get: "food", amount: spare });
+        return withEvent(s, cmds);
+      },
+    },
+
+    lookahead: {
+      name: "Lookahead",
+      description: `Simulates every preset, event option and affordable build ${LOOKAHEAD.HORIZON} days ahead on sampled futures.`,
+      decide: lookahead,
+    },
+  };
+
+  return {
+    AGENTS,
+    LOOKAHEAD,
+    snapshot,
+    decide,
+    playDay,
+    firstEnabledOption,
+  };
+});
@@ -0,0 +1,4114 @@
+// Governance MPL engine - headless simulation rules (no DOM, no timers)
+// Loaded by index.html (window.GovEngine) and by Node (require("./engine.js")).
+//
+// API:
+// - createGame(config, seed, scenario, start?) -> state  plain JSON data; config holds CONFIG overrides,
+//                                                        start state fields over the scenario's
+// - step(state, commands)   -> { state, logEntries, events, row }  apply commands, then advance one day
+// - dispatch(state, command) -> { state, logEntries, events }  apply one command, no time passes
+// - replay(recording)        -> frames                         rebuild a recorded run day by day
+// - historyToCsv(history)    -> string                         history rows, one line per day
+//
+// History: step() returns the finished day's row (null once the run was over) and the
+// caller appends it to its own list. It stays out of the state, so clones do not grow.
+// - project(state, days, cmd) -> projection                    what-if for an allocation (no rolls)
+// - shipOut / shipIn / imposeWeather / scheduleEvent(state, ...) -> { state, logEntries, events }
+//                                                               what a region (region.js) does to a town
+//
+// Food: state.food is all stored food, state.preserved the part of it that cannot spoil.
+// Losses of any kind take perishable food first; stores above foodStorage() go to waste.
+//
+// Calendar: SEASONS of SEASON_LENGTH_DAYS scale food output and consumption; WEATHER
+// spells are rolled FORECAST_DAYS ahead into state.forecast, so forecasts never lie.
+//
+// Shelter: popCap() caps births and arrivals. People beyond it are homeless: they drain
+// stability, catch disease and die of cold (SEASONS exposure). Houses without upkeep
+// decay (decayDays) instead of standing idle.
+//
+// Health: hunger, crowding and winter wear state.health down; below OUTBREAK_HEALTH_BELOW
+// outbreaks start, spread among the healthy, keep the sick from work and kill some of them.
+//
+// Raids: raiders are sighted RAID_WARNING_DAYS before they strike (state.raid), with a
+// strength fixed by the day and the stores they can see; guards, palisades, tools and
+// stability make up defensePower(). Tribute (an event effect) calls them off.
+//
+// Skills: each job pool in state.skills gains experience while staffed and produces more
+// with it; workers moved into a job work at RETRAIN_EFFICIENCY for RETRAIN_DAYS.
+//
+// Factions: stability is the FACTIONS' approvals averaged by size; policies and event
+// options can please or anger single factions, and an unhappy one raises its demand.
+//
+// Treasury: coins come from a tax on workers (state.taxRate) and pay hired hands,
+// bribes, market buys and event ransoms. Every change of coins is booked on a
+// state.ledger line for the day; step() closes the day into state.lastLedger.
+//
+// Research: finished TECHS push modifiers onto a stack that cfg() applies over the
+// game's CONFIG, so constants are never mutated and a save only lists what is known.
+//
+// Inputs are never mutated: every call works on a clone and returns new state.
+// Commands:
+//   { type: "workforce", food?, wood?, tools?, herbs?, guards? }  set worker counts (a single key gets priority)
+//   { type: "preset", name }                      CONFIG.PRESETS split
+//   { type: "action", name }                      buildFarm | burnSupplies
+//   { type: "enact" | "revoke", policy }          CONFIG.POLICIES key
+//   { type: "resolveEvent", option }              pick an option of state.activeEvent
+//   { type: "build" | "demolish", building }      CONFIG.BUILDINGS key
+//   { type: "governor", enabled?, rules? }        toggle / replace auto-governor rules
+//   { type: "research", tech } | { type: "cancelResearch" }   CONFIG.TECHS key
+//   { type: "trade", give, get, amount }          barter `amount` of give at today's prices (coins too)
+//   { type: "tax", rate } | { type: "hire", count } set the tax rate / hired hands on the payroll
+//   { type: "bribe", faction }                    CONFIG.FACTIONS key: buy its approval with coins
+//   { type: "endDay" }                            recordings only: marks a step() boundary
+// Events (returned alongside log entries):
+//   eventStarted { key, scheduled }, eventResolved { key, option }, caravanArrived { key },
+//   outbreakStarted { sick }, raidSighted { strength, inDays }, raid { repelled, strength, defense },
+//   gameOver { win, cause, reason, objective }
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.GovEngine = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  "use strict";
+
+  // -------------------------------
+  // Constants (tune here)
+  // -------------------------------
+  // Defaults only. A game carries its own overrides in state.config (see cfg()).
+  const DEFAULT_CONFIG = {
+    // Workforce production
+    FOOD_PER_WORKER: 1.15, // tuned for an adults-only workforce
+    WOOD_PER_WORKER: 0.8,
+    TOOLS_PER_WORKER: 0.35,
+
+    // Skills (SKILLED_JOBS): a staffed pool closes EXPERIENCE_GAIN of its gap to full
+    // experience per day and an empty one loses EXPERIENCE_DECAY; full experience adds
+    // EXPERIENCE_BONUS to output. Workers new to a job produce at RETRAIN_EFFICIENCY.
+    EXPERIENCE_GAIN: 0.03,
+    EXPERIENCE_DECAY: 0.02,
+    EXPERIENCE_BONUS: 0.15,
+    RETRAIN_DAYS: 3,
+    RETRAIN_EFFICIENCY: 0.5,
+
+    // Buildings (see BUILDING_EFFECTS for what effects mean)
+    // Overriding BUILDINGS replaces the whole registry, like PRESETS.
+    BUILDINGS: {
+      farm: {
+        name: "Farm",
+        icon: "agriculture",
+        cost: { wood: 30 },
+        buildDays: 0, // 0 = ready immediately
+        upkeep: {},
+        workers: 0,
+        effects: { foodOutput: 0.08 }, // +8% food output per farm
+        stabilityOnBuild: 2,
+      },
+      granary: {
+        name: "Granary",
+        icon: "warehouse",
+        cost: { wood: 40, tools: 5 },
+        buildDays: 3,
+        upkeep: { wood: 0.2 },
+        workers: 1,
+        effects: { spoilage: 0.6, storage: 150 }, // each granary keeps 40% more food from spoiling
+      },
+      smokehouse: {
+        name: "Smokehouse",
+        icon: "outdoor_grill",
+        cost: { wood: 30, tools: 5 },
+        buildDays: 3,
+        upkeep: { wood: 0.3 },
+        workers: 2,
+        effects: { preserve: 6 }, // grain smoked and salted per day
+      },
+      workshop: {
+        name: "Workshop",
+        icon: "construction",
+        cost: { wood: 35, tools: 10 },
+        buildDays: 4,
+        upkeep: { wood: 0.3 },
+        workers: 2,
+        effects: { toolsOutput: 0.25 }, // +25% tools output
+      },
+      house: {
+        name: "House",
+        icon: "cottage",
+        cost: { wood: 25 },
+        buildDays: 2,
+        upkeep: { wood: 0.1 },
+        workers: 0,
+        decayDays: 6, // unpaid upkeep: keeps sheltering this long, then one falls in
+        effects: { popCap: 8 },
+      },
+      watchtower: {
+        name: "Watchtower",
+        icon: "fort",
+        cost: { wood: 30, tools: 5 },
+        buildDays: 3,
+        upkeep: { food: 0.5 },
+        workers: 1,
+        effects: { stabilityPerDay: 0.3 }, // only while below STAB_DRIFT_CAP
+      },
+      palisade: {
+        name: "Palisade",
+        icon: "fence",
+        cost: { wood: 45, tools: 10 },
+        buildDays: 4,
+        upkeep: { wood: 0.2 },
+        workers: 0,
+        effects: { defense: 6 }, // holds off raiders without anyone on the wall
+      },
+    },
+    DEMOLISH_REFUND_RATIO: 0.5, // share of the build cost returned on demolish
+    BASE_POP_CAP: 40, // shelter without any houses; births/arrivals stop at the cap
+    HOMELESS_STAB_LOSS: 0.08, // daily stability lost per homeless person
+    HOMELESS_OUTBREAK_CHANCE: 0.004, // daily outbreak chance per homeless person, at any health
+    FOOD_SPOILAGE_RATE: 0.01, // share of perishable food lost per day (before granaries and season)
+    FOOD_SPOILAGE_CROWDING: 1, // extra rate at full storage: full stores spoil (1 + this) times as fast
+    BASE_FOOD_STORAGE: 250, // food that fits without granaries; the rest is wasted overnight
+    FOOD_PRESERVE_YIELD: 0.9, // preserved food from each unit of grain a smokehouse takes
+
+    // Tools system
+    TOOLS_SOFTCAP: 100, // beyond this gives no extra bonus
+    TOOLS_BONUS_PER_TOOL: 0.002, // 100 tools -> +20% output
+    TOOLS_MIN_BONUS: 1.0,
+    TOOLS_DECAY_FLAT: 1.0, // lose at least this much tools per day
+    TOOLS_DECAY_PER_POP: 0.05, // plus pop*X per day, models wear & maintenance
+
+    // Calendar (day 1 is the first day of SEASONS[0]; the year repeats)
+    SEASON_LENGTH_DAYS: 10,
+    SEASONS: [
+      // exposure: share of the homeless dying of cold per day
+      { key: "spring", name: "Spring", foodMult: 1.0, consumptionMult: 1.0, foodPrice: 1.1, spoilageMult: 1.0, health: 0, exposure: 0 },
+      { key: "summer", name: "Summer", foodMult: 1.25, consumptionMult: 1.0, foodPrice: 1.0, spoilageMult: 1.5, health: 0, exposure: 0 }, // heat
+      { key: "autumn", name: "Autumn", foodMult: 1.6, consumptionMult: 1.0, foodPrice: 0.8, spoilageMult: 1.0, health: 0, exposure: 0.01 }, // harvest bonus
+      { key: "winter", name: "Winter", foodMult: 0.0, consumptionMult: 1.15, foodPrice: 1.4, spoilageMult: 0.4, health: -0.6, exposure: 0.05 }, // no harvest, cold
+    ],
+
+    // Weather spells: daily chance to start (per season key), length range in days,
+    // and multipliers on food output / wood output / consumption / food price / exposure while they last.
+    WEATHER: {
+      drought: { name: "Drought", chance: { spring: 0.02, summer: 0.06 }, days: [4, 7], foodMult: 0.5, foodPrice: 1.3 },
+      flood: { name: "Flood", chance: { spring: 0.05, autumn: 0.02 }, days: [2, 4], foodMult: 0.7, woodMult: 0.6, foodPrice: 1.15 },
+      earlyFrost: { name: "Early Frost", chance: { autumn: 0.05 }, days: [2, 4], foodMult: 0.4, consumptionMult: 1.1, foodPrice: 1.2, exposureMult: 2 },
+    },
+    FORECAST_DAYS: 3, // weather is rolled this many days ahead, so the forecast is exact
+
+    // Consumption
+    FOOD_CONSUMPTION_PER_POP: 1.0,
+
+    // Population (children -> adults -> elders; only adults work)
+    CHILD_FOOD_MULT: 0.5, // children eat half an adult share
+    ELDER_FOOD_MULT: 0.7,
+    BIRTH_RATE_PER_ADULT: 0.012, // births/adult/day when well fed and stable
+    BIRTH_MIN_FOOD_PER_POP: 2, // no births below this many days of stored food
+    BIRTH_FULL_FOOD_PER_POP: 6, // full birth rate from this many days of stored food
+    BIRTH_MIN_STABILITY: 40, // birth rate scales from 0 here to full at STAB_MAX
+    CHILD_GROWUP_RATE: 0.03, // share of children coming of age per day
+    ADULT_AGING_RATE: 0.004, // share of adults becoming elders per day
+    ELDER_DEATH_RATE: 0.02, // share of elders dying of old age per day
+    IMMIGRATION_MIN_STABILITY: 70, // newcomers arrive above this (and if fed)
+    IMMIGRATION_MAX_PER_DAY: 0.6, // arrivals/day at STAB_MAX
+    EMIGRATION_MAX_STABILITY: 35, // adults leave below this
+    EMIGRATION_RATE: 0.02, // share of adults leaving per day at STAB_MIN
+
+    // Health (0..HEALTH_MAX; see updateHealth)
+    HEALTH_MAX: 100,
+    HEALTH_RECOVERY: 0.4, // daily gain while nobody goes hungry
+    HEALTH_STARVE_LOSS: 0.8, // daily loss per consecutive hungry day
+    HEALTH_CROWDING_FROM: 0.9, // pop / shelter above this wears health down ...
+    HEALTH_CROWDING_LOSS: 8, // ... by this much per day per 100% over it
+    HERBALIST_HEALTH: 0.15, // daily health per herbalist
+    HERBALIST_CURE: 0.03, // extra share of the sick recovering per day, per herbalist
+
+    // Outbreaks (state.sick > 0)
+    OUTBREAK_HEALTH_BELOW: 60, // outbreaks start below this health (or among the homeless)
+    OUTBREAK_CHANCE: 0.1, // daily chance at 0 health, falling linearly to 0 at OUTBREAK_HEALTH_BELOW
+    OUTBREAK_START: [2, 4], // people falling ill on the first day
+    OUTBREAK_SPREAD: 0.35, // new cases per sick person per day at health 50, among the healthy
+    OUTBREAK_RECOVERY: 0.15, // share of the sick recovering per day
+    OUTBREAK_DEATH_RATE: 0.04, // share of the sick dying per day at health 50 (doubles toward 0 health)
+    OUTBREAK_HEALTH_LOSS: 8, // daily health loss when everyone is sick (scales with the sick share)
+    BURN_FOOD_SHARE: 0.3, // share of perishable food burned with the supplies
+    BURN_CURE: 0.3, // share of the sick no longer spreading it (counted as recovered)
+    BURN_COOLDOWN: 5, // days before supplies can be burned again
+
+    // Raids (state.raid while raiders are on their way; see defensePower)
+    RAID_MIN_DAY: 12, // nobody comes before this day
+    RAID_CHANCE: 0.04, // daily chance of raiders being sighted
+    RAID_COOLDOWN: 15, // quiet days after a raid or tribute
+    RAID_WARNING_DAYS: [3, 5], // sighted this long before they strike
+    RAID_EVENT: "RAIDERS_SIGHTED", // EVENTS key announcing them
+    RAID_BASE_STRENGTH: 4,
+    RAID_STRENGTH_PER_DAY: 0.1,
+    RAID_STRENGTH_PER_WEALTH: 0.02, // per unit of food + wood in store when sighted
+    GUARD_STRENGTH: 1.5, // defense per fit guard before tools and morale
+    GUARD_TOOLS_BONUS: 0.005, // per tool up to TOOLS_SOFTCAP: 100 tools arm guards 50% better
+    RAID_LOOT_SHARE: 0.4, // share of food and wood carried off by a rout
+    RAID_KILL_RATE: 0.15, // people killed per point of raider strength in a rout
+    RAID_BURN_CHANCE: 0.5, // chance a rout burns down a building
+    RAID_DEFENDER_LOSSES: 0.25, // share of the rout's killing the guards suffer when they hold
+    RAID_ROUT_STABILITY: 6, // lost by everyone in a rout
+    RAID_GUARDS_APPROVAL: 6, // guards' approval won by holding, lost by a rout
+
+    // Governor (player rules checked at the start of every day)
+    GOVERNOR_SHIFT_WORKERS: 2, // workers a "keep" rule moves per day
+
+    // Policies (see POLICY_MODIFIERS for what modifiers mean)
+    // Overriding POLICIES replaces the whole registry, like BUILDINGS.
+    POLICIES: {
+      ration: {
+        name: "Rationing",
+        icon: "do_not_disturb_on",
+        description: "Smaller shares for everyone.",
+        days: 5,
+        stability: -6,
+        approval: { elders: -4 },
+        modifiers: { consumption: 0.75 },
+        excludes: ["feast"],
+      },
+      feast: {
+        name: "Feast",
+        icon: "celebration",
+        description: "Open the stores and celebrate.",
+        days: 3,
+        cost: { food: 10 },
+        stability: 8,
+        approval: { farmers: 2, laborers: 3 },
+        requires: { food: { gte: 20 } },
+        modifiers: { consumption: 1.25 },
+        excludes: ["ration"],
+      },
+      curfew: {
+        name: "Curfew",
+        icon: "nightlight",
+        description: "Streets cleared at dusk: calmer, but less gets done.",
+        days: 0, // 0 = until revoked
+        requiresBuildings: { watchtower: 1 },
+        approval: { guards: 8, laborers: -5 },
+        modifiers: { stabilityPerDay: 0.5, woodOutput: 0.85, births: 0.8 },
+        excludes: ["overtime", "amnesty"],
+        cooldown: 5,
+      },
+      overtime: {
+        name: "Work Overtime",
+        icon: "more_time",
+        description: "Longer shifts in every job. People tire and grumble.",
+        days: 5,
+        approval: { farmers: -3, laborers: -4 },
+        modifiers: { foodOutput: 1.2, woodOutput: 1.2, toolsOutput: 1.2, consumption: 1.1, stabilityPerDay: -1.2 },
+        cooldown: 10,
+      },
+      tithe: {
+        name: "Tithe",
+        icon: "savings",
+        description: "A tenth of every household's share goes back to the common stores.",
+        days: 0,
+        requires: { stability: { gte: 40 } },
+        approval: { farmers: -5, elders: 3 },
+        modifiers: { consumption: 0.92, stabilityPerDay: -0.4 },
+        cooldown: 10,
+      },
+      amnesty: {
+        name: "Amnesty",
+        icon: "handshake",
+        description: "Pardons and a meal for the discontent; fewer people leave.",
+        days: 10,
+        cost: { food: 15 },
+        stability: 10,
+        approval: { guards: -8, laborers: 4 },
+        requires: { stability: { lt: 60 } },
+        modifiers: { emigration: 0.25 },
+        cooldown: 30,
+      },
+      quarantine: {
+        name: "Quarantine",
+        icon: "coronavirus",
+        description: "The sick are kept apart: sickness spreads far slower, but every job suffers.",
+        days: 0,
+        requires: { outbreak: true },
+        approval: { laborers: -3, elders: 3 },
+        modifiers: { spread: 0.3, foodOutput: 0.85, woodOutput: 0.85, toolsOutput: 0.85 },
+        cooldown: 5,
+      },
+    },
+    POLICY_REVOKE_STABILITY: 4, // lost when a timed policy is revoked before it runs out
+
+    // Factions (see FACTION_KEYS). Overriding FACTIONS replaces the whole registry.
+    FACTIONS: {
+      farmers: {
+        name: "Farmers",
+        icon: "agriculture",
+        description: "Work the fields and want the harvest to come first.",
+        size: { workersFood: 1 },
+        moods: [
+          { when: { foodJobShare: { gte: 0.5 } }, drift: 0.3 },
+          { when: { foodJobShare: { lt: 0.3 } }, drift: -0.4 },
+        ],
+        demand: "FARMERS_DEMAND",
+      },
+      laborers: {
+        name: "Laborers",
+        icon: "carpenter",
+        description: "Cut wood and make tools; resent being sent to the fields.",
+        size: { workersWood: 1, workersTools: 1 },
+        moods: [
+          { when: { foodJobShare: { lte: 0.6 } }, drift: 0.3 },
+          { when: { foodJobShare: { gte: 0.85 } }, drift: -0.4 },
+        ],
+        demand: "LABORERS_STRIKE",
+      },
+      elders: {
+        name: "Elders",
+        icon: "elderly",
+        description: "Remember the bad winters and watch the stores.",
+        size: { elders: 1 },
+        moods: [
+          { when: { foodPerPop: { gte: 4 } }, drift: 0.3 },
+          { when: { foodPerPop: { lt: 2 } }, drift: -0.4 },
+        ],
+        demand: "ELDERS_COUNCIL",
+      },
+      guards: {
+        name: "Guards",
+        icon: "shield_person",
+        description: "Keep the peace, and want the tools to do it.",
+        size: { base: 2, adults: 0.05, workersGuards: 1 },
+        moods: [
+          { when: { tools: { gte: 30 } }, drift: 0.2 },
+          { when: { tools: { lt: 10 } }, drift: -0.3 },
+        ],
+        demand: "GUARDS_GRUMBLE",
+      },
+    },
+    FACTION_DEMAND_BELOW: 30, // a faction under this approval may raise its demand
+    FACTION_DEMAND_CHANCE: 0.3, // per day, for the least happy such faction
+
+    // Research (see TECH_KEYS). Modifiers change CONFIG values while the game
+    // knows the tech; key is a CONFIG name or a dotted path into a table.
+    TECHS: {
+      cropRotation: {
+        name: "Crop Rotation",
+        icon: "grass",
+        description: "Each farm adds +12% food output instead of +8%.",
+        cost: { tools: 20 },
+        days: 4,
+        modifiers: [{ key: "BUILDINGS.farm.effects.foodOutput", add: 0.04 }],
+      },
+      ironworking: {
+        name: "Ironworking",
+        icon: "hardware",
+        description: "Tools wear 40% slower with a growing population.",
+        cost: { tools: 25 },
+        days: 5,
+        modifiers: [{ key: "TOOLS_DECAY_PER_POP", mul: 0.6 }],
+      },
+      preservation: {
+        name: "Preservation",
+        icon: "kitchen",
+        description: "Smoking and salting halve the food lost to spoilage.",
+        cost: { tools: 30 },
+        days: 5,
+        requires: ["cropRotation"],
+        modifiers: [{ key: "FOOD_SPOILAGE_RATE", mul: 0.5 }],
+      },
+      heavyPlough: {
+        name: "Heavy Plough",
+        icon: "agriculture",
+        description: "Iron shares turn heavier soil: +10% food per worker.",
+        cost: { tools: 35 },
+        days: 6,
+        requires: ["cropRotation", "ironworking"],
+        modifiers: [{ key: "FOOD_PER_WORKER", mul: 1.1 }],
+      },
+      civicCharter: {
+        name: "Civic Charter",
+        icon: "history_edu",
+        description: "Written rights: stability drifts up to 95 instead of 85.",
+        cost: { tools: 40 },
+        days: 6,
+        requires: ["ironworking"],
+        modifiers: [{ key: "STAB_DRIFT_CAP", add: 10 }],
+      },
+    },
+    RESEARCH_WORKERS: 2, // adults taken off jobs while a study is under way
+
+    // Market: barter at drifting prices (value per unit = base * index * season/weather/caravan)
+    MARKET_BASE_PRICES: { food: 1, wood: 1.5, tools: 4 },
+    MARKET_SPREAD: 0.15, // share of value lost on every trade
+    MARKET_DAILY_LIMIT: 60, // value that can change hands per day
+    MARKET_IMPACT: 0.003, // index change per value traded: sold goods get cheaper, bought ones dearer
+    MARKET_DRIFT: 0.03, // daily random walk of each price index
+    MARKET_REVERSION: 0.1, // share of the gap back to 1 an index closes each day
+    MARKET_INDEX_MIN: 0.5,
+    MARKET_INDEX_MAX: 2,
+
+    // Caravans: at most one at a time; while it stays its spread and daily limit
+    // replace the market's and its prices multiply the market's.
+    CARAVAN_CHANCE: 0.04, // per day without a caravan
+    CARAVANS: {
+      grain: { name: "Grain caravan", days: [3, 5], spread: 0.05, limit: 100, prices: { food: 0.7 } },
+      timber: { name: "Timber buyers", days: [2, 4], spread: 0.05, limit: 100, prices: { wood: 1.4 } },
+      smiths: { name: "Travelling smiths", days: [3, 4], spread: 0.05, limit: 90, prices: { tools: 0.75 } },
+    },
+
+    // Treasury (a coin is the market's unit of value: food costs about one)
+    TAX_MAX: 0.5, // highest tax rate
+    TAX_PER_WORKER: 1, // coins a worker pays per day at a 100% rate
+    TAX_STABILITY: 3, // daily stability lost at a 100% rate
+    TAX_EMIGRATION: 4, // adults leave (1 + rate * this) times as fast
+    TAX_RIOT_CHANCE: 0.1, // daily chance of TAX_RIOT_EVENT at a 100% rate
+    TAX_RIOT_EVENT: "RIOT",
+    HIRE_MAX: 10, // outside hands on the payroll at most
+    HIRE_WAGE: 1.2, // coins per hired hand per day, paid before they work
+    BRIBE_BASE: 5, // coins to buy a faction's favour ...
+    BRIBE_PER_MEMBER: 1, // ... plus this per member it speaks for
+    BRIBE_APPROVAL: 10, // approval bought
+    BRIBE_ENVY: 2, // approval every other faction loses
+
+    // Stability dynamics
+    STAB_MAX: 100,
+    STAB_MIN: 0,
+
+    // Starvation penalties (baseline)
+    STARVATION_STAB_LOSS_MULT: 0.15, // per missing food unit
+    STARVATION_STAB_LOSS_MIN: 2,
+    STARVATION_STAB_LOSS_MAX: 18,
+    STARVATION_DEATH_DEFICIT_RATIO: 0.8, // only lethal if deficit is "serious" vs pop
+
+    // Starvation escalation + collapse (A + B + C)
+    STARVE_DAYS_GAMEOVER: 15, // C: hard fail after 15 consecutive hungry days
+    STARVE_STAB_MULT_PER_DAY: 0.08, // B: +8% stab loss per hungry day
+    STARVE_DEATH_MULT_PER_DAY: 0.05, // B: +5% deaths per hungry day
+    STARVE_DEATH_MAX_PER_DAY_RATIO: 0.35, // cap deaths/day to avoid instant wipeouts
+
+    // Ambient stability drift
+    STAB_DRIFT_UP_IF_WELL_FED_RATIO: 3, // food > pop*ratio => drift up
+    STAB_DRIFT_UP: 0.6,
+    STAB_DRIFT_CAP: 85,
+    STAB_DRIFT_DOWN_IF_TOO_HIGH: 0.2,
+    STAB_TOO_HIGH: 90,
+
+    // Events
+    EVENT_BASE_CHANCE: 0.05,
+    EVENT_STARVATION_BONUS: 0.12,
+    EVENT_LOWSTAB_BONUS: 0.10,
+    LOW_STABILITY_THRESHOLD: 35,
+    STARVATION_RISK_FOOD_RATIO: 2, // food < pop*ratio => risk
+    STARVATION_LOOKAHEAD_DAYS: 15, // ... or food < the worst shortfall over this many days of seasons
+
+    // Win/Lose
+    WIN_DAY: 50,
+
+    // Presets (workforce split ratios)
+    PRESETS: {
+      maxFood: { food: 1.0, wood: 0.0, tools: 0.0 },
+      maxWood: { food: 0.0, wood: 1.0, tools: 0.0 },
+      balanced: { food: 0.55, wood: 0.30, tools: 0.15 },
+      survival: { food: 0.75, wood: 0.20, tools: 0.05 },
+    },
+  };
+
+  const COHORTS = ["children", "adults", "elders"];
+
+  // Job name (commands, presets) -> state field.
+  const JOBS = {
+    food: "workersFood",
+    wood: "workersWood",
+    tools: "workersTools",
+    herbs: "workersHerbs",
+    guards: "workersGuards",
+  };
+
+  // Metric a governor "keep" rule watches for each job.
+  const JOB_STOCK = { food: "food", wood: "wood", tools: "tools", herbs: "health", guards: "defense" };
+
+  // Jobs that build experience (see jobProductivity).
+  const SKILLED_JOBS = ["food", "wood", "tools"];
+
+  // -------------------------------
+  // State
+  // -------------------------------
+  const INITIAL = (config, seed) => ({
+    // rng (seed + cursor fully describe the random stream)
+    seed,
+    rngCursor: 0,
+
+    // CONFIG overrides for this game (merged over DEFAULT_CONFIG by cfg())
+    config,
+
+    // scenario (SCENARIOS key) and progress on its goals, by index
+    scenario: DEFAULT_SCENARIO,
+    objectives: [], // [{ done, streak }]
+    failStreaks: [], // consecutive days each fail condition held
+
+    // timeline
+    day: 1,
+    weather: { key: null, left: 0 }, // today's spell (key null = clear), left = days incl. today
+    forecast: [], // the next FORECAST_DAYS days, same shape
+    gameOver: false,
+    outcome: null, // { win, cause, reason } once gameOver
+
+    // core resources (pop = children + adults + elders, kept in sync by syncPop)
+    pop: 30,
+    children: 4,
+    adults: 24,
+    elders: 2,
+    food: 80,
+    preserved: 0, // part of food that does not spoil (always <= food)
+    wood: 40,
+    tools: 10,
+    coins: 20,
+    stability: 70, // derived from factions (see syncStability)
+    factions: null, // key -> approval; createGame starts every faction at stability
+
+    // health (see updateHealth); sick > 0 while an outbreak runs
+    health: 80,
+    sick: 0,
+    suppliesBurned: null, // day supplies were last burned (BURN_COOLDOWN)
+
+    // raids: raid = { day, strength } once sighted; raidEnded = day the last threat ended
+    raid: null,
+    raidEnded: null,
+
+    // workforce
+    workersFood: 10,
+    workersWood: 5,
+    workersTools: 0,
+    workersHerbs: 0,
+    workersGuards: 0,
+
+    // skills per SKILLED_JOBS entry: xp in [0, 1], staffed = workers at the last day's end
+    // (null = not counted yet), trainees = [{ n, left }] still retraining, newest last
+    skills: Object.fromEntries(SKILLED_JOBS.map((job) => [job, { xp: 0, staffed: null, trainees: [] }])),
+
+    // buildings (count per BUILDINGS key; queue builds one at a time)
+    buildings: { farm: 0 },
+    buildQueue: [], // [{ type, daysLeft }]
+    buildingsIdle: {}, // type -> true when upkeep went unpaid today
+    buildingDecay: {}, // type -> days of unpaid upkeep in a row (decayDays buildings)
+
+    // policies: key -> { left } (days incl. today; null = until revoked)
+    policies: {},
+    policyCooldowns: {}, // key -> first day it can be enacted again
+
+    // research: known techs in the order learned; current = the study under way
+    research: { done: [], current: null }, // current: { tech, progress } (days of work done)
+
+    // treasury: tax rate, hired hands, coin flows by ledger line (today / the last finished day)
+    taxRate: 0,
+    hired: 0,
+    ledger: {}, // line -> coins (+ income, - expense)
+    lastLedger: {},
+
+    // market: price index per resource, value traded today, today's trades, visiting caravan
+    market: {
+      index: { food: 1, wood: 1, tools: 1 },
+      traded: 0,
+      trades: [], // [{ give, get, gave, got }] until the day ends
+      caravan: null, // { key, left } (days incl. today)
+    },
+
+    // hunger memory
+    starveDays: 0,
+
+    // auto-governor: rules in priority order (see runGovernor)
+    governor: { enabled: false, rules: [] },
+
+    // population flows of the last day (rates panel)
+    popFlow: { births: 0, deaths: 0, immigrants: 0, emigrants: 0 },
+
+    // events
+    activeEvent: null, // { key } while waiting for a decision
+    scheduledEvents: [], // follow-ups: [{ key, day }]
+    eventLastFired: {}, // key -> day (cooldowns)
+  });
+
+  // scenario: SCENARIOS key; its config sits under the explicit overrides.
+  // Throws on an unknown scenario or if config.EVENTS does not validate (see validateEvents()).
+  function createGame(config = {}, seed = randomSeed(), scenario = DEFAULT_SCENARIO, start = {}) {
+    const sc = SCENARIOS[scenario];
+    if (!sc) throw new Error(`Unknown scenario "${scenario}". Known: ${Object.keys(SCENARIOS).join(", ")}.`);
+    const merged = { ...(sc.config || {}), ...config };
+    if (merged.EVENTS) assertValidEvents({ ...EVENTS, ...merged.EVENTS }, "config.EVENTS");
+    if (merged.POLICIES) assertValidPolicies(merged.POLICIES, "config.POLICIES");
+    if (merged.TECHS) assertValidTechs({ ...DEFAULT_CONFIG, ...merged }, "config.TECHS");
+    if (merged.FACTIONS) assertValidFactions(merged.FACTIONS, { ...EVENTS, ...merged.EVENTS }, "config.FACTIONS");
+
+    const s = { ...INITIAL(merged, seed >>> 0), ...clone(sc.start || {}), ...clone(start), scenario };
+    syncPop(s);
+    validateWorkforce(s, null);
+    for (const job of SKILLED_JOBS) s.skills[job].staffed = s[JOBS[job]]; // the starting split is already trained
+    if (!s.factions) s.factions = Object.fromEntries(Object.keys(factionDefs(s)).map((k) => [k, s.stability]));
+    syncStability(s);
+    s.objectives = objectiveDefs(s).map(() => ({ done: false, streak: 0 }));
+    s.failStreaks = (sc.fail || []).map(() => 0);
+    fillForecast(s);
+    return s;
+  }
+
+  // Effective CONFIG for a game: DEFAULT_CONFIG, then the game's overrides
+  // (shallow: overriding PRESETS replaces the whole table), then the modifier
+  // stack of known techs. Cached per overrides object and tech list.
+  const baseCache = new WeakMap();
+  const cfgCache = new WeakMap();
+
+  function baseCfg(s) {
+    const overrides = s.config || {};
+    let merged = baseCache.get(overrides);
+    if (!merged) {
+      merged = { ...DEFAULT_CONFIG, ...overrides };
+      baseCache.set(overrides, merged);
+    }
+    return merged;
+  }
+
+  function cfg(s) {
+    const base = baseCfg(s);
+    const done = s.research?.done || [];
+    if (done.length === 0) return base;
+
+    let byTechs = cfgCache.get(base);
+    if (!byTechs) cfgCache.set(base, (byTechs = new Map()));
+    const sig = done.join();
+    let merged = byTechs.get(sig);
+    if (!merged) {
+      merged = applyModifiers(base, modifierStack(s));
+      byTechs.set(sig, merged);
+    }
+    return merged;
+  }
+
+  // Copy of `base` with every modifier applied in order. Tables on a dotted
+  // path are copied on the way down, so DEFAULT_CONFIG and overrides stay intact.
+  function applyModifiers(base, stack) {
+    const out = { ...base };
+    for (const m of stack) {
+      const path = m.key.split(".");
+      const last = path.pop();
+      let obj = out;
+      for (const part of path) {
+        obj[part] = { ...obj[part] };
+        obj = obj[part];
+      }
+      let v = obj[last];
+      if (m.mul !== undefined) v *= m.mul;
+      if (m.add !== undefined) v += m.add;
+      obj[last] = v;
+    }
+    return out;
+  }
+
+  function clone(s) {
+    return JSON.parse(JSON.stringify(s));
+  }
+
+  // -------------------------------
+  // Utils
+  // -------------------------------
+  function clamp(n, a, b) {
+    return Math.max(a, Math.min(b, n));
+  }
+
+  // Moves every faction alike; addApproval() moves single ones (see Factions).
+  function addStability(s, delta) {
+    const C = cfg(s);
+    for (const key of Object.keys(s.factions)) s.factions[key] = clamp(s.factions[key] + delta, C.STAB_MIN, C.STAB_MAX);
+    syncStability(s);
+  }
+
+  // Integer from an expected value: floor plus a seeded roll on the fraction.
+  function rndRound(s, x) {
+    if (x <= 0) return 0;
+    const whole = Math.floor(x);
+    return whole + (rnd(s) < x - whole ? 1 : 0);
+  }
+
+  // Seeded PRNG: mulberry32 evaluated at (seed, cursor). Every roll advances
+  // s.rngCursor, so a run is fully reproducible from its seed and inputs.
+  function rnd(s) {
+    s.rngCursor += 1;
+    let t = (s.seed + Math.imul(s.rngCursor, 0x6d2b79f5)) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function rndInt(s, min, max) {
+    return Math.floor(rnd(s) * (max - min + 1)) + min;
+  }
+
+  // Only used to pick a seed for a fresh run; never for game rolls.
+  function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  // Blank/invalid input -> null (caller picks a random seed).
+  function parseSeed(text) {
+    const t = String(text ?? "").trim();
+    if (!/^\d+$/.test(t)) return null;
+    return Number(t) >>> 0;
+  }
+
+  // Collects what one step/dispatch produced besides the new state.
+  function makeCtx(s) {
+    const logEntries = [];
+    const events = [];
+    return {
+      s,
+      logEntries,
+      events,
+      log(text, tone = "") {
+        logEntries.push({ day: s.day, text, tone });
+      },
+      emit(type, data = {}) {
+        events.push({ type, day: s.day, ...data });
+      },
+    };
+  }
+
+  // -------------------------------
+  // Calendar + weather
+  // -------------------------------
+  function seasonIndex(s, day) {
+    const C = cfg(s);
+    return Math.floor((day - 1) / C.SEASON_LENGTH_DAYS) % C.SEASONS.length;
+  }
+
+  function seasonAt(s, day) {
+    return cfg(s).SEASONS[seasonIndex(s, day)];
+  }
+
+  function weatherMult(s, field) {
+    const def = s.weather.key ? cfg(s).WEATHER[s.weather.key] : null;
+    return def && def[field] !== undefined ? def[field] : 1;
+  }
+
+  // Weather for `day` following `prev`: a running spell continues, otherwise one
+  // roll against that season's start chances.
+  function rollWeather(s, day, prev) {
+    if (prev.key && prev.left > 1) return { key: prev.key, left: prev.left - 1 };
+    const seasonKey = seasonAt(s, day).key;
+    const roll = rnd(s);
+    let acc = 0;
+    for (const [key, def] of Object.entries(cfg(s).WEATHER)) {
+      acc += (def.chance && def.chance[seasonKey]) || 0;
+      if (roll < acc) return { key, left: rndInt(s, def.days[0], def.days[1]) };
+    }
+    return { key: null, left: 0 };
+  }
+
+  function fillForecast(s) {
+    const n = cfg(s).FORECAST_DAYS;
+    while (s.forecast.length < n) {
+      const prev = s.forecast.length ? s.forecast[s.forecast.length - 1] : s.weather;
+      s.forecast.push(rollWeather(s, s.day + s.forecast.length + 1, prev));
+    }
+  }
+
+  // Moves to the next day: the first forecast day becomes today's weather.
+  function advanceCalendar(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    const before = seasonIndex(s, s.day);
+    const prev = s.weather;
+
+    s.day += 1;
+    s.weather = s.forecast.length ? s.forecast.shift() : rollWeather(s, s.day, prev);
+    fillForecast(s);
+
+    if (seasonIndex(s, s.day) !== before) {
+      const season = seasonAt(s, s.day);
+      if (season.foodMult === 0) ctx.log(`${season.name} begins. No harvest until it ends.`, "warn");
+      else ctx.log(`${season.name} begins.`, season.foodMult > 1 ? "good" : "");
+    }
+    if (s.weather.key && s.weather.key !== prev.key) {
+      ctx.log(`${C.WEATHER[s.weather.key].name} sets in (${s.weather.left}d).`, "warn");
+    } else if (!s.weather.key && prev.key) {
+      ctx.log(`The ${C.WEATHER[prev.key].name.toLowerCase()} is over.`);
+    }
+  }
+
+  // Presentation view: { season, day, length, weather, weatherDays, forecast: [name|null], nextSeason, daysToNextSeason }
+  function describeCalendar(s) {
+    const C = cfg(s);
+    const dayInSeason = ((s.day - 1) % C.SEASON_LENGTH_DAYS) + 1;
+    const nameOf = (w) => (w.key ? C.WEATHER[w.key].name : null);
+    return {
+      season: seasonAt(s, s.day).name,
+      day: dayInSeason,
+      length: C.SEASON_LENGTH_DAYS,
+      weather: nameOf(s.weather),
+      weatherDays: s.weather.left,
+      forecast: s.forecast.map(nameOf),
+      nextSeason: seasonAt(s, s.day + C.SEASON_LENGTH_DAYS - dayInSeason + 1).name,
+      daysToNextSeason: C.SEASON_LENGTH_DAYS - dayInSeason + 1,
+    };
+  }
+
+  // Food stores needed to get through the next STARVATION_LOOKAHEAD_DAYS at the
+  // current workforce, each day with its own season (weather beyond today is unknown).
+  function foodReserveNeeded(s) {
+    const C = cfg(s);
+    const output = foodOutputBase(s);
+    const eat = consumptionBase(s);
+    let balance = 0;
+    let worst = 0;
+    for (let d = 0; d < C.STARVATION_LOOKAHEAD_DAYS; d++) {
+      const season = seasonAt(s, s.day + d);
+      balance += output * season.foodMult - eat * season.consumptionMult;
+      worst = Math.min(worst, balance);
+    }
+    return -worst;
+  }
+
+  // -------------------------------
+  // Core math
+  // -------------------------------
+  function farmBonusMult(s) {
+    return 1 + buildingEffect(s, "foodOutput");
+  }
+
+  function toolsBonusMult(s) {
+    const C = cfg(s);
+    const effectiveTools = clamp(s.tools, 0, C.TOOLS_SOFTCAP);
+    const mult = 1 + effectiveTools * C.TOOLS_BONUS_PER_TOOL;
+    return Math.max(C.TOOLS_MIN_BONUS, mult);
+  }
+
+  // Food output before season and weather.
+  function foodOutputBase(s) {
+    return (
+      s.workersFood * cfg(s).FOOD_PER_WORKER * jobProductivity(s, "food") * farmBonusMult(s) * toolsBonusMult(s) * policyModifier(s, "foodOutput") * fitShare(s)
+    );
+  }
+
+  function foodPerDay(s) {
+    return foodOutputBase(s) * seasonAt(s, s.day).foodMult * weatherMult(s, "foodMult");
+  }
+
+  function woodPerDay(s) {
+    return s.workersWood * cfg(s).WOOD_PER_WORKER * jobProductivity(s, "wood") * toolsBonusMult(s) * weatherMult(s, "woodMult") * policyModifier(s, "woodOutput") * fitShare(s);
+  }
+
+  function toolsPerDay(s) {
+    return s.workersTools * cfg(s).TOOLS_PER_WORKER * jobProductivity(s, "tools") * (1 + buildingEffect(s, "toolsOutput")) * policyModifier(s, "toolsOutput") * fitShare(s);
+  }
+
+  // -------------------------------
+  // Skills
+  // -------------------------------
+  // Trainees as of now: workers added since the last day's end start retraining;
+  // workers taken away are the newest trainees first.
+  function currentTrainees(s, job) {
+    const sk = s.skills[job];
+    const count = s[JOBS[job]];
+    const staffed = sk.staffed ?? count;
+    const trainees = sk.trainees.map((t) => ({ ...t }));
+    if (count > staffed) trainees.push({ n: count - staffed, left: cfg(s).RETRAIN_DAYS });
+    let cut = staffed - count;
+    while (cut > 0 && trainees.length > 0) {
+      const newest = trainees[trainees.length - 1];
+      const d = Math.min(newest.n, cut);
+      newest.n -= d;
+      cut -= d;
+      if (newest.n === 0) trainees.pop();
+    }
+    return trainees;
+  }
+
+  function retrainingWorkers(s, job) {
+    return currentTrainees(s, job).reduce((sum, t) => sum + t.n, 0);
+  }
+
+  // Output multiplier of a skilled job: the pool's experience, less what trainees lose.
+  function jobProductivity(s, job) {
+    const C = cfg(s);
+    const count = s[JOBS[job]];
+    const skilled = 1 + s.skills[job].xp * C.EXPERIENCE_BONUS;
+    if (count <= 0) return skilled;
+    return skilled * (1 - (retrainingWorkers(s, job) / count) * (1 - C.RETRAIN_EFFICIENCY));
+  }
+
+  // After the day's work: settle who is retraining, count a day off their training,
+  // and move each pool's experience up while staffed, down while empty.
+  function trainWorkers(s) {
+    const C = cfg(s);
+    for (const job of SKILLED_JOBS) {
+      const sk = s.skills[job];
+      const count = s[JOBS[job]];
+      sk.trainees = currentTrainees(s, job)
+        .map((t) => ({ ...t, left: t.left - 1 }))
+        .filter((t) => t.left > 0);
+      sk.staffed = count;
+      sk.xp = count > 0 ? sk.xp + (1 - sk.xp) * C.EXPERIENCE_GAIN : Math.max(0, sk.xp - C.EXPERIENCE_DECAY);
+    }
+  }
+
+  function describeSkills(s) {
+    return SKILLED_JOBS.map((job) => ({
+      job,
+      workers: s[JOBS[job]],
+      xp: s.skills[job].xp,
+      retraining: retrainingWorkers(s, job),
+      productivity: jobProductivity(s, job),
+    }));
+  }
+
+  function perishableFood(s) {
+    return Math.max(0, s.food - s.preserved);
+  }
+
+  function foodStorage(s) {
+    return cfg(s).BASE_FOOD_STORAGE + buildingEffect(s, "storage");
+  }
+
+  // Perishable food only; faster in summer heat and in crowded stores.
+  function foodSpoilagePerDay(s) {
+    const C = cfg(s);
+    const fullness = clamp(s.food / foodStorage(s), 0, 1);
+    const rate = C.FOOD_SPOILAGE_RATE * (seasonAt(s, s.day).spoilageMult ?? 1) * (1 + C.FOOD_SPOILAGE_CROWDING * fullness);
+    return perishableFood(s) * rate * buildingEffect(s, "spoilage");
+  }
+
+  // Grain a smokehouse can take today: { grain, preserved }.
+  function preservingPerDay(s) {
+    const grain = Math.min(perishableFood(s), buildingEffect(s, "preserve"));
+    return { grain, preserved: grain * cfg(s).FOOD_PRESERVE_YIELD };
+  }
+
+  // Smokehouses turn grain into preserved food.
+  function preserveFood(s) {
+    const p = preservingPerDay(s);
+    s.food -= p.grain - p.preserved;
+    s.preserved += p.preserved;
+  }
+
+  // Keeps preserved <= food, so every loss takes perishable food first.
+  function settleFood(s) {
+    s.preserved = clamp(s.preserved, 0, Math.max(0, s.food));
+  }
+
+  // Overnight: what does not fit in storage goes to waste (perishable first). Returns the waste.
+  function wasteOverflow(s) {
+    settleFood(s);
+    const over = s.food - foodStorage(s);
+    if (over <= 0) return 0;
+    s.food -= over;
+    settleFood(s);
+    return over;
+  }
+
+  function popCap(s) {
+    return cfg(s).BASE_POP_CAP + buildingEffect(s, "popCap");
+  }
+
+  function homeless(s) {
+    return Math.max(0, s.pop - popCap(s));
+  }
+
+  // Expected deaths of cold among the homeless today.
+  function exposurePerDay(s) {
+    return homeless(s) * (seasonAt(s, s.day).exposure ?? 0) * weatherMult(s, "exposureMult");
+  }
+
+  function toolsDecayPerDay(s) {
+    const C = cfg(s);
+    return (C.TOOLS_DECAY_FLAT + s.pop * C.TOOLS_DECAY_PER_POP) * policyModifier(s, "toolsDecay");
+  }
+
+  // Consumption before cold.
+  function consumptionBase(s) {
+    const C = cfg(s);
+    const mouths = s.adults + s.children * C.CHILD_FOOD_MULT + s.elders * C.ELDER_FOOD_MULT;
+    return mouths * C.FOOD_CONSUMPTION_PER_POP * policyModifier(s, "consumption");
+  }
+
+  function foodConsumptionPerDay(s) {
+    return consumptionBase(s) * seasonAt(s, s.day).consumptionMult * weatherMult(s, "consumptionMult");
+  }
+
+  // -------------------------------
+  // Population
+  // -------------------------------
+  function syncPop(s) {
+    s.pop = s.children + s.adults + s.elders;
+  }
+
+  // Removes n people across cohorts in proportion to their size (largest
+  // remainder, ties to the oldest). Returns how many were removed.
+  function removePeople(s, n) {
+    n = Math.min(Math.max(0, Math.floor(n)), s.pop);
+    if (n === 0) return 0;
+
+    const total = s.pop;
+    const shares = COHORTS.map((c) => {
+      const exact = (s[c] * n) / total;
+      return { c, take: Math.floor(exact), rem: exact - Math.floor(exact) };
+    });
+    let left = n - shares.reduce((sum, x) => sum + x.take, 0);
+    const byRemainder = shares.slice().sort((a, b) => b.rem - a.rem || COHORTS.indexOf(b.c) - COHORTS.indexOf(a.c));
+    for (const x of byRemainder) {
+      if (left <= 0) break;
+      if (x.take < s[x.c]) {
+        x.take += 1;
+        left -= 1;
+      }
+    }
+
+    for (const x of shares) s[x.c] -= x.take;
+    syncPop(s);
+    return n;
+  }
+
+  function addPeople(s, cohort, n) {
+    s[cohort] += Math.max(0, Math.floor(n));
+    syncPop(s);
+  }
+
+  // Expected daily flows (fractions; the tick rounds them with seeded rolls).
+  function birthsPerDay(s) {
+    const C = cfg(s);
+    if (s.starveDays > 0 || s.pop <= 0 || s.pop >= popCap(s)) return 0;
+    const foodPerPop = s.food / s.pop;
+    const foodFactor = clamp(
+      (foodPerPop - C.BIRTH_MIN_FOOD_PER_POP) / (C.BIRTH_FULL_FOOD_PER_POP - C.BIRTH_MIN_FOOD_PER_POP),
+      0,
+      1
+    );
+    const stabFactor = clamp((s.stability - C.BIRTH_MIN_STABILITY) / (C.STAB_MAX - C.BIRTH_MIN_STABILITY), 0, 1);
+    return s.adults * C.BIRTH_RATE_PER_ADULT * foodFactor * stabFactor * policyModifier(s, "births");
+  }
+
+  function immigrationPerDay(s) {
+    const C = cfg(s);
+    if (s.stability <= C.IMMIGRATION_MIN_STABILITY || s.starveDays > 0 || s.pop >= popCap(s)) return 0;
+    if (s.food < s.pop * C.BIRTH_MIN_FOOD_PER_POP) return 0;
+    const t = (s.stability - C.IMMIGRATION_MIN_STABILITY) / (C.STAB_MAX - C.IMMIGRATION_MIN_STABILITY);
+    return C.IMMIGRATION_MAX_PER_DAY * clamp(t, 0, 1);
+  }
+
+  function emigrationPerDay(s) {
+    const C = cfg(s);
+    if (s.stability >= C.EMIGRATION_MAX_STABILITY) return 0;
+    const t = (C.EMIGRATION_MAX_STABILITY - s.stability) / (C.EMIGRATION_MAX_STABILITY - C.STAB_MIN);
+    return s.adults * C.EMIGRATION_RATE * clamp(t, 0, 1) * policyModifier(s, "emigration") * (1 + s.taxRate * C.TAX_EMIGRATION);
+  }
+
+  // Births, aging, old age and migration for one day.
+  function updatePopulation(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    const flow = s.popFlow;
+
+    const births = Math.min(Math.max(0, Math.floor(popCap(s) - s.pop)), rndRound(s, birthsPerDay(s)));
+    const grownUp = Math.min(s.children, rndRound(s, s.children * C.CHILD_GROWUP_RATE));
+    const aged = Math.min(s.adults, rndRound(s, s.adults * C.ADULT_AGING_RATE));
+    const oldAge = Math.min(s.elders, rndRound(s, s.elders * C.ELDER_DEATH_RATE));
+
+    s.children += births - grownUp;
+    s.adults += grownUp - aged;
+    s.elders += aged - oldAge;
+    syncPop(s);
+
+    const immigrants = Math.min(Math.max(0, Math.floor(popCap(s) - s.pop)), rndRound(s, immigrationPerDay(s)));
+    const emigrants = Math.min(s.adults, rndRound(s, emigrationPerDay(s)));
+    s.adults += immigrants - emigrants;
+    syncPop(s);
+
+    flow.births += births;
+    flow.deaths += oldAge;
+    flow.immigrants += immigrants;
+    flow.emigrants += emigrants;
+
+    if (births > 0) ctx.log(`${births} ${births === 1 ? "child was" : "children were"} born.`, "good");
+    if (immigrants > 0) ctx.log(`${immigrants} newcomers settled, drawn by stability.`, "good");
+    if (emigrants > 0) ctx.log(`${emigrants} adults left the settlement.`, "warn");
+  }
+
+  // People sleeping rough: the cold kills some, and everyone grows restless.
+  function updateShelter(ctx) {
+    const s = ctx.s;
+    const n = homeless(s);
+    if (n <= 0) return;
+    const deaths = removePeople(s, rndRound(s, exposurePerDay(s)));
+    s.popFlow.deaths += deaths;
+    if (deaths > 0) ctx.log(`${deaths} homeless ${deaths === 1 ? "person" : "people"} died of exposure.`, "bad");
+    addStability(s, -n * cfg(s).HOMELESS_STAB_LOSS);
+  }
+
+  // Presentation view: { capacity, homeless, exposure, stabilityLoss, decaying: [{ type, name, days, left }] }
+  function describeShelter(s) {
+    const defs = buildingDefs(s);
+    const n = homeless(s);
+    return {
+      capacity: popCap(s),
+      homeless: n,
+      exposure: exposurePerDay(s),
+      stabilityLoss: n * cfg(s).HOMELESS_STAB_LOSS,
+      decaying: Object.entries(s.buildingDecay)
+        .filter(([type]) => defs[type])
+        .map(([type, days]) => ({ type, name: defs[type].name, days, left: defs[type].decayDays - days })),
+    };
+  }
+
+  // -------------------------------
+  // Health
+  // -------------------------------
+  // Share of people well enough to work (the sick are spread evenly over jobs).
+  function fitShare(s) {
+    return s.pop > 0 ? 1 - clamp(s.sick / s.pop, 0, 1) : 1;
+  }
+
+  function outbreakActive(s) {
+    return s.sick > 0;
+  }
+
+  // Expected daily health change from hunger, crowding, season, herbalists and the sick.
+  function healthPerDay(s) {
+    const C = cfg(s);
+    let delta = s.starveDays > 0 ? -C.HEALTH_STARVE_LOSS * s.starveDays : C.HEALTH_RECOVERY;
+    delta -= C.HEALTH_CROWDING_LOSS * Math.max(0, s.pop / popCap(s) - C.HEALTH_CROWDING_FROM);
+    delta += seasonAt(s, s.day).health ?? 0;
+    delta += s.workersHerbs * C.HERBALIST_HEALTH;
+    delta -= C.OUTBREAK_HEALTH_LOSS * (1 - fitShare(s));
+    return delta;
+  }
+
+  // Poor health breeds outbreaks; so do the homeless, at any health.
+  function outbreakChance(s) {
+    const C = cfg(s);
+    if (outbreakActive(s)) return 0;
+    const frail = s.health < C.OUTBREAK_HEALTH_BELOW ? C.OUTBREAK_CHANCE * (1 - s.health / C.OUTBREAK_HEALTH_BELOW) : 0;
+    return Math.min(1, frail + homeless(s) * C.HOMELESS_OUTBREAK_CHANCE);
+  }
+
+  // Poor health spreads sickness faster and makes it deadlier (x1 at health 50).
+  function frailty(s) {
+    return 1.5 - s.health / cfg(s).HEALTH_MAX;
+  }
+
+  // Expected daily flows of a running outbreak: { infected, recovered, deaths }.
+  function outbreakPerDay(s) {
+    const C = cfg(s);
+    if (!outbreakActive(s)) return { infected: 0, recovered: 0, deaths: 0 };
+    const healthy = Math.max(0, s.pop - s.sick);
+    return {
+      infected: s.sick * C.OUTBREAK_SPREAD * frailty(s) * (s.pop > 0 ? healthy / s.pop : 0) * policyModifier(s, "spread"),
+      recovered: s.sick * Math.min(1, C.OUTBREAK_RECOVERY + s.workersHerbs * C.HERBALIST_CURE),
+      deaths: s.sick * C.OUTBREAK_DEATH_RATE * frailty(s),
+    };
+  }
+
+  // Daily: the outbreak runs its course (or starts), then health moves.
+  function updateHealth(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    s.sick = Math.min(s.sick, s.pop);
+
+    if (outbreakActive(s)) {
+      const flow = outbreakPerDay(s);
+      const deaths = Math.min(s.sick, rndRound(s, flow.deaths));
+      const recovered = Math.min(s.sick - deaths, rndRound(s, flow.recovered));
+      const infected = Math.min(s.pop - s.sick, rndRound(s, flow.infected));
+      s.sick += infected - deaths - recovered;
+      if (deaths > 0) {
+        s.popFlow.deaths += removePeople(s, deaths);
+        ctx.log(`Sickness killed ${deaths} ${deaths === 1 ? "person" : "people"}. ${s.sick} still ill.`, "bad");
+      } else if (infected > 0) {
+        ctx.log(`Sickness spreads: ${infected} more fell ill (${s.sick} ill).`, "warn");
+      }
+      s.sick = Math.min(s.sick, s.pop);
+      if (s.sick <= 0) {
+        s.sick = 0;
+        ctx.log("The sickness has passed.", "good");
+      }
+    } else if (rnd(s) < outbreakChance(s)) {
+      s.sick = Math.min(s.pop, rndInt(s, C.OUTBREAK_START[0], C.OUTBREAK_START[1]));
+      ctx.log(`Sickness breaks out: ${s.sick} people fell ill.`, "bad");
+      ctx.emit("outbreakStarted", { sick: s.sick });
+    }
+
+    s.health = clamp(s.health + healthPerDay(s), 0, C.HEALTH_MAX);
+  }
+
+  // Burns a share of the perishable stores; part of the sick stop spreading it.
+  function burnSupplies(ctx) {
+    const s = ctx.s;
+    if (!actionAvailable(s, "burnSupplies")) return;
+    const C = cfg(s);
+    const food = perishableFood(s) * C.BURN_FOOD_SHARE;
+    const cured = Math.floor(s.sick * C.BURN_CURE);
+    s.food -= food;
+    s.sick -= cured;
+    s.suppliesBurned = s.day;
+    ctx.log(`Supplies burned: ${Math.round(food)} food lost, ${cured} fewer spreading the sickness.`, "warn");
+    if (s.sick <= 0) ctx.log("The sickness has passed.", "good");
+  }
+
+  // Workforce clamping:
+  // - Guarantee total workers <= working-age adults not staffing buildings.
+  // - Priority: keep the slider the user changed, clamp the others first.
+  function validateWorkforce(s, priorityKey = null) {
+    const keys = Object.values(JOBS);
+    const adults = availableWorkers(s);
+
+    // Hard clamp each to [0, adults]
+    for (const k of keys) s[k] = clamp(Math.floor(Number(s[k]) || 0), 0, adults);
+
+    const total = keys.reduce((sum, k) => sum + s[k], 0);
+    if (total <= adults) return;
+
+    let overflow = total - adults;
+
+    const clampOrder = keys.slice();
+    if (priorityKey && clampOrder.includes(priorityKey)) {
+      clampOrder.splice(clampOrder.indexOf(priorityKey), 1);
+      clampOrder.push(priorityKey); // clamp priority last
+    }
+
+    for (const k of clampOrder) {
+      if (overflow <= 0) break;
+      const reducible = s[k];
+      const d = Math.min(reducible, overflow);
+      s[k] -= d;
+      overflow -= d;
+    }
+  }
+
+  function setWorkforce(ctx, split) {
+    const s = ctx.s;
+    const given = Object.keys(JOBS).filter((job) => split[job] !== undefined);
+    for (const job of given) s[JOBS[job]] = Number(split[job]);
+    validateWorkforce(s, given.length === 1 ? JOBS[given[0]] : null);
+  }
+
+  // -------------------------------
+  // Buildings
+  // -------------------------------
+  // How each effect key combines across buildings: "add" sums value * count,
+  // "mul" multiplies value^count (1 with none built).
+  const BUILDING_EFFECTS = {
+    foodOutput: "add", // food output multiplier bonus
+    toolsOutput: "add", // tools output multiplier bonus
+    popCap: "add", // extra shelter
+    stabilityPerDay: "add", // daily stability gain
+    spoilage: "mul", // food spoilage multiplier
+    storage: "add", // extra food storage
+    preserve: "add", // grain turned into preserved food per day
+    defense: "add", // raid defense
+  };
+  const RESOURCES = ["food", "wood", "tools"];
+  const TRADABLES = [...RESOURCES, "coins"];
+
+  function buildingDefs(s) {
+    return cfg(s).BUILDINGS;
+  }
+
+  function builtCount(s, type) {
+    return s.buildings[type] || 0;
+  }
+
+  // Adults needed to staff every built building (staffed before any job).
+  function buildingStaffNeeded(s) {
+    const defs = buildingDefs(s);
+    return Object.keys(defs).reduce((sum, t) => sum + builtCount(s, t) * (defs[t].workers || 0), 0);
+  }
+
+  function buildingStaff(s) {
+    return Math.min(s.adults, buildingStaffNeeded(s));
+  }
+
+  // Adults free for jobs, plus hired hands.
+  function availableWorkers(s) {
+    return s.adults - buildingStaff(s) - researchStaff(s) + s.hired;
+  }
+
+  // Combined effect of all running buildings. Understaffing scales effects of
+  // buildings that need workers by the staffed share.
+  function buildingEffect(s, effect) {
+    const defs = buildingDefs(s);
+    const mode = BUILDING_EFFECTS[effect];
+    const need = buildingStaffNeeded(s);
+    const staffed = need > 0 ? buildingStaff(s) / need : 1;
+    let total = mode === "mul" ? 1 : 0;
+
+    for (const [type, def] of Object.entries(defs)) {
+      const value = def.effects?.[effect];
+      if (value === undefined || s.buildingsIdle[type]) continue;
+      const n = builtCount(s, type) * (def.workers ? staffed : 1);
+      if (n <= 0) continue;
+      if (mode === "mul") total *= Math.pow(value, n);
+      else total += value * n;
+    }
+    return total;
+  }
+
+  function canAfford(s, cost) {
+    return RESOURCES.every((r) => s[r] >= (cost?.[r] || 0));
+  }
+
+  function fmtCost(cost) {
+    const parts = RESOURCES.filter((r) => cost?.[r]).map((r) => `${cost[r]} ${r}`);
+    return parts.join(" + ") || "nothing";
+  }
+
+  function canBuild(s, type) {
+    const def = buildingDefs(s)[type];
+    return !!def && !s.gameOver && canAfford(s, def.cost);
+  }
+
+  function completeBuilding(ctx, type) {
+    const s = ctx.s;
+    const def = buildingDefs(s)[type];
+    s.buildings[type] = builtCount(s, type) + 1;
+    if (def.stabilityOnBuild) addStability(s, def.stabilityOnBuild);
+    ctx.log(`${def.name} completed (${s.buildings[type]} total).`, "good");
+  }
+
+  function build(ctx, type) {
+    const s = ctx.s;
+    const def = buildingDefs(s)[type];
+    if (!def) return;
+    if (!canAfford(s, def.cost)) {
+      ctx.log(`Not enough resources for ${def.name} (needs ${fmtCost(def.cost)}).`, "bad");
+      return;
+    }
+    for (const r of RESOURCES) s[r] -= def.cost[r] || 0;
+
+    if (!def.buildDays) {
+      completeBuilding(ctx, type);
+      return;
+    }
+    s.buildQueue.push({ type, daysLeft: def.buildDays });
+    ctx.log(`${def.name} queued: ${def.buildDays} days of work.`, "");
+  }
+
+  // One building at a time; the head of the queue progresses each day.
+  function advanceBuildQueue(ctx) {
+    const s = ctx.s;
+    const head = s.buildQueue[0];
+    if (!head) return;
+    head.daysLeft -= 1;
+    if (head.daysLeft <= 0) {
+      s.buildQueue.shift();
+      completeBuilding(ctx, head.type);
+    }
+  }
+
+  function demolish(ctx, type) {
+    const s = ctx.s;
+    const def = buildingDefs(s)[type];
+    if (!def || builtCount(s, type) <= 0) return;
+
+    const ratio = cfg(s).DEMOLISH_REFUND_RATIO;
+    const refund = {};
+    for (const r of RESOURCES) {
+      refund[r] = Math.floor((def.cost[r] || 0) * ratio);
+      s[r] += refund[r];
+    }
+    s.buildings[type] -= 1;
+    validateWorkforce(s, null);
+    ctx.log(`Demolished a ${def.name}. Refunded ${fmtCost(refund)}.`, "warn");
+  }
+
+  // Buildings whose upkeep cannot be paid stand idle for the day; those with
+  // decayDays keep working but decay instead (see decayBuilding).
+  function payUpkeep(ctx) {
+    const s = ctx.s;
+    s.buildingsIdle = {};
+    for (const [type, def] of Object.entries(buildingDefs(s))) {
+      const n = builtCount(s, type);
+      if (n <= 0) {
+        delete s.buildingDecay[type];
+        continue;
+      }
+      const due = {};
+      for (const r of RESOURCES) due[r] = (def.upkeep?.[r] || 0) * n;
+      if (!canAfford(s, due)) {
+        if (def.decayDays) {
+          decayBuilding(ctx, type);
+          continue;
+        }
+        s.buildingsIdle[type] = true;
+        ctx.log(`${def.name} idle: cannot pay upkeep.`, "warn");
+        continue;
+      }
+      for (const r of RESOURCES) s[r] -= due[r];
+      delete s.buildingDecay[type];
+    }
+  }
+
+  // One more unpaid day; after decayDays in a row one of them falls in.
+  function decayBuilding(ctx, type) {
+    const s = ctx.s;
+    const def = buildingDefs(s)[type];
+    const days = (s.buildingDecay[type] || 0) + 1;
+    if (days < def.decayDays) {
+      s.buildingDecay[type] = days;
+      ctx.log(`${def.name} falling into disrepair: no upkeep (${def.decayDays - days}d before one collapses).`, "warn");
+      return;
+    }
+    delete s.buildingDecay[type];
+    s.buildings[type] -= 1;
+    ctx.log(`A ${def.name.toLowerCase()} collapsed for want of upkeep (${s.buildings[type]} left).`, "bad");
+  }
+
+  // Daily upkeep of everything built (what payUpkeep will try to take).
+  function upkeepPerDay(s) {
+    const total = { food: 0, wood: 0, tools: 0 };
+    for (const [type, def] of Object.entries(buildingDefs(s))) {
+      for (const r of RESOURCES) total[r] += (def.upkeep?.[r] || 0) * builtCount(s, type);
+    }
+    return total;
+  }
+
+  // -------------------------------
+  // Raids
+  // -------------------------------
+  // Raider strength when sighted: grows with the day and the stores in sight.
+  function raidStrength(s) {
+    const C = cfg(s);
+    return C.RAID_BASE_STRENGTH + s.day * C.RAID_STRENGTH_PER_DAY + (s.food + s.wood) * C.RAID_STRENGTH_PER_WEALTH;
+  }
+
+  // Fit guards, armed by the tools in store and steadied by stability (x0.5 at none,
+  // x1.5 at STAB_MAX), plus palisades.
+  function defensePower(s) {
+    const C = cfg(s);
+    const arms = 1 + clamp(s.tools, 0, C.TOOLS_SOFTCAP) * C.GUARD_TOOLS_BONUS;
+    const morale = 0.5 + s.stability / C.STAB_MAX;
+    return s.workersGuards * fitShare(s) * C.GUARD_STRENGTH * arms * morale + buildingEffect(s, "defense");
+  }
+
+  // Chance the defenders hold: 50% when evenly matched, 80% at twice the raiders' strength.
+  function holdChance(defense, strength) {
+    const r = defense / strength;
+    return (r * r) / (1 + r * r);
+  }
+
+  function endRaid(s) {
+    s.raid = null;
+    s.raidEnded = s.day;
+  }
+
+  // Tribute effect: pays `share` of food and wood; the raiders turn back.
+  function payTribute(s, share) {
+    if (!s.raid) return {};
+    const food = Math.round(s.food * share);
+    const wood = Math.round(s.wood * share);
+    s.food -= food;
+    s.wood -= wood;
+    endRaid(s);
+    return { food, wood };
+  }
+
+  // One building at random (by count) burns down; returns its name, or null with nothing built.
+  function burnBuilding(s) {
+    const defs = buildingDefs(s);
+    const built = Object.keys(defs).filter((t) => builtCount(s, t) > 0);
+    let roll = rndInt(s, 1, built.reduce((sum, t) => sum + builtCount(s, t), 0));
+    for (const t of built) {
+      roll -= builtCount(s, t);
+      if (roll > 0) continue;
+      s.buildings[t] -= 1;
+      return defs[t].name;
+    }
+    return null;
+  }
+
+  // The raiders arrive. Defenders that hold may lose a few guards; a rout costs
+  // stores, lives and maybe a building, the more the weaker the defense.
+  function strikeRaid(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    const strength = s.raid.strength;
+    const defense = defensePower(s);
+    const repelled = rnd(s) < holdChance(defense, strength);
+    endRaid(s);
+
+    if (repelled) {
+      const fallen = Math.min(s.workersGuards, rndRound(s, strength * C.RAID_KILL_RATE * C.RAID_DEFENDER_LOSSES));
+      // Hired hands on the walls fall first; the rest are the town's adults.
+      const hiredFallen = Math.min(s.hired, fallen);
+      s.workersGuards -= fallen;
+      s.hired -= hiredFallen;
+      s.adults -= fallen - hiredFallen;
+      syncPop(s);
+      s.popFlow.deaths += fallen - hiredFallen;
+      validateWorkforce(s, null);
+      addApproval(s, { guards: C.RAID_GUARDS_APPROVAL });
+      const losses = fallen > 0 ? ` ${fallen} ${fallen === 1 ? "guard" : "guards"} fell.` : "";
+      ctx.log(`The raiders were beaten off.${losses}`, "good");
+    } else {
+      const severity = clamp(1 - defense / strength, 0.2, 1);
+      const food = s.food * C.RAID_LOOT_SHARE * severity;
+      const wood = s.wood * C.RAID_LOOT_SHARE * severity;
+      s.food -= food;
+      s.wood -= wood;
+      const killed = removePeople(s, rndRound(s, strength * C.RAID_KILL_RATE * severity));
+      s.popFlow.deaths += killed;
+      const burned = rnd(s) < C.RAID_BURN_CHANCE * severity ? burnBuilding(s) : null;
+      addStability(s, -C.RAID_ROUT_STABILITY);
+      addApproval(s, { guards: -C.RAID_GUARDS_APPROVAL });
+      ctx.log(
+        `Raiders broke through: ${Math.round(food)} food and ${Math.round(wood)} wood taken, ${killed} killed` +
+          `${burned ? `, a ${burned.toLowerCase()} burned down` : ""}.`,
+        "bad"
+      );
+    }
+    ctx.emit("raid", { repelled, strength, defense: round1(defense) });
+  }
+
+  // Daily: raiders on their way strike when due; otherwise new ones may be sighted.
+  function updateRaids(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    if (s.raid) {
+      if (s.day >= s.raid.day) strikeRaid(ctx);
+      return;
+    }
+    if (s.day < C.RAID_MIN_DAY || (s.raidEnded !== null && s.day - s.raidEnded < C.RAID_COOLDOWN)) return;
+    if (rnd(s) >= C.RAID_CHANCE) return;
+
+    const inDays = rndInt(s, C.RAID_WARNING_DAYS[0], C.RAID_WARNING_DAYS[1]);
+    const strength = round1(raidStrength(s));
+    s.raid = { day: s.day + inDays, strength };
+    if (eventDefs(s)[C.RAID_EVENT]) s.scheduledEvents.push({ key: C.RAID_EVENT, day: s.day });
+    ctx.log(`Raiders sighted (strength ${Math.round(strength)}): they will strike in ${inDays} days.`, "bad");
+    ctx.emit("raidSighted", { strength, inDays });
+  }
+
+  // Presentation view: { inDays, strength, defense, holdChance } while raiders are coming, else null.
+  function describeRaid(s) {
+    if (!s.raid) return null;
+    const defense = defensePower(s);
+    return { inDays: s.raid.day - s.day, strength: s.raid.strength, defense, holdChance: holdChance(defense, s.raid.strength) };
+  }
+
+  // -------------------------------
+  // Presets
+  // -------------------------------
+  function applyPreset(ctx, name) {
+    const s = ctx.s;
+    const preset = cfg(s).PRESETS[name];
+    if (!preset) return;
+
+    const pop = availableWorkers(s) - s.workersHerbs - s.workersGuards; // herbalists and guards stay at their posts
+
+    let f = Math.floor(pop * preset.food);
+    let w = Math.floor(pop * preset.wood);
+    let t = Math.floor(pop * preset.tools);
+
+    f = Math.max(0, f);
+    w = Math.max(0, w);
+    t = Math.max(0, t);
+
+    // Round to exactly pop with a deliberate priority order.
+    let used = f + w + t;
+    while (used < pop) {
+      f += 1; used += 1;
+      if (used >= pop) break;
+      w += 1; used += 1;
+      if (used >= pop) break;
+      t += 1; used += 1;
+    }
+    while (used > pop) {
+      if (t > 0) t -= 1;
+      else if (w > 0) w -= 1;
+      else if (f > 0) f -= 1;
+      used = f + w + t;
+    }
+
+    s.workersFood = f;
+    s.workersWood = w;
+    s.workersTools = t;
+
+    validateWorkforce(s, null);
+    ctx.log(`Applied preset: ${name}.`, "");
+  }
+
+  // -------------------------------
+  // Events (data)
+  // -------------------------------
+  // Each event is plain data, so games can add or replace events through
+  // config.EVENTS (merged by key) and saves never hold closures.
+  //
+  // Event:   { title, body, weight?, cooldown?, when?, scheduledOnly?, options }
+  //   weight        relative pick weight among eligible events (default 1)
+  //   cooldown      days before the same event can be rolled again (default 0)
+  //   when          eligibility conditions (see below); omitted = always eligible
+  //   scheduledOnly never rolled at random, only fired as a follow-up or a faction demand
+  //   market        { resource: factor } price shock applied when the event starts
+  // Option:  { label, requires?, effects?, log?, tone?, outcomes?, followUps? }
+  //   requires      conditions that enable the option
+  //   outcomes      [{ chance?, effects?, log?, tone?, followUps? }]; one is rolled,
+  //                 an entry without chance takes the remaining probability
+  //   followUps     [{ event, inDays }] schedule another event N days later
+  // Effects: { food | wood | tools | coins | pop | stability | health: delta | { min, max }, approval? }
+  //   ranges roll an integer; log text may reference the applied amount as {wood}.
+  //   approval: { faction: delta } for single FACTIONS (no ranges)
+  //   tribute: share of food and wood paid to the raiders on their way, who then turn back;
+  //   the amounts paid are {food} and {wood} in log text
+  // Conditions: { metric: value | { lt, lte, gt, gte, eq } }, all must hold.
+  const EVENTS = {
+    TRADERS: {
+      title: "Wandering Traders Arrive",
+      body: "They offer food for wood. Fair deal, but your stores matter.",
+      market: { food: 0.9 },
+      options: [
+        {
+          label: "Trade 20 wood → 35 food",
+          requires: { wood: { gte: 20 } },
+          effects: { wood: -20, food: 35, stability: 2 },
+          log: "You traded with the traders. Supplies improved.",
+          tone: "good",
+        },
+        {
+          label: "Buy 30 food for 25 coins",
+          requires: { coins: { gte: 25 } },
+          effects: { coins: -25, food: 30, stability: 1 },
+          log: "You paid the traders in coin.",
+          tone: "good",
+        },
+        {
+          label: "Refuse",
+          effects: { stability: -1 },
+          log: "You refused the traders.",
+        },
+      ],
+    },
+
+    THEFT: {
+      title: "Food Theft at Night",
+      body: "Hungry citizens stole from stores. You must respond.",
+      when: { starvationRisk: true },
+      market: { food: 1.15 },
+      options: [
+        {
+          label: "Punish harshly (order now, risk deaths)",
+          effects: { stability: 6, approval: { guards: 6, laborers: -4 } },
+          outcomes: [
+            {
+              chance: 0.35,
+              effects: { pop: -1 },
+              log: "Harsh punishment restored order—at a human cost.",
+              tone: "warn",
+              followUps: [{ event: "GRIEVING_FAMILIES", inDays: 3 }],
+            },
+            { log: "Harsh punishment restored order.", tone: "warn" },
+          ],
+        },
+        {
+          label: "Show mercy (authority down)",
+          effects: { stability: -6, food: -6, approval: { guards: -6, laborers: 4 } },
+          log: "Mercy preserved lives but weakened authority.",
+          tone: "bad",
+        },
+      ],
+    },
+
+    GRIEVING_FAMILIES: {
+      title: "Grieving Families",
+      body: "Relatives of the punished gather at the stores and demand answers.",
+      scheduledOnly: true,
+      options: [
+        {
+          label: "Compensate them (15 food)",
+          requires: { food: { gte: 15 } },
+          effects: { food: -15, stability: 3 },
+          log: "The families accepted your compensation.",
+          tone: "good",
+        },
+        {
+          label: "Turn them away",
+          effects: { stability: -7 },
+          log: "The families were turned away. Resentment spreads.",
+          tone: "bad",
+        },
+      ],
+    },
+
+    RIOT: {
+      title: "Public Riot",
+      body: "Crowds gather, angry and scared. This can spiral.",
+      when: { lowStability: true },
+      market: { wood: 1.1, tools: 1.15 },
+      options: [
+        {
+          label: "Spend 25 food to calm them",
+          requires: { food: { gte: 25 } },
+          effects: { food: -25, stability: 15, approval: { elders: -3 } },
+          log: "You defused the riot with emergency supplies.",
+          tone: "good",
+        },
+        {
+          label: "Use force (can backfire)",
+          effects: { stability: 8, approval: { guards: 5, laborers: -5 } },
+          outcomes: [
+            {
+              chance: 0.5,
+              effects: { wood: { min: -18, max: -5 }, stability: -10 },
+              log: "Force backfired: property damage (-{wood} wood).",
+              tone: "bad",
+            },
+            { log: "Force ended the riot quickly.", tone: "warn" },
+          ],
+        },
+      ],
+    },
+
+    KIDNAPPING: {
+      title: "Woodcutters Taken",
+      body: "Outlaws seized a party of woodcutters in the forest and name their price.",
+      when: { day: { gte: 10 }, workersWood: { gte: 3 } },
+      cooldown: 25,
+      options: [
+        {
+          label: "Pay the ransom (20 coins)",
+          requires: { coins: { gte: 20 } },
+          effects: { coins: -20, approval: { laborers: 3 } },
+          log: "The ransom was paid and the woodcutters came home.",
+          tone: "good",
+        },
+        {
+          label: "Pay in tools (15 tools)",
+          requires: { tools: { gte: 15 } },
+          effects: { tools: -15 },
+          log: "The outlaws took tools instead of coin.",
+          tone: "warn",
+        },
+        {
+          label: "Refuse",
+          effects: { pop: -2, approval: { laborers: -6 } },
+          log: "The outlaws kept their word: {pop} woodcutters never came back.",
+          tone: "bad",
+        },
+      ],
+    },
+
+    FOUL_WATER: {
+      title: "Foul Water",
+      body: "The well tastes wrong and people are falling ill from it.",
+      when: { health: { lt: 50 } },
+      cooldown: 15,
+      options: [
+        {
+          label: "Dig a new well (20 wood)",
+          requires: { wood: { gte: 20 } },
+          effects: { wood: -20, health: 10 },
+          log: "A new well was dug. The water runs clean.",
+          tone: "good",
+        },
+        {
+          label: "Boil the water (8 wood)",
+          requires: { wood: { gte: 8 } },
+          effects: { wood: -8, health: 4 },
+          log: "Boiling helps, for now.",
+        },
+        {
+          label: "Make do",
+          effects: { health: -6, approval: { elders: -3 } },
+          log: "People kept drinking from the foul well.",
+          tone: "bad",
+        },
+      ],
+    },
+
+    HEALER: {
+      title: "A Travelling Healer",
+      body: "A healer has heard of the sickness and offers to help, for a price.",
+      when: { outbreak: true },
+      cooldown: 10,
+      options: [
+        {
+          label: "Pay the healer (12 tools)",
+          requires: { tools: { gte: 12 } },
+          effects: { tools: -12, health: 12, approval: { elders: 4 } },
+          log: "The healer tended the sick for a few days.",
+          tone: "good",
+        },
+        {
+          label: "Send them away",
+          log: "The healer moved on.",
+        },
+      ],
+    },
+
+    // Announces state.raid (RAID_EVENT); never rolled at random.
+    RAIDERS_SIGHTED: {
+      title: "Raiders Sighted",
+      body: "Scouts report armed riders camped in the hills, eyeing your stores. They will come within days.",
+      scheduledOnly: true,
+      options: [
+        {
+          label: "Pay tribute (a quarter of food and wood)",
+          requires: { raidComing: true },
+          effects: { tribute: 0.25, approval: { guards: -5 } },
+          log: "You sent {food} food and {wood} wood to the hills. The raiders rode off.",
+          tone: "warn",
+        },
+        {
+          label: "Rally the guards (10 food)",
+          requires: { food: { gte: 10 } },
+          effects: { food: -10, approval: { guards: 8 } },
+          log: "The guards feasted and swore to hold the walls.",
+          tone: "good",
+        },
+        {
+          label: "Stand and wait",
+          log: "The settlement braces for the raid.",
+        },
+      ],
+    },
+
+    // Faction demands (FACTIONS.*.demand): raised by an unhappy faction, never at random.
+    FARMERS_DEMAND: {
+      title: "Farmers Demand Their Due",
+      body: "The farmers say they feed everyone and get nothing for it.",
+      scheduledOnly: true,
+      cooldown: 12,
+      options: [
+        {
+          label: "Grant them a share of the stores (20 food)",
+          requires: { food: { gte: 20 } },
+          effects: { food: -20, approval: { farmers: 12 } },
+          log: "The farmers took their share home.",
+          tone: "good",
+        },
+        {
+          label: "Refuse",
+          effects: { approval: { farmers: -6 } },
+          log: "The farmers went back to the fields, muttering.",
+          tone: "warn",
+        },
+      ],
+    },
+
+    LABORERS_STRIKE: {
+      title: "Laborers Down Tools",
+      body: "Woodcutters and smiths refuse to work until they are heard.",
+      scheduledOnly: true,
+      cooldown: 12,
+      options: [
+        {
+          label: "Pay them in tools (10 tools)",
+          requires: { tools: { gte: 10 } },
+          effects: { tools: -10, approval: { laborers: 12 } },
+          log: "The laborers accepted the tools and went back to work.",
+          tone: "good",
+        },
+        {
+          label: "Wait it out",
+          effects: { wood: { min: -12, max: -4 }, approval: { laborers: -4 } },
+          log: "The strike cost {wood} wood before it petered out.",
+          tone: "warn",
+        },
+      ],
+    },
+
+    ELDERS_COUNCIL: {
+      title: "The Elders Speak",
+      body: "The elders call a council: the settlement is being run recklessly.",
+      scheduledOnly: true,
+      cooldown: 12,
+      options: [
+        {
+          label: "Hold a meal in their honour (15 food)",
+          requires: { food: { gte: 15 } },
+          effects: { food: -15, approval: { elders: 12 } },
+          log: "The elders were honoured and calmed.",
+          tone: "good",
+        },
+        {
+          label: "Dismiss the council",
+          effects: { approval: { elders: -6 }, stability: -2 },
+          log: "The council was dismissed. Word of it spreads.",
+          tone: "warn",
+        },
+      ],
+    },
+
+    GUARDS_GRUMBLE: {
+      title: "Guards Threaten to Walk Off",
+      body: "The watch says it cannot keep order with bare hands and empty bellies.",
+      scheduledOnly: true,
+      cooldown: 12,
+      options: [
+        {
+          label: "Arm them (15 tools)",
+          requires: { tools: { gte: 15 } },
+          effects: { tools: -15, approval: { guards: 15 } },
+          log: "The guards were re-armed.",
+          tone: "good",
+        },
+        {
+          label: "Promise better days",
+          effects: { approval: { guards: -4 } },
+          outcomes: [
+            { chance: 0.4, effects: { stability: -5 }, log: "Some guards deserted; order slipped.", tone: "bad" },
+            { log: "The guards stayed, for now.", tone: "warn" },
+          ],
+        },
+      ],
+    },
+  };
+
+  const FALLBACK_EVENT = {
+    title: "Quiet Day",
+    body: "Nothing happens.",
+    options: [{ label: "Ok" }],
+  };
+
+  // Values conditions can test. Booleans only compare with true/false.
+  const METRICS = {
+    day: (s) => s.day,
+    pop: (s) => s.pop,
+    children: (s) => s.children,
+    adults: (s) => s.adults,
+    elders: (s) => s.elders,
+    food: (s) => s.food,
+    wood: (s) => s.wood,
+    tools: (s) => s.tools,
+    coins: (s) => s.coins,
+    taxRate: (s) => s.taxRate,
+    hired: (s) => s.hired,
+    stability: (s) => s.stability,
+    farms: (s) => s.buildings.farm || 0,
+    preserved: (s) => s.preserved,
+    health: (s) => s.health,
+    sick: (s) => s.sick,
+    outbreak: (s) => outbreakActive(s),
+    storageFull: (s) => s.food >= foodStorage(s),
+    workersFood: (s) => s.workersFood,
+    workersWood: (s) => s.workersWood,
+    workersTools: (s) => s.workersTools,
+    workersHerbs: (s) => s.workersHerbs,
+    workersGuards: (s) => s.workersGuards,
+    shelter: (s) => popCap(s),
+    homeless: (s) => homeless(s),
+    occupancy: (s) => s.pop / popCap(s),
+    defense: (s) => defensePower(s),
+    raidComing: (s) => !!s.raid,
+    foodJobShare: (s) => {
+      const workers = Object.values(JOBS).reduce((sum, k) => sum + s[k], 0);
+      return workers > 0 ? s.workersFood / workers : 0;
+    },
+    lowestApproval: (s) => Math.min(...Object.values(s.factions)),
+    starveDays: (s) => s.starveDays,
+    foodPerPop: (s) => (s.pop > 0 ? s.food / s.pop : 0),
+    starvationRisk: (s) => s.food < Math.max(s.pop * cfg(s).STARVATION_RISK_FOOD_RATIO, foodReserveNeeded(s)),
+    lowStability: (s) => s.stability < cfg(s).LOW_STABILITY_THRESHOLD,
+  };
+  const BOOLEAN_METRICS = ["starvationRisk", "lowStability", "storageFull", "outbreak", "raidComing"];
+
+  const EFFECT_KEYS = ["food", "wood", "tools", "coins", "pop", "stability", "health", "approval", "tribute"];
+  const CONDITION_OPS = ["lt", "lte", "gt", "gte", "eq"];
+  const EVENT_KEYS = ["title", "body", "weight", "cooldown", "when", "scheduledOnly", "market", "options"];
+  const OPTION_KEYS = ["label", "requires", "effects", "log", "tone", "outcomes", "followUps"];
+  const OUTCOME_KEYS = ["chance", "effects", "log", "tone", "followUps"];
+
+  const eventDefsCache = new WeakMap();
+
+  function eventDefs(s) {
+    const overrides = s.config || {};
+    let defs = eventDefsCache.get(overrides);
+    if (!defs) {
+      defs = { ...EVENTS, ...(overrides.EVENTS || {}) };
+      eventDefsCache.set(overrides, defs);
+    }
+    return defs;
+  }
+
+  function conditionsHold(s, conds) {
+    if (!conds) return true;
+    for (const [name, test] of Object.entries(conds)) {
+      const v = METRICS[name](s);
+      if (typeof test !== "object") {
+        if (v !== test) return false;
+        continue;
+      }
+      if (test.lt !== undefined && !(v < test.lt)) return false;
+      if (test.lte !== undefined && !(v <= test.lte)) return false;
+      if (test.gt !== undefined && !(v > test.gt)) return false;
+      if (test.gte !== undefined && !(v >= test.gte)) return false;
+      if (test.eq !== undefined && v !== test.eq) return false;
+    }
+    return true;
+  }
+
+  const OP_SYMBOLS = { lt: "<", lte: "≤", gt: ">", gte: "≥", eq: "=" };
+
+  // "food ≥ 20", "starvationRisk = true", ... one entry per test.
+  function conditionLabels(conds) {
+    return Object.entries(conds || {}).map(([name, test]) =>
+      typeof test === "object"
+        ? Object.entries(test).map(([op, v]) => `${name} ${OP_SYMBOLS[op]} ${v}`).join(", ")
+        : `${name} = ${test}`
+    );
+  }
+
+  // Applies deltas; returns the applied amounts by key (for log templates).
+  function applyEffects(s, effects) {
+    const applied = {};
+    for (const [key, spec] of Object.entries(effects || {})) {
+      if (key === "approval") {
+        addApproval(s, spec);
+        continue;
+      }
+      if (key === "tribute") {
+        Object.assign(applied, payTribute(s, spec));
+        continue;
+      }
+      const delta = typeof spec === "object" ? rndInt(s, spec.min, spec.max) : spec;
+      if (key === "stability") {
+        addStability(s, delta);
+      } else if (key === "coins") {
+        applied.coins = Math.abs(addCoins(s, "events", delta));
+        continue;
+      } else if (key === "health") {
+        s.health = clamp(s.health + delta, 0, cfg(s).HEALTH_MAX);
+      } else if (key === "pop") {
+        // Losses hit every cohort; arrivals are working-age adults.
+        if (delta < 0) {
+          applied.pop = removePeople(s, -delta);
+          s.popFlow.deaths += applied.pop;
+        } else {
+          addPeople(s, "adults", delta);
+          applied.pop = delta;
+          s.popFlow.immigrants += delta;
+        }
+        continue;
+      } else {
+        const before = s[key];
+        s[key] = clamp(before + delta, 0, 999999);
+        applied[key] = Math.abs(s[key] - before);
+        continue;
+      }
+      applied[key] = Math.abs(delta);
+    }
+    return applied;
+  }
+
+  function scheduleFollowUps(ctx, followUps) {
+    for (const f of followUps || []) {
+      ctx.s.scheduledEvents.push({ key: f.event, day: ctx.s.day + f.inDays });
+    }
+  }
+
+  function logTemplate(ctx, text, tone, applied) {
+    if (!text) return;
+    ctx.log(text.replace(/\{(\w+)\}/g, (m, k) => (k in applied ? String(applied[k]) : m)), tone || "");
+  }
+
+  // Rolls one outcome; entries without chance share what is left.
+  function pickOutcome(s, outcomes) {
+    const roll = rnd(s);
+    let acc = 0;
+    for (const o of outcomes) {
+      if (o.chance === undefined) return o;
+      acc += o.chance;
+      if (roll < acc) return o;
+    }
+    return null;
+  }
+
+  function lookupEvent(s, key) {
+    return eventDefs(s)[key] || FALLBACK_EVENT;
+  }
+
+  function eventTitle(s, key) {
+    return lookupEvent(s, key).title;
+  }
+
+  // Presentation view of the active event: { key, title, body, options: [{ label, enabled }] }.
+  function describeEvent(s) {
+    if (!s.activeEvent) return null;
+    const ev = lookupEvent(s, s.activeEvent.key);
+    return {
+      key: s.activeEvent.key,
+      title: ev.title,
+      body: ev.body,
+      options: ev.options.map((opt) => ({ label: opt.label, enabled: conditionsHold(s, opt.requires) })),
+    };
+  }
+
+  function startEvent(ctx, key, scheduled) {
+    const s = ctx.s;
+    for (const [r, factor] of Object.entries(lookupEvent(s, key).market || {})) shiftIndex(s, r, factor);
+    s.activeEvent = { key };
+    s.eventLastFired[key] = s.day;
+    ctx.emit("eventStarted", { key, scheduled });
+  }
+
+  function maybeTriggerEvent(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    if (s.activeEvent || s.gameOver) return;
+
+    // Follow-ups that are due fire before any random roll (earliest first).
+    const due = s.scheduledEvents.filter((e) => e.day <= s.day).sort((a, b) => a.day - b.day)[0];
+    if (due) {
+      s.scheduledEvents.splice(s.scheduledEvents.indexOf(due), 1);
+      startEvent(ctx, due.key, true);
+      return;
+    }
+
+    // An unhappy faction may press its demand instead of a random event.
+    const demand = factionDemand(s);
+    if (demand && rnd(s) < C.FACTION_DEMAND_CHANCE) {
+      startEvent(ctx, demand, false);
+      return;
+    }
+
+    // Heavy taxes can spill into the streets, however stable the settlement.
+    if (s.taxRate > 0 && eventDefs(s)[C.TAX_RIOT_EVENT] && rnd(s) < s.taxRate * C.TAX_RIOT_CHANCE) {
+      startEvent(ctx, C.TAX_RIOT_EVENT, false);
+      return;
+    }
+
+    let chance = C.EVENT_BASE_CHANCE;
+    if (METRICS.starvationRisk(s)) chance += C.EVENT_STARVATION_BONUS;
+    if (METRICS.lowStability(s)) chance += C.EVENT_LOWSTAB_BONUS;
+
+    if (rnd(s) > chance) return;
+
+    const defs = eventDefs(s);
+    const pool = Object.keys(defs).filter((key) => {
+      const ev = defs[key];
+      if (ev.scheduledOnly) return false;
+      const last = s.eventLastFired[key];
+      if (ev.cooldown && last !== undefined && s.day - last < ev.cooldown) return false;
+      return conditionsHold(s, ev.when);
+    });
+    if (pool.length === 0) return;
+
+    const total = pool.reduce((sum, key) => sum + (defs[key].weight ?? 1), 0);
+    let roll = rnd(s) * total;
+    let pick = pool[pool.length - 1];
+    for (const key of pool) {
+      roll -= defs[key].weight ?? 1;
+      if (roll < 0) {
+        pick = key;
+        break;
+      }
+    }
+
+    startEvent(ctx, pick, false);
+  }
+
+  function resolveEvent(ctx, optionIndex) {
+    const s = ctx.s;
+    if (!s.activeEvent) return;
+
+    const key = s.activeEvent.key;
+    const opt = lookupEvent(s, key).options?.[optionIndex];
+    if (!opt || !conditionsHold(s, opt.requires)) return;
+
+    const applied = applyEffects(s, opt.effects);
+    logTemplate(ctx, opt.log, opt.tone, applied);
+    scheduleFollowUps(ctx, opt.followUps);
+
+    if (opt.outcomes) {
+      const outcome = pickOutcome(s, opt.outcomes);
+      if (outcome) {
+        const more = applyEffects(s, outcome.effects);
+        logTemplate(ctx, outcome.log, outcome.tone, { ...applied, ...more });
+        scheduleFollowUps(ctx, outcome.followUps);
+      }
+    }
+
+    s.activeEvent = null;
+    ctx.emit("eventResolved", { key, option: optionIndex });
+  }
+
+  // -------------------------------
+  // Event validation
+  // -------------------------------
+  function unknownKeys(problems, where, obj, allowed) {
+    for (const k of Object.keys(obj)) if (!allowed.includes(k)) problems.push(`${where}: unknown key "${k}"`);
+  }
+
+  // Conditions are { metric: value | { lt, lte, gt, gte, eq } } (see METRICS).
+  function conditionProblems(problems, where, conds) {
+    if (conds === undefined) return;
+    if (!conds || typeof conds !== "object") {
+      problems.push(`${where}: conditions must be an object`);
+      return;
+    }
+    for (const [name, test] of Object.entries(conds)) {
+      const at = `${where}.${name}`;
+      if (!METRICS[name]) {
+        problems.push(`${at}: unknown metric`);
+        continue;
+      }
+      const isBool = BOOLEAN_METRICS.includes(name);
+      if (typeof test !== "object" || test === null) {
+        if (isBool !== (typeof test === "boolean")) problems.push(`${at}: ${isBool ? "boolean" : "numeric"} metric compared with ${JSON.stringify(test)}`);
+        continue;
+      }
+      if (isBool) {
+        problems.push(`${at}: boolean metric cannot use range operators`);
+        continue;
+      }
+      unknownKeys(problems, at, test, CONDITION_OPS);
+      for (const op of CONDITION_OPS) {
+        if (test[op] !== undefined && !Number.isFinite(test[op])) problems.push(`${at}.${op}: must be a number`);
+      }
+      // Impossible ranges: lower bound above upper bound, or eq outside the range.
+      const lo = Math.max(test.gt ?? -Infinity, test.gte ?? -Infinity);
+      const hi = Math.min(test.lt ?? Infinity, test.lte ?? Infinity);
+      const loOpen = test.gt !== undefined && test.gt >= (test.gte ?? -Infinity);
+      const hiOpen = test.lt !== undefined && test.lt <= (test.lte ?? Infinity);
+      if (lo > hi || (lo === hi && (loOpen || hiOpen))) problems.push(`${at}: impossible range`);
+      if (test.eq !== undefined && (test.eq < lo || test.eq > hi)) problems.push(`${at}: eq outside range`);
+    }
+  }
+
+  // Returns a list of human-readable problems (empty when the table is sound).
+  function validateEvents(defs) {
+    const problems = [];
+    const keys = Object.keys(defs || {});
+
+    const unknown = (where, obj, allowed) => unknownKeys(problems, where, obj, allowed);
+    const checkConditions = (where, conds) => conditionProblems(problems, where, conds);
+
+    const checkEffects = (where, effects) => {
+      if (effects === undefined) return;
+      for (const [k, spec] of Object.entries(effects)) {
+        if (!EFFECT_KEYS.includes(k)) {
+          problems.push(`${where}: unknown effect "${k}"`);
+        } else if (k === "approval") {
+          approvalProblems(problems, `${where}.approval`, spec);
+        } else if (k === "tribute") {
+          if (!(Number.isFinite(spec) && spec > 0 && spec <= 1)) problems.push(`${where}.tribute: share must be in (0, 1]`);
+        } else if (typeof spec === "object") {
+          if (!Number.isInteger(spec?.min) || !Number.isInteger(spec?.max) || spec.min > spec.max) {
+            problems.push(`${where}.${k}: range needs integer min <= max`);
+          }
+        } else if (!Number.isFinite(spec)) {
+          problems.push(`${where}.${k}: delta must be a number`);
+        }
+      }
+    };
+
+    const checkFollowUps = (where, followUps) => {
+      for (const [i, f] of (followUps || []).entries()) {
+        if (!keys.includes(f.event)) problems.push(`${where}.followUps[${i}]: unknown event "${f.event}"`);
+        if (!Number.isInteger(f.inDays) || f.inDays < 1) problems.push(`${where}.followUps[${i}]: inDays must be an integer >= 1`);
+      }
+    };
+
+    for (const key of keys) {
+      const ev = defs[key];
+      unknown(key, ev, EVENT_KEYS);
+      if (!ev.title) problems.push(`${key}: missing title`);
+      if (ev.weight !== undefined && !(ev.weight > 0)) problems.push(`${key}: weight must be > 0`);
+      if (ev.cooldown !== undefined && !(Number.isInteger(ev.cooldown) && ev.cooldown >= 0)) {
+        problems.push(`${key}: cooldown must be an integer >= 0`);
+      }
+      checkConditions(`${key}.when`, ev.when);
+      for (const [r, factor] of Object.entries(ev.market || {})) {
+        if (!RESOURCES.includes(r)) problems.push(`${key}.market: unknown resource "${r}"`);
+        else if (!(Number.isFinite(factor) && factor > 0)) problems.push(`${key}.market.${r}: must be a number > 0`);
+      }
+      if (!Array.isArray(ev.options) || ev.options.length === 0) {
+        problems.push(`${key}: needs at least one option`);
+        continue;
+      }
+      if (ev.options.every((o) => o.requires)) problems.push(`${key}: every option has requirements (event can deadlock)`);
+
+      ev.options.forEach((opt, i) => {
+        const at = `${key}.options[${i}]`;
+        unknown(at, opt, OPTION_KEYS);
+        if (!opt.label) problems.push(`${at}: missing label`);
+        checkConditions(`${at}.requires`, opt.requires);
+        checkEffects(`${at}.effects`, opt.effects);
+        checkFollowUps(at, opt.followUps);
+
+        if (opt.outcomes === undefined) return;
+        let total = 0;
+        opt.outcomes.forEach((o, j) => {
+          const oat = `${at}.outcomes[${j}]`;
+          unknown(oat, o, OUTCOME_KEYS);
+          if (o.chance !== undefined) {
+            if (!(o.chance > 0 && o.chance <= 1)) problems.push(`${oat}: chance must be in (0, 1]`);
+            total += o.chance;
+          } else if (j !== opt.outcomes.length - 1) {
+            problems.push(`${oat}: only the last outcome may omit chance`);
+          }
+          checkEffects(`${oat}.effects`, o.effects);
+          checkFollowUps(oat, o.followUps);
+        });
+        if (total > 1 + 1e-9) problems.push(`${at}: outcome chances add up to more than 1`);
+      });
+    }
+
+    return problems;
+  }
+
+  function assertValidEvents(defs, where) {
+    const problems = validateEvents(defs);
+    if (problems.length) throw new Error(`Invalid events (${where}):\n- ${problems.join("\n- ")}`);
+  }
+
+  // Shipped table is checked once at load time.
+  assertValidEvents(EVENTS, "built-in");
+
+  // -------------------------------
+  // Scenarios (data)
+  // -------------------------------
+  // A scenario is data:
+  //   name, description
+  //   start       overrides for the starting state (cohorts, resources, workers, buildings)
+  //   config      CONFIG overrides (explicit createGame() config wins over these)
+  //   objectives  [{ label, when, forDays? }] all must be met to win. One is met once its
+  //               conditions (see METRICS) hold forDays days in a row (default 1).
+  //               Omitted: survive CONFIG.WIN_DAY days.
+  //   fail        [{ label, when, forDays? }] extra lose conditions, same rules
+  //   turnLimit   day by which every objective must be met
+  const SCENARIOS = {
+    easy: {
+      name: "Easy",
+      description: "Full stores, kinder harvests, fewer troubles.",
+      start: { food: 140, wood: 60, tools: 20, stability: 80 },
+      config: { FOOD_PER_WORKER: 1.25, EVENT_BASE_CHANCE: 0.03 },
+    },
+    normal: {
+      name: "Normal",
+      description: "The standard settlement.",
+    },
+    hard: {
+      name: "Hard",
+      description: "Thin stores, poor soil, restless people. Famine ends the run sooner.",
+      start: { food: 50, wood: 25, tools: 5, stability: 60 },
+      config: { FOOD_PER_WORKER: 1.1, EVENT_BASE_CHANCE: 0.08, STARVE_DAYS_GAMEOVER: 10 },
+    },
+    boomtown: {
+      name: "Boomtown",
+      description: "Settlers flock to a growing town. Reach 80 people; houses raise the shelter cap.",
+      start: { food: 150, wood: 80, buildings: { farm: 2, house: 2 } },
+      config: { IMMIGRATION_MAX_PER_DAY: 1.2 },
+      objectives: [{ label: "Reach 80 population", when: { pop: { gte: 80 } } }],
+      turnLimit: 120,
+    },
+    breadbasket: {
+      name: "Breadbasket",
+      description: "Build 5 farms before the second winter, without a long famine.",
+      objectives: [{ label: "Build 5 farms", when: { farms: { gte: 5 } } }],
+      fail: [{ label: "Hungry for 5 days", when: { starveDays: { gte: 5 } } }],
+      turnLimit: 70,
+    },
+    orderly: {
+      name: "Law and Order",
+      description: "Order is shaky. Keep stability above 60 for 20 days in a row; falling below 30 loses.",
+      start: { stability: 50 },
+      objectives: [{ label: "Stability above 60 for 20 days", when: { stability: { gt: 60 } }, forDays: 20 }],
+      fail: [{ label: "Stability fell below 30", when: { stability: { lt: 30 } } }],
+      turnLimit: 60,
+    },
+  };
+
+  const DEFAULT_SCENARIO = "normal";
+  const SCENARIO_KEYS = ["name", "description", "start", "config", "objectives", "fail", "turnLimit"];
+  const GOAL_KEYS = ["label", "when", "forDays"];
+
+  function scenarioDef(s) {
+    return SCENARIOS[s.scenario] || SCENARIOS[DEFAULT_SCENARIO];
+  }
+
+  function objectiveDefs(s) {
+    const sc = scenarioDef(s);
+    if (sc.objectives) return sc.objectives;
+    const days = cfg(s).WIN_DAY;
+    return [{ label: `Survive ${days} days`, when: { day: { gte: days } } }];
+  }
+
+  // Next streak for a goal: consecutive days its conditions held (met at forDays).
+  function trackGoal(s, goal, streak) {
+    return conditionsHold(s, goal.when) ? streak + 1 : 0;
+  }
+
+  // End-of-day check: scenario fail conditions, objectives, then the turn limit.
+  function checkScenario(ctx) {
+    const s = ctx.s;
+    const sc = scenarioDef(s);
+
+    const fails = sc.fail || [];
+    for (let i = 0; i < fails.length; i++) {
+      s.failStreaks[i] = trackGoal(s, fails[i], s.failStreaks[i] || 0);
+      if (s.failStreaks[i] >= (fails[i].forDays || 1)) {
+        return endGame(ctx, "scenario", `Scenario failed: ${fails[i].label}.`, false, fails[i].label);
+      }
+    }
+
+    const goals = objectiveDefs(s);
+    let last = null;
+    goals.forEach((goal, i) => {
+      const p = s.objectives[i] || (s.objectives[i] = { done: false, streak: 0 });
+      if (p.done) return;
+      p.streak = trackGoal(s, goal, p.streak);
+      if (p.streak >= (goal.forDays || 1)) {
+        p.done = true;
+        last = goal.label;
+      }
+    });
+
+    const open = goals.find((_, i) => !s.objectives[i].done);
+    if (!open) return endGame(ctx, "objectives", `Objective complete: ${last}. ${sc.name} scenario won.`, true, last);
+    if (last) ctx.log(`Objective complete: ${last}.`, "good");
+
+    if (sc.turnLimit && s.day >= sc.turnLimit) {
+      return endGame(ctx, "turnLimit", `Out of time: "${open.label}" not met by day ${sc.turnLimit}.`, false, open.label);
+    }
+  }
+
+  // Presentation view: { key, name, description, objectives: [{ label, done, streak, forDays }], fail, turnLimit }
+  function describeScenario(s) {
+    const sc = scenarioDef(s);
+    return {
+      key: s.scenario,
+      name: sc.name,
+      description: sc.description || "",
+      objectives: objectiveDefs(s).map((goal, i) => ({
+        label: goal.label,
+        done: !!s.objectives[i]?.done,
+        streak: s.objectives[i]?.streak || 0,
+        forDays: goal.forDays || 1,
+      })),
+      fail: (sc.fail || []).map((f) => f.label),
+      turnLimit: sc.turnLimit || null,
+    };
+  }
+
+  // Returns a list of human-readable problems (empty when the table is sound).
+  function validateScenarios(defs) {
+    const problems = [];
+    const checkGoals = (where, goals) => {
+      if (goals === undefined) return;
+      if (!Array.isArray(goals) || goals.length === 0) {
+        problems.push(`${where}: must be a non-empty list`);
+        return;
+      }
+      goals.forEach((goal, i) => {
+        const at = `${where}[${i}]`;
+        unknownKeys(problems, at, goal, GOAL_KEYS);
+        if (!goal.label) problems.push(`${at}: missing label`);
+        if (!goal.when) problems.push(`${at}: missing when`);
+        conditionProblems(problems, `${at}.when`, goal.when);
+        if (goal.forDays !== undefined && !(Number.isInteger(goal.forDays) && goal.forDays >= 1)) {
+          problems.push(`${at}: forDays must be an integer >= 1`);
+        }
+      });
+    };
+
+    for (const [key, sc] of Object.entries(defs || {})) {
+      unknownKeys(problems, key, sc, SCENARIO_KEYS);
+      if (!sc.name) problems.push(`${key}: missing name`);
+      for (const field of Object.keys(sc.start || {})) {
+        if (!(field in INITIAL({}, 0))) problems.push(`${key}.start: unknown state field "${field}"`);
+      }
+      for (const name of Object.keys(sc.config || {})) {
+        if (!(name in DEFAULT_CONFIG) && name !== "EVENTS") problems.push(`${key}.config: unknown CONFIG key "${name}"`);
+      }
+      checkGoals(`${key}.objectives`, sc.objectives);
+      checkGoals(`${key}.fail`, sc.fail);
+      if (sc.turnLimit !== undefined && !(Number.isInteger(sc.turnLimit) && sc.turnLimit >= 1)) {
+        problems.push(`${key}: turnLimit must be an integer >= 1`);
+      }
+    }
+    return problems;
+  }
+
+  const scenarioProblems = validateScenarios(SCENARIOS);
+  if (scenarioProblems.length) throw new Error(`Invalid scenarios (built-in):\n- ${scenarioProblems.join("\n- ")}`);
+
+  // -------------------------------
+  // Actions (player-driven)
+  // -------------------------------
+  const actions = {
+    // Kept as an action for the Decisions button and older recordings.
+    buildFarm: (ctx) => build(ctx, "farm"),
+    burnSupplies,
+  };
+
+  // Whether an action button should be enabled.
+  function actionAvailable(s, name) {
+    if (s.gameOver || typeof actions[name] !== "function") return false;
+    if (name === "buildFarm") return canBuild(s, "farm");
+    if (name === "burnSupplies") {
+      const burned = s.suppliesBurned;
+      return outbreakActive(s) && (burned === null || s.day - burned >= cfg(s).BURN_COOLDOWN);
+    }
+    return true;
+  }
+
+  // -------------------------------
+  // Policies
+  // -------------------------------
+  // Policy (CONFIG.POLICIES entry):
+  //   name, icon?, description?
+  //   days              how long it runs once enacted (0 = until revoked)
+  //   cost?             resources paid on enacting
+  //   stability?        stability change on enacting
+  //   approval?         { faction: delta } on enacting (see FACTIONS)
+  //   requires?         conditions (see METRICS) that must hold to enact
+  //   requiresBuildings? { type: count } built before it can be enacted
+  //   modifiers?        { modifier: value } while active (see POLICY_MODIFIERS)
+  //   excludes?         policies that cannot run alongside (checked both ways)
+  //   cooldown?         days after it ends before it can be enacted again
+  //   revokeStability?  stability lost when revoked early (default POLICY_REVOKE_STABILITY)
+  //
+  // How modifiers combine across active policies: "mul" multiplies (1 with none
+  // active), "add" sums (0 with none active).
+  const POLICY_MODIFIERS = {
+    foodOutput: "mul",
+    woodOutput: "mul",
+    toolsOutput: "mul",
+    toolsDecay: "mul",
+    consumption: "mul",
+    births: "mul",
+    emigration: "mul",
+    spread: "mul", // new cases per day during an outbreak
+    stabilityPerDay: "add", // daily stability change; gains stop at STAB_DRIFT_CAP
+  };
+  const POLICY_KEYS = ["name", "icon", "description", "days", "cost", "stability", "approval", "requires", "requiresBuildings", "modifiers", "excludes", "cooldown", "revokeStability"];
+
+  function policyDefs(s) {
+    return cfg(s).POLICIES;
+  }
+
+  function activePolicies(s) {
+    return Object.keys(s.policies);
+  }
+
+  function policyModifier(s, modifier) {
+    const defs = policyDefs(s);
+    const mode = POLICY_MODIFIERS[modifier];
+    let total = mode === "mul" ? 1 : 0;
+    for (const key of activePolicies(s)) {
+      const value = defs[key]?.modifiers?.[modifier];
+      if (value === undefined) continue;
+      if (mode === "mul") total *= value;
+      else total += value;
+    }
+    return total;
+  }
+
+  function policiesClash(defs, a, b) {
+    return !!(defs[a]?.excludes?.includes(b) || defs[b]?.excludes?.includes(a));
+  }
+
+  // Why `key` cannot be enacted right now, or null when it can.
+  function policyProblem(s, key) {
+    const defs = policyDefs(s);
+    const def = defs[key];
+    if (!def) return "unknown policy";
+    if (s.gameOver) return "the run is over";
+    if (s.policies[key]) return "already in effect";
+    const ready = s.policyCooldowns[key];
+    if (ready > s.day) return `cooling down for ${ready - s.day} more day${ready - s.day === 1 ? "" : "s"}`;
+    const clash = activePolicies(s).find((other) => policiesClash(defs, key, other));
+    if (clash) return `cannot run alongside ${defs[clash].name}`;
+    for (const [type, n] of Object.entries(def.requiresBuildings || {})) {
+      if (builtCount(s, type) < n) return `needs ${n} ${buildingDefs(s)[type]?.name || type}`;
+    }
+    if (!conditionsHold(s, def.requires)) return `needs ${conditionLabels(def.requires).join(" and ")}`;
+    if (!canAfford(s, def.cost)) return `needs ${fmtCost(def.cost)}`;
+    return null;
+  }
+
+  function canEnact(s, key) {
+    return policyProblem(s, key) === null;
+  }
+
+  function enactPolicy(ctx, key) {
+    const s = ctx.s;
+    const def = policyDefs(s)[key];
+    if (!def) return;
+    const problem = policyProblem(s, key);
+    if (problem) {
+      ctx.log(`Cannot enact ${def.name}: ${problem}.`, "bad");
+      return;
+    }
+    for (const r of RESOURCES) s[r] -= def.cost?.[r] || 0;
+    if (def.stability) addStability(s, def.stability);
+    if (def.approval) addApproval(s, def.approval);
+    s.policies[key] = { left: def.days || null };
+    const tone = def.stability > 0 ? "good" : def.stability < 0 ? "warn" : "";
+    ctx.log(def.days ? `${def.name} enacted for ${def.days} days.` : `${def.name} enacted until revoked.`, tone);
+  }
+
+  // The policy's last day in effect was the day before `offFrom`.
+  function endPolicy(s, key, offFrom) {
+    const def = policyDefs(s)[key];
+    delete s.policies[key];
+    if (def?.cooldown) s.policyCooldowns[key] = offFrom + def.cooldown;
+    else delete s.policyCooldowns[key];
+  }
+
+  // Takes effect from today. Timed policies cost stability when cut short.
+  function revokePolicy(ctx, key) {
+    const s = ctx.s;
+    const p = s.policies[key];
+    if (!p) return;
+    const def = policyDefs(s)[key] || { name: key };
+    endPolicy(s, key, s.day);
+    const penalty = p.left !== null ? def.revokeStability ?? cfg(s).POLICY_REVOKE_STABILITY : 0;
+    if (penalty > 0) {
+      addStability(s, -penalty);
+      ctx.log(`${def.name} revoked early (-${penalty} stability).`, "warn");
+    } else {
+      ctx.log(`${def.name} revoked.`, "");
+    }
+  }
+
+  // End of day: timed policies count the day down; expired ones end.
+  function advancePolicies(ctx) {
+    const s = ctx.s;
+    for (const key of activePolicies(s)) {
+      const p = s.policies[key];
+      if (p.left === null) continue;
+      p.left -= 1;
+      if (p.left > 0) continue;
+      endPolicy(s, key, s.day + 1);
+      ctx.log(`${policyDefs(s)[key]?.name || key} ends.`, "");
+    }
+  }
+
+  // Presentation view: [{ key, name, icon, description, days, cost, stability, approval, modifiers,
+  //   active, left, problem }] in registry order; problem is policyProblem() (null = can enact).
+  function describePolicies(s) {
+    return Object.entries(policyDefs(s)).map(([key, def]) => ({
+      key,
+      name: def.name,
+      icon: def.icon || "policy",
+      description: def.description || "",
+      days: def.days || 0,
+      cost: def.cost || {},
+      stability: def.stability || 0,
+      approval: def.approval || {},
+      modifiers: def.modifiers || {},
+      active: !!s.policies[key],
+      left: s.policies[key]?.left ?? null,
+      problem: policyProblem(s, key),
+    }));
+  }
+
+  // Returns a list of human-readable problems (empty when the table is sound).
+  function validatePolicies(defs) {
+    const problems = [];
+    const keys = Object.keys(defs || {});
+    const count = (where, v) => {
+      if (v !== undefined && !(Number.isInteger(v) && v >= 0)) problems.push(`${where}: must be an integer >= 0`);
+    };
+
+    for (const key of keys) {
+      const def = defs[key];
+      unknownKeys(problems, key, def, POLICY_KEYS);
+      if (!def.name) problems.push(`${key}: missing name`);
+      count(`${key}.days`, def.days);
+      count(`${key}.cooldown`, def.cooldown);
+      for (const field of ["stability", "revokeStability"]) {
+        if (def[field] !== undefined && !Number.isFinite(def[field])) problems.push(`${key}.${field}: must be a number`);
+      }
+      for (const [r, n] of Object.entries(def.cost || {})) {
+        if (!RESOURCES.includes(r)) problems.push(`${key}.cost: unknown resource "${r}"`);
+        else if (!(Number.isFinite(n) && n >= 0)) problems.push(`${key}.cost.${r}: must be a number >= 0`);
+      }
+      approvalProblems(problems, `${key}.approval`, def.approval);
+      conditionProblems(problems, `${key}.requires`, def.requires);
+      for (const [type, n] of Object.entries(def.requiresBuildings || {})) count(`${key}.requiresBuildings.${type}`, n);
+      for (const [m, v] of Object.entries(def.modifiers || {})) {
+        if (!POLICY_MODIFIERS[m]) problems.push(`${key}.modifiers: unknown modifier "${m}"`);
+        else if (!Number.isFinite(v)) problems.push(`${key}.modifiers.${m}: must be a number`);
+      }
+      for (const other of def.excludes || []) {
+        if (!keys.includes(other)) problems.push(`${key}.excludes: unknown policy "${other}"`);
+        else if (other === key) problems.push(`${key}.excludes: cannot exclude itself`);
+      }
+    }
+    return problems;
+  }
+
+  function assertValidPolicies(defs, where) {
+    const problems = validatePolicies(defs);
+    if (problems.length) throw new Error(`Invalid policies (${where}):\n- ${problems.join("\n- ")}`);
+  }
+
+  assertValidPolicies(DEFAULT_CONFIG.POLICIES, "built-in");
+
+  // -------------------------------
+  // Factions
+  // -------------------------------
+  // Faction (CONFIG.FACTIONS entry):
+  //   name, icon?, description?
+  //   size      { metric: weight, base? } how many people it speaks for (see METRICS)
+  //   moods?    [{ when, drift }] daily approval change while the conditions hold;
+  //             gains stop at STAB_DRIFT_CAP like the ambient drift
+  //   demand?   EVENTS key it raises while its approval is below FACTION_DEMAND_BELOW
+  //
+  // state.factions holds the approvals (STAB_MIN..STAB_MAX). state.stability is
+  // derived from them, so conditions, births and migration read it as before.
+  const FACTION_KEYS = ["name", "icon", "description", "size", "moods", "demand"];
+  const MOOD_KEYS = ["when", "drift"];
+
+  function factionDefs(s) {
+    return cfg(s).FACTIONS;
+  }
+
+  function factionSize(s, def) {
+    let n = def.size.base || 0;
+    for (const [metric, weight] of Object.entries(def.size)) if (metric !== "base") n += METRICS[metric](s) * weight;
+    return Math.max(0, n);
+  }
+
+  // key -> share of the say (sums to 1; equal shares if nobody is counted).
+  function factionWeights(s) {
+    const defs = factionDefs(s);
+    const keys = Object.keys(defs);
+    const sizes = keys.map((k) => factionSize(s, defs[k]));
+    const total = sizes.reduce((sum, n) => sum + n, 0);
+    return Object.fromEntries(keys.map((k, i) => [k, total > 0 ? sizes[i] / total : 1 / keys.length]));
+  }
+
+  // Approvals averaged by size. Rounded so equal approvals give exactly that stability.
+  function syncStability(s) {
+    let total = 0;
+    for (const [key, weight] of Object.entries(factionWeights(s))) total += s.factions[key] * weight;
+    s.stability = Math.round(total * 100) / 100;
+  }
+
+  // { faction: delta }; factions this game does not have are ignored.
+  function addApproval(s, changes) {
+    const C = cfg(s);
+    for (const [key, delta] of Object.entries(changes || {})) {
+      if (s.factions[key] === undefined) continue;
+      s.factions[key] = clamp(s.factions[key] + delta, C.STAB_MIN, C.STAB_MAX);
+    }
+    syncStability(s);
+  }
+
+  function factionDrift(s, def) {
+    return (def.moods || []).reduce((sum, m) => sum + (conditionsHold(s, m.when) ? m.drift : 0), 0);
+  }
+
+  // Daily moods. Runs with the ambient drift.
+  function updateFactions(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    for (const [key, def] of Object.entries(factionDefs(s))) {
+      const drift = factionDrift(s, def);
+      const v = s.factions[key];
+      if (drift < 0) s.factions[key] = Math.max(C.STAB_MIN, v + drift);
+      else if (drift > 0 && v < C.STAB_DRIFT_CAP) s.factions[key] = Math.min(C.STAB_DRIFT_CAP, v + drift);
+    }
+    syncStability(s);
+  }
+
+  // Demand event of the least happy faction that is below FACTION_DEMAND_BELOW,
+  // has members and whose event is off cooldown; null when none.
+  function factionDemand(s) {
+    const C = cfg(s);
+    const events = eventDefs(s);
+    let pick = null;
+    for (const [key, def] of Object.entries(factionDefs(s))) {
+      const ev = events[def.demand];
+      if (!ev || s.factions[key] >= C.FACTION_DEMAND_BELOW || factionSize(s, def) <= 0) continue;
+      const last = s.eventLastFired[def.demand];
+      if (ev.cooldown && last !== undefined && s.day - last < ev.cooldown) continue;
+      if (!pick || s.factions[key] < s.factions[pick]) pick = key;
+    }
+    return pick ? factionDefs(s)[pick].demand : null;
+  }
+
+  // Presentation view: [{ key, name, icon, description, approval, size, weight, drift, unhappy }]
+  function describeFactions(s) {
+    const C = cfg(s);
+    const weights = factionWeights(s);
+    return Object.entries(factionDefs(s)).map(([key, def]) => ({
+      key,
+      name: def.name,
+      icon: def.icon || "groups",
+      description: def.description || "",
+      approval: s.factions[key],
+      size: factionSize(s, def),
+      weight: weights[key],
+      drift: factionDrift(s, def),
+      unhappy: s.factions[key] < C.FACTION_DEMAND_BELOW,
+    }));
+  }
+
+  // approval tables on policies and event effects: { faction: delta }
+  function approvalProblems(problems, where, approval) {
+    if (approval === undefined) return;
+    if (!approval || typeof approval !== "object") {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    for (const [key, delta] of Object.entries(approval)) {
+      if (!Number.isFinite(delta)) problems.push(`${where}.${key}: must be a number`);
+    }
+  }
+
+  // Checks config.FACTIONS against the game's events (demands). Approval tables
+  // naming a faction the game lacks are ignored, so replacing FACTIONS keeps the
+  // shipped policies and events valid. Returns a list of human-readable problems.
+  function validateFactions(defs, events) {
+    const problems = [];
+    const keys = Object.keys(defs || {});
+    if (keys.length === 0) problems.push("needs at least one faction");
+
+    for (const key of keys) {
+      const def = defs[key];
+      unknownKeys(problems, key, def, FACTION_KEYS);
+      if (!def.name) problems.push(`${key}: missing name`);
+      if (!def.size || typeof def.size !== "object") {
+        problems.push(`${key}.size: must be an object`);
+      } else {
+        for (const [metric, weight] of Object.entries(def.size)) {
+          if (metric !== "base" && (!METRICS[metric] || BOOLEAN_METRICS.includes(metric))) problems.push(`${key}.size: unknown metric "${metric}"`);
+          else if (!(Number.isFinite(weight) && weight >= 0)) problems.push(`${key}.size.${metric}: must be a number >= 0`);
+        }
+      }
+      (def.moods || []).forEach((m, i) => {
+        const at = `${key}.moods[${i}]`;
+        unknownKeys(problems, at, m, MOOD_KEYS);
+        conditionProblems(problems, `${at}.when`, m.when);
+        if (!Number.isFinite(m.drift)) problems.push(`${at}.drift: must be a number`);
+      });
+      if (def.demand !== undefined && !events[def.demand]) problems.push(`${key}.demand: unknown event "${def.demand}"`);
+    }
+
+    return problems;
+  }
+
+  function assertValidFactions(defs, events, where) {
+    const problems = validateFactions(defs, events);
+    if (problems.length) throw new Error(`Invalid factions (${where}):\n- ${problems.join("\n- ")}`);
+  }
+
+  assertValidFactions(DEFAULT_CONFIG.FACTIONS, EVENTS, "built-in");
+
+  // -------------------------------
+  // Research
+  // -------------------------------
+  // Tech (CONFIG.TECHS entry):
+  //   name, icon?, description?
+  //   cost        resources paid when the study starts (lost if it is cancelled)
+  //   days        days of work at full staff (RESEARCH_WORKERS adults)
+  //   requires?   techs that must be known first
+  //   modifiers   [{ key, add?, mul? }] on CONFIG values (mul first, then add)
+  // One study at a time; understaffed days count for the staffed share.
+  const TECH_KEYS = ["name", "icon", "description", "cost", "days", "requires", "modifiers"];
+  const TECH_MODIFIER_KEYS = ["key", "add", "mul"];
+
+  // From the un-modified CONFIG: techs cannot research themselves into new techs.
+  function techDefs(s) {
+    return baseCfg(s).TECHS;
+  }
+
+  function knowsTech(s, key) {
+    return s.research.done.includes(key);
+  }
+
+  // [{ source, key, add?, mul? }] in the order they apply (techs in the order learned).
+  function modifierStack(s) {
+    const defs = techDefs(s);
+    const stack = [];
+    for (const tech of s.research.done) {
+      for (const m of defs[tech]?.modifiers || []) stack.push({ source: tech, ...m });
+    }
+    return stack;
+  }
+
+  // Presentation view of the stack: [{ source: tech name, key, from, to }] per modifier.
+  function describeModifiers(s) {
+    const base = baseCfg(s);
+    const defs = techDefs(s);
+    const read = (config, key) => key.split(".").reduce((obj, part) => obj?.[part], config);
+    const stack = modifierStack(s);
+    return stack.map((m, i) => ({
+      source: defs[m.source]?.name || m.source,
+      key: m.key,
+      from: read(applyModifiers(base, stack.slice(0, i)), m.key),
+      to: read(applyModifiers(base, stack.slice(0, i + 1)), m.key),
+    }));
+  }
+
+  function researchStaff(s) {
+    if (!s.research.current) return 0;
+    return clamp(s.adults - buildingStaff(s), 0, cfg(s).RESEARCH_WORKERS);
+  }
+
+  // Why `key` cannot be studied right now, or null when it can.
+  function researchProblem(s, key) {
+    const defs = techDefs(s);
+    const def = defs[key];
+    if (!def) return "unknown tech";
+    if (s.gameOver) return "the run is over";
+    if (knowsTech(s, key)) return "already known";
+    if (s.research.current) return s.research.current.tech === key ? "under way" : "another study is under way";
+    const missing = (def.requires || []).filter((t) => !knowsTech(s, t));
+    if (missing.length) return `needs ${missing.map((t) => defs[t]?.name || t).join(" and ")}`;
+    if (!canAfford(s, def.cost)) return `needs ${fmtCost(def.cost)}`;
+    return null;
+  }
+
+  function canResearch(s, key) {
+    return researchProblem(s, key) === null;
+  }
+
+  function startResearch(ctx, key) {
+    const s = ctx.s;
+    const def = techDefs(s)[key];
+    if (!def) return;
+    const problem = researchProblem(s, key);
+    if (problem) {
+      ctx.log(`Cannot research ${def.name}: ${problem}.`, "bad");
+      return;
+    }
+    for (const r of RESOURCES) s[r] -= def.cost?.[r] || 0;
+    s.research.current = { tech: key, progress: 0 };
+    validateWorkforce(s, null);
+    ctx.log(`Research started: ${def.name} (${def.days} days, ${researchStaff(s)} scholars).`, "");
+  }
+
+  function cancelResearch(ctx) {
+    const s = ctx.s;
+    const cur = s.research.current;
+    if (!cur) return;
+    s.research.current = null;
+    ctx.log(`Research on ${techDefs(s)[cur.tech]?.name || cur.tech} abandoned. The tools spent are lost.`, "warn");
+  }
+
+  // One day of study at the staffed share. A finished tech already counts for
+  // the rest of that day (production runs after this).
+  function advanceResearch(ctx) {
+    const s = ctx.s;
+    const cur = s.research.current;
+    if (!cur) return;
+    const def = techDefs(s)[cur.tech];
+    const need = cfg(s).RESEARCH_WORKERS;
+    cur.progress += need > 0 ? researchStaff(s) / need : 1;
+    if (cur.progress < def.days - 1e-9) return;
+    s.research.current = null;
+    s.research.done.push(cur.tech);
+    ctx.log(`Research complete: ${def.name}. ${def.description || ""}`.trim(), "good");
+  }
+
+  // Tier of each tech in the tree: 0 without requirements, else 1 + deepest requirement.
+  function techTiers(defs) {
+    const tiers = {};
+    const tierOf = (key, seen = []) => {
+      if (tiers[key] !== undefined) return tiers[key];
+      if (seen.includes(key) || !defs[key]) return 0;
+      const reqs = defs[key].requires || [];
+      tiers[key] = reqs.length ? 1 + Math.max(...reqs.map((r) => tierOf(r, [...seen, key]))) : 0;
+      return tiers[key];
+    };
+    for (const key of Object.keys(defs)) tierOf(key);
+    return tiers;
+  }
+
+  // Presentation view: [{ key, name, icon, description, cost, days, requires: [key], tier,
+  //   status: "known" | "studying" | "open" | "locked", progress, problem }] in registry order.
+  function describeResearch(s) {
+    const defs = techDefs(s);
+    const tiers = techTiers(defs);
+    const cur = s.research.current;
+    return Object.entries(defs).map(([key, def]) => {
+      const problem = researchProblem(s, key);
+      const known = knowsTech(s, key);
+      const studying = cur?.tech === key;
+      const missing = (def.requires || []).some((t) => !knowsTech(s, t));
+      return {
+        key,
+        name: def.name,
+        icon: def.icon || "science",
+        description: def.description || "",
+        cost: def.cost || {},
+        days: def.days,
+        requires: def.requires || [],
+        tier: tiers[key],
+        status: known ? "known" : studying ? "studying" : missing ? "locked" : "open",
+        progress: known ? def.days : studying ? cur.progress : 0,
+        problem,
+      };
+    });
+  }
+
+  // Returns a list of human-readable problems (empty when the table is sound).
+  // config: a full CONFIG (modifier keys must name numbers in it).
+  function validateTechs(config) {
+    const problems = [];
+    const defs = config.TECHS || {};
+    const keys = Object.keys(defs);
+    const read = (key) => key.split(".").reduce((obj, part) => obj?.[part], config);
+
+    for (const key of keys) {
+      const def = defs[key];
+      unknownKeys(problems, key, def, TECH_KEYS);
+      if (!def.name) problems.push(`${key}: missing name`);
+      if (!(Number.isFinite(def.days) && def.days > 0)) problems.push(`${key}.days: must be a number > 0`);
+      for (const [r, n] of Object.entries(def.cost || {})) {
+        if (!RESOURCES.includes(r)) problems.push(`${key}.cost: unknown resource "${r}"`);
+        else if (!(Number.isFinite(n) && n >= 0)) problems.push(`${key}.cost.${r}: must be a number >= 0`);
+      }
+      for (const req of def.requires || []) {
+        if (!keys.includes(req)) problems.push(`${key}.requires: unknown tech "${req}"`);
+      }
+      (def.modifiers || []).forEach((m, i) => {
+        const at = `${key}.modifiers[${i}]`;
+        unknownKeys(problems, at, m, TECH_MODIFIER_KEYS);
+        if (typeof m.key !== "string" || !Number.isFinite(read(m.key))) problems.push(`${at}: "${m.key}" is not a numeric CONFIG value`);
+        if (m.key === "TECHS" || String(m.key).startsWith("TECHS.")) problems.push(`${at}: techs cannot modify TECHS`);
+        if (m.add === undefined && m.mul === undefined) problems.push(`${at}: needs add or mul`);
+        for (const op of ["add", "mul"]) {
+          if (m[op] !== undefined && !Number.isFinite(m[op])) problems.push(`${at}.${op}: must be a number`);
+        }
+      });
+    }
+
+    // Requirement cycles would lock their techs forever.
+    const visiting = new Set();
+    const checked = new Set();
+    const visit = (key, path) => {
+      if (checked.has(key) || !defs[key]) return;
+      if (visiting.has(key)) {
+        problems.push(`${key}: requirement cycle (${[...path, key].join(" → ")})`);
+        return;
+      }
+      visiting.add(key);
+      for (const req of defs[key].requires || []) visit(req, [...path, key]);
+      visiting.delete(key);
+      checked.add(key);
+    };
+    for (const key of keys) visit(key, []);
+    return problems;
+  }
+
+  function assertValidTechs(config, where) {
+    const problems = validateTechs(config);
+    if (problems.length) throw new Error(`Invalid techs (${where}):\n- ${problems.join("\n- ")}`);
+  }
+
+  assertValidTechs(DEFAULT_CONFIG, "built-in");
+
+  // -------------------------------
+  // Market + caravans
+  // -------------------------------
+  // Barter: a trade gives `amount` of one resource (or coins) and gets its value,
+  // less the spread, in another. Value per unit is marketPrice(). Trades share a daily
+  // value limit and move prices (see MARKET_IMPACT); each night indexes drift
+  // and revert towards 1.
+  function caravanDef(s) {
+    const c = s.market.caravan;
+    return c ? cfg(s).CARAVANS[c.key] || null : null;
+  }
+
+  function marketPrice(s, r) {
+    if (r === "coins") return 1; // the unit of value: no index, season or caravan
+    const C = cfg(s);
+    let price = C.MARKET_BASE_PRICES[r] * s.market.index[r];
+    if (r === "food") price *= (seasonAt(s, s.day).foodPrice ?? 1) * weatherMult(s, "foodPrice");
+    return price * (caravanDef(s)?.prices?.[r] ?? 1);
+  }
+
+  function marketSpread(s) {
+    return caravanDef(s)?.spread ?? cfg(s).MARKET_SPREAD;
+  }
+
+  function marketLimit(s) {
+    return caravanDef(s)?.limit ?? cfg(s).MARKET_DAILY_LIMIT;
+  }
+
+  // What a trade would do today: { give, get, amount, value, got, problem }. amount is
+  // cut to the stock and to the value left under the daily limit; problem (or null)
+  // says why nothing can be traded.
+  function quoteTrade(s, give, get, amount) {
+    const quote = { give, get, amount: 0, value: 0, got: 0, problem: null };
+    if (!TRADABLES.includes(give) || !TRADABLES.includes(get)) quote.problem = "unknown resource";
+    else if (give === get) quote.problem = "nothing to trade";
+    else if (s.gameOver) quote.problem = "the run is over";
+    if (quote.problem) return quote;
+
+    const priceGive = marketPrice(s, give);
+    const room = Math.max(0, marketLimit(s) - s.market.traded);
+    const n = Math.floor(Math.min(Number(amount) || 0, s[give], room / priceGive));
+    if (n <= 0) {
+      quote.problem = room < priceGive ? "daily trade limit reached" : s[give] < 1 ? `no ${give} to trade` : "nothing to trade";
+      return quote;
+    }
+    quote.amount = n;
+    quote.value = n * priceGive;
+    quote.got = round1((quote.value * (1 - marketSpread(s))) / marketPrice(s, get));
+    return quote;
+  }
+
+  function shiftIndex(s, r, factor) {
+    if (r === "coins") return;
+    const C = cfg(s);
+    s.market.index[r] = clamp(s.market.index[r] * factor, C.MARKET_INDEX_MIN, C.MARKET_INDEX_MAX);
+  }
+
+  // { type: "trade", give, get, amount }
+  function trade(ctx, give, get, amount) {
+    const s = ctx.s;
+    const q = quoteTrade(s, give, get, amount);
+    if (q.problem) {
+      ctx.log(`Trade refused: ${q.problem}.`, "bad");
+      return;
+    }
+    const impact = cfg(s).MARKET_IMPACT * q.value;
+    if (give === "coins") addCoins(s, "market", -q.amount);
+    else s[give] -= q.amount;
+    if (get === "coins") addCoins(s, "market", q.got);
+    else s[get] += q.got;
+    s.market.traded += q.value;
+    shiftIndex(s, give, 1 - impact);
+    shiftIndex(s, get, 1 + impact);
+    s.market.trades.push({ give, get, gave: q.amount, got: q.got });
+    const where = caravanDef(s) ? ` (${caravanDef(s).name})` : "";
+    ctx.log(`Traded ${q.amount} ${give} for ${q.got} ${get}${where}.`, "good");
+  }
+
+  // End of day: prices drift, the caravan moves on or a new one may arrive.
+  function updateMarket(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    const m = s.market;
+    m.traded = 0;
+    m.trades = [];
+    for (const r of RESOURCES) {
+      const drift = (rnd(s) * 2 - 1) * C.MARKET_DRIFT;
+      const next = m.index[r] + (1 - m.index[r]) * C.MARKET_REVERSION + drift;
+      m.index[r] = clamp(next, C.MARKET_INDEX_MIN, C.MARKET_INDEX_MAX);
+    }
+
+    if (m.caravan) {
+      m.caravan.left -= 1;
+      if (m.caravan.left <= 0) {
+        ctx.log(`${caravanDef(s)?.name || m.caravan.key} moved on.`, "");
+        m.caravan = null;
+      }
+      return;
+    }
+    const keys = Object.keys(C.CARAVANS);
+    if (keys.length === 0 || rnd(s) >= C.CARAVAN_CHANCE) return;
+    const key = keys[Math.min(keys.length - 1, Math.floor(rnd(s) * keys.length))];
+    const def = C.CARAVANS[key];
+    m.caravan = { key, left: rndInt(s, def.days[0], def.days[1]) };
+    ctx.log(`Caravan in town: ${def.name} for ${m.caravan.left} days. Better rates at the market.`, "good");
+    ctx.emit("caravanArrived", { key });
+  }
+
+  // Presentation view: { prices: { r: value }, index, spread, limit, traded, caravan: { name, left, prices } | null }
+  function describeMarket(s) {
+    const def = caravanDef(s);
+    return {
+      prices: Object.fromEntries(RESOURCES.map((r) => [r, marketPrice(s, r)])),
+      index: { ...s.market.index },
+      spread: marketSpread(s),
+      limit: marketLimit(s),
+      traded: s.market.traded,
+      caravan: def ? { name: def.name, left: s.market.caravan.left, prices: def.prices || {} } : null,
+    };
+  }
+
+  // -------------------------------
+  // Treasury
+  // -------------------------------
+  // Changes coins (never below 0) and books the change on a ledger line. Returns the change.
+  function addCoins(s, line, delta) {
+    const before = s.coins;
+    s.coins = round2(Math.max(0, before + delta));
+    const change = s.coins - before;
+    s.ledger[line] = round2((s.ledger[line] || 0) + change);
+    return change;
+  }
+
+  // Workers in jobs pay; hired hands do not.
+  function taxPerDay(s) {
+    const workers = Object.values(JOBS).reduce((sum, k) => sum + s[k], 0);
+    return Math.max(0, workers - s.hired) * cfg(s).TAX_PER_WORKER * s.taxRate;
+  }
+
+  function wagesPerDay(s) {
+    return s.hired * cfg(s).HIRE_WAGE;
+  }
+
+  function bribeCost(s, key) {
+    const C = cfg(s);
+    const def = factionDefs(s)[key];
+    return def ? Math.round(C.BRIBE_BASE + factionSize(s, def) * C.BRIBE_PER_MEMBER) : null;
+  }
+
+  // { type: "tax", rate }
+  function setTax(ctx, rate) {
+    const s = ctx.s;
+    const next = round2(clamp(Number(rate) || 0, 0, cfg(s).TAX_MAX));
+    if (next === s.taxRate) return;
+    s.taxRate = next;
+    ctx.log(`Tax rate set to ${Math.round(next * 100)}%.`, next > 0 ? "warn" : "");
+  }
+
+  // { type: "hire", count }
+  function hire(ctx, count) {
+    const s = ctx.s;
+    const next = clamp(Math.floor(Number(count) || 0), 0, cfg(s).HIRE_MAX);
+    if (next === s.hired) return;
+    s.hired = next;
+    validateWorkforce(s, null);
+    ctx.log(`${next} hired ${next === 1 ? "hand" : "hands"} on the payroll (${round2(wagesPerDay(s))} coins/day).`, "");
+  }
+
+  // { type: "bribe", faction }
+  function bribe(ctx, key) {
+    const s = ctx.s;
+    const C = cfg(s);
+    const cost = bribeCost(s, key);
+    if (cost === null) return;
+    if (s.coins < cost) {
+      ctx.log(`Not enough coins to bribe the ${factionDefs(s)[key].name.toLowerCase()} (needs ${cost}).`, "bad");
+      return;
+    }
+    addCoins(s, "bribes", -cost);
+    const changes = Object.fromEntries(Object.keys(s.factions).map((k) => [k, k === key ? C.BRIBE_APPROVAL : -C.BRIBE_ENVY]));
+    addApproval(s, changes);
+    ctx.log(`Paid ${cost} coins for the ${factionDefs(s)[key].name.toLowerCase()}' favour; the others noticed.`, "warn");
+  }
+
+  // Start of the day: hired hands are paid before they work; unpaid ones leave.
+  function payWages(ctx) {
+    const s = ctx.s;
+    const wage = cfg(s).HIRE_WAGE;
+    if (s.hired <= 0) return;
+    const affordable = Math.min(s.hired, Math.floor(s.coins / wage));
+    if (affordable < s.hired) {
+      ctx.log(`${s.hired - affordable} hired ${s.hired - affordable === 1 ? "hand" : "hands"} left: no coins for wages.`, "warn");
+      s.hired = affordable;
+      validateWorkforce(s, null);
+    }
+    if (s.hired > 0) addCoins(s, "wages", -wagesPerDay(s));
+  }
+
+  // After the day's work: workers pay the tax, and everyone resents it.
+  function collectTaxes(ctx) {
+    const s = ctx.s;
+    if (s.taxRate <= 0) return;
+    addCoins(s, "tax", taxPerDay(s));
+    addStability(s, -s.taxRate * cfg(s).TAX_STABILITY);
+  }
+
+  function ledgerTotals(ledger) {
+    const values = Object.values(ledger || {});
+    return {
+      income: round2(values.filter((v) => v > 0).reduce((sum, v) => sum + v, 0)),
+      expense: round2(-values.filter((v) => v < 0).reduce((sum, v) => sum + v, 0)),
+    };
+  }
+
+  // Presentation view: { coins, taxRate, taxPerDay, taxStability, hired, wagesPerDay,
+  //   bribes: { faction: cost }, today: { line: coins }, lastDay: { line: coins } }
+  function describeTreasury(s) {
+    return {
+      coins: s.coins,
+      taxRate: s.taxRate,
+      taxPerDay: taxPerDay(s),
+      taxStability: s.taxRate * cfg(s).TAX_STABILITY,
+      hired: s.hired,
+      wagesPerDay: wagesPerDay(s),
+      bribes: Object.fromEntries(Object.keys(factionDefs(s)).map((k) => [k, bribeCost(s, k)])),
+      today: { ...s.ledger },
+      lastDay: { ...s.lastLedger },
+    };
+  }
+
+  // -------------------------------
+  // Governor (player rules)
+  // -------------------------------
+  // Rule: { label?, enabled?, when?, do }. `when` uses event conditions (see METRICS);
+  // omitted means every day. `do` is one of:
+  //   { preset: name }           apply a CONFIG.PRESETS split
+  //   { action: name }           buildFarm
+  //   { policy: name }           enact a CONFIG.POLICIES entry (skipped while it cannot be)
+  //   { build: type }            queue a CONFIG.BUILDINGS entry
+  //   { trade: { give, get, amount } }  barter at the market (as much as today allows)
+  //   { keep: { job: amount } }  move GOVERNOR_SHIFT_WORKERS/day into a job while its stock
+  //                              (JOB_STOCK: health for herbalists, defense for guards) is below amount
+  // Rules run in list order. The first workforce rule (preset/keep) that fires
+  // claims the split for the day; actions and builds fire for every matching rule.
+  const RULE_KEYS = ["label", "enabled", "when", "do"];
+  const RULE_DO_KEYS = ["preset", "action", "policy", "build", "trade", "keep"];
+
+  const GOVERNOR_EXAMPLES = [
+    { label: "Low food: survival split", when: { foodPerPop: { lt: 3 } }, do: { preset: "survival" } },
+    { label: "Ration while hungry", when: { starveDays: { gt: 0 } }, do: { policy: "ration" } },
+    { label: "Farm when wood allows", when: { wood: { gte: 30 } }, do: { action: "buildFarm" } },
+    { label: "Keep tools stocked", do: { keep: { tools: 40 } } },
+  ];
+
+  function ruleLabel(rule) {
+    if (rule.label) return rule.label;
+    const conds = conditionLabels(rule.when);
+    const d = rule.do || {};
+    const what = d.preset
+      ? `preset ${d.preset}`
+      : d.action
+        ? d.action
+        : d.policy
+          ? `enact ${d.policy}`
+          : d.build
+            ? `build ${d.build}`
+            : d.trade
+              ? `trade ${d.trade.amount} ${d.trade.give} → ${d.trade.get}`
+              : Object.entries(d.keep || {}).map(([job, n]) => `keep ${job} ≥ ${n}`).join(", ");
+    return conds.length ? `If ${conds.join(" and ")}: ${what}` : `Always: ${what}`;
+  }
+
+  // Returns a list of human-readable problems (empty when the rules are sound).
+  function validateRules(s, rules) {
+    const problems = [];
+    if (!Array.isArray(rules)) return ["rules must be a list"];
+    const C = cfg(s);
+    rules.forEach((rule, i) => {
+      const at = `rules[${i}]`;
+      if (!rule || typeof rule !== "object") {
+        problems.push(`${at}: must be an object`);
+        return;
+      }
+      unknownKeys(problems, at, rule, RULE_KEYS);
+      conditionProblems(problems, `${at}.when`, rule.when);
+      const d = rule.do;
+      const kinds = d && typeof d === "object" ? Object.keys(d) : [];
+      if (kinds.length !== 1 || !RULE_DO_KEYS.includes(kinds[0])) {
+        problems.push(`${at}.do: needs exactly one of ${RULE_DO_KEYS.join(", ")}`);
+        return;
+      }
+      if (d.preset !== undefined && !C.PRESETS[d.preset]) problems.push(`${at}.do: unknown preset "${d.preset}"`);
+      if (d.action !== undefined && typeof actions[d.action] !== "function") problems.push(`${at}.do: unknown action "${d.action}"`);
+      if (d.policy !== undefined && !policyDefs(s)[d.policy]) problems.push(`${at}.do: unknown policy "${d.policy}"`);
+      if (d.build !== undefined && !buildingDefs(s)[d.build]) problems.push(`${at}.do: unknown building "${d.build}"`);
+      if (d.trade !== undefined) {
+        const t = d.trade || {};
+        if (!TRADABLES.includes(t.give) || !TRADABLES.includes(t.get) || t.give === t.get) {
+          problems.push(`${at}.do.trade: give and get must be two different resources`);
+        }
+        if (!(Number.isFinite(t.amount) && t.amount > 0)) problems.push(`${at}.do.trade.amount: must be a number > 0`);
+      }
+      if (d.keep !== undefined) {
+        const entries = Object.entries(d.keep || {});
+        if (entries.length !== 1) problems.push(`${at}.do.keep: needs exactly one job`);
+        for (const [job, n] of entries) {
+          if (!JOBS[job]) problems.push(`${at}.do.keep: unknown job "${job}"`);
+          if (!Number.isFinite(n) || n < 0) problems.push(`${at}.do.keep.${job}: must be a number >= 0`);
+        }
+      }
+    });
+    return problems;
+  }
+
+  // { type: "governor", enabled?, rules? }
+  function configureGovernor(ctx, cmd) {
+    const s = ctx.s;
+    if (cmd.rules !== undefined) {
+      const problems = validateRules(s, cmd.rules);
+      if (problems.length) {
+        ctx.log(`Governor rules rejected: ${problems.join("; ")}.`, "bad");
+        return;
+      }
+      s.governor.rules = clone(cmd.rules);
+    }
+    if (cmd.enabled !== undefined && !!cmd.enabled !== s.governor.enabled) {
+      s.governor.enabled = !!cmd.enabled;
+      ctx.log(`Governor ${s.governor.enabled ? "on" : "off"}.`, "");
+    }
+  }
+
+  // Moves up to GOVERNOR_SHIFT_WORKERS into `job`: idle adults first, then from the busiest other job.
+  function shiftWorkers(s, job) {
+    const key = JOBS[job];
+    const keys = Object.values(JOBS);
+    let moved = 0;
+    const idle = availableWorkers(s) - keys.reduce((sum, k) => sum + s[k], 0);
+    for (let i = 0; i < cfg(s).GOVERNOR_SHIFT_WORKERS; i++) {
+      if (idle - moved > 0) {
+        s[key] += 1;
+      } else {
+        const from = keys.filter((k) => k !== key && s[k] > 0).sort((a, b) => s[b] - s[a])[0];
+        if (!from) break;
+        s[from] -= 1;
+        s[key] += 1;
+      }
+      moved += 1;
+    }
+    validateWorkforce(s, key);
+    return moved;
+  }
+
+  function runGovernor(ctx) {
+    const s = ctx.s;
+    if (!s.governor.enabled) return;
+
+    let splitClaimed = false;
+    for (const rule of s.governor.rules) {
+      if (rule.enabled === false || !conditionsHold(s, rule.when)) continue;
+      const d = rule.do;
+      const label = ruleLabel(rule);
+      // Run through a scratch context so the rule can be credited in the log.
+      const sub = makeCtx(s);
+
+      if (d.preset !== undefined || d.keep !== undefined) {
+        if (splitClaimed) continue;
+        const before = Object.values(JOBS).map((k) => s[k]).join();
+        if (d.preset !== undefined) {
+          applyPreset(sub, d.preset);
+        } else {
+          const [job, amount] = Object.entries(d.keep)[0];
+          if (METRICS[JOB_STOCK[job]](s) >= amount) continue;
+          const moved = shiftWorkers(s, job);
+          if (moved) sub.log(`Moved ${moved} worker${moved === 1 ? "" : "s"} to ${job}.`);
+        }
+        splitClaimed = true;
+        if (Object.values(JOBS).map((k) => s[k]).join() === before) continue; // nothing changed, stay quiet
+      } else if (d.action !== undefined) {
+        if (!actionAvailable(s, d.action)) continue;
+        actions[d.action](sub);
+      } else if (d.policy !== undefined) {
+        if (!canEnact(s, d.policy)) continue;
+        enactPolicy(sub, d.policy);
+      } else if (d.build !== undefined) {
+        if (!canBuild(s, d.build)) continue;
+        build(sub, d.build);
+      } else if (d.trade !== undefined) {
+        if (quoteTrade(s, d.trade.give, d.trade.get, d.trade.amount).problem) continue;
+        trade(sub, d.trade.give, d.trade.get, d.trade.amount);
+      }
+
+      for (const e of sub.logEntries) ctx.log(`Governor (${label}): ${e.text}`, e.tone);
+      ctx.events.push(...sub.events);
+    }
+  }
+
+  // -------------------------------
+  // Tick (1 day)
+  // -------------------------------
+  function tick(ctx) {
+    const s = ctx.s;
+    const C = cfg(s);
+    if (s.gameOver) return;
+
+    validateWorkforce(s, null);
+    s.popFlow = { births: 0, deaths: 0, immigrants: 0, emigrants: 0 };
+
+    // Player rules act on the state the day starts with
+    runGovernor(ctx);
+
+    // Buildings: construction progress, then upkeep decides what runs today
+    advanceBuildQueue(ctx);
+    advanceResearch(ctx);
+    payUpkeep(ctx);
+    payWages(ctx);
+    validateWorkforce(s, null);
+    const spoiled = foodSpoilagePerDay(s);
+
+    // Production
+    const fp = foodPerDay(s);
+    const wp = woodPerDay(s);
+    const tp = toolsPerDay(s);
+
+    s.food += fp;
+    s.wood += wp;
+    s.tools += tp;
+    trainWorkers(s);
+
+    // Tools decay
+    s.tools = clamp(s.tools - toolsDecayPerDay(s), 0, 999999);
+
+    // Taxes on the day's work
+    collectTaxes(ctx);
+
+    // Spoilage (on the stock carried into the day), then smokehouses take grain
+    s.food -= spoiled;
+    settleFood(s);
+    preserveFood(s);
+
+    // Consumption (perishable food first)
+    const cons = foodConsumptionPerDay(s);
+    s.food -= cons;
+
+    // ---------------------------
+    // Starvation (A + B + C)
+    // ---------------------------
+    let deficit = 0;
+    if (s.food < 0) {
+      deficit = Math.abs(s.food);
+      s.food = 0;
+    }
+
+    // Hunger memory
+    if (deficit > 0) s.starveDays += 1;
+    else s.starveDays = 0;
+
+    if (deficit > 0) {
+      const stabMult = 1 + s.starveDays * C.STARVE_STAB_MULT_PER_DAY;
+      const deathMult = 1 + s.starveDays * C.STARVE_DEATH_MULT_PER_DAY;
+
+      // Stability loss (escalates)
+      const baseStabLoss = clamp(
+        deficit * C.STARVATION_STAB_LOSS_MULT,
+        C.STARVATION_STAB_LOSS_MIN,
+        C.STARVATION_STAB_LOSS_MAX
+      );
+      const stabLoss = clamp(
+        baseStabLoss * stabMult,
+        C.STARVATION_STAB_LOSS_MIN,
+        C.STARVATION_STAB_LOSS_MAX
+      );
+      addStability(s, -stabLoss);
+
+      // A: proportional deaths based on unfed people
+      const unfed = Math.ceil(deficit / C.FOOD_CONSUMPTION_PER_POP);
+
+      // Scale with streak, cap per day to keep gameplay readable
+      const rawDeaths = Math.floor(unfed * deathMult);
+      const maxDeaths = Math.max(1, Math.floor(s.pop * C.STARVE_DEATH_MAX_PER_DAY_RATIO));
+      const deaths = clamp(rawDeaths, 1, maxDeaths);
+
+      // Only lethal if deficit is serious relative to pop
+      if (deficit > s.pop * C.STARVATION_DEATH_DEFICIT_RATIO) {
+        s.popFlow.deaths += removePeople(s, deaths);
+        ctx.log(`Starvation killed ${deaths} people. (streak: ${s.starveDays}d)`, "bad");
+      } else {
+        ctx.log(`Food shortage reduced stability. (streak: ${s.starveDays}d)`, "warn");
+      }
+
+      // C: hard fail if famine lasts too long
+      if (s.starveDays >= C.STARVE_DAYS_GAMEOVER) {
+        return endGame(ctx, "famine", `Famine collapse: ${s.starveDays} consecutive hungry days.`);
+      }
+    }
+
+    // Full stores
+    const wasted = wasteOverflow(s);
+    if (wasted >= 1) ctx.log(`Stores are full: ${Math.round(wasted)} food went to waste.`, "warn");
+
+    // Raiders strike or are sighted
+    updateRaids(ctx);
+
+    // Births, aging, migration, then the homeless
+    updatePopulation(ctx);
+    updateShelter(ctx);
+
+    // Sickness and health
+    updateHealth(ctx);
+    validateWorkforce(s, null);
+
+    // Ambient drift
+    if (s.food > s.pop * C.STAB_DRIFT_UP_IF_WELL_FED_RATIO && s.stability < C.STAB_DRIFT_CAP) {
+      addStability(s, C.STAB_DRIFT_UP);
+    }
+    if (s.stability > C.STAB_TOO_HIGH) {
+      addStability(s, -C.STAB_DRIFT_DOWN_IF_TOO_HIGH);
+    }
+    const towerStab = buildingEffect(s, "stabilityPerDay");
+    if (towerStab > 0 && s.stability < C.STAB_DRIFT_CAP) {
+      addStability(s, Math.min(towerStab, C.STAB_DRIFT_CAP - s.stability));
+    }
+    const policyStab = policyModifier(s, "stabilityPerDay");
+    if (policyStab < 0) addStability(s, policyStab);
+    else if (policyStab > 0 && s.stability < C.STAB_DRIFT_CAP) {
+      addStability(s, Math.min(policyStab, C.STAB_DRIFT_CAP - s.stability));
+    }
+
+    // Faction moods (also re-weighs stability after today's workforce and births)
+    updateFactions(ctx);
+
+    // Policy timers (today counted)
+    advancePolicies(ctx);
+
+    // Events
+    maybeTriggerEvent(ctx);
+
+    // Lose conditions
+    if (s.pop <= 0) return endGame(ctx, "population", "Population collapsed.");
+    if (s.stability <= 0) return endGame(ctx, "authority", "Authority collapsed.");
+
+    // Scenario goals (win, extra lose conditions, turn limit)
+    checkScenario(ctx);
+    if (s.gameOver) return;
+
+    // Overnight: prices move, caravans come and go
+    updateMarket(ctx);
+
+    // Advance time
+    advanceCalendar(ctx);
+  }
+
+  // cause: "famine" | "population" | "authority" | "objectives" | "scenario" | "turnLimit"
+  // objective: label of the scenario goal that decided the game, if one did.
+  function endGame(ctx, cause, reason, win = false, objective = null) {
+    const s = ctx.s;
+    s.gameOver = true;
+    s.outcome = { win, cause, reason, objective };
+    ctx.log(reason, win ? "good" : "bad");
+    ctx.emit("gameOver", { win, cause, reason, objective });
+  }
+
+  // -------------------------------
+  // Commands
+  // -------------------------------
+  function applyCommand(ctx, cmd) {
+    if (!cmd || ctx.s.gameOver) return;
+
+    switch (cmd.type) {
+      case "workforce":
+        setWorkforce(ctx, cmd);
+        break;
+      case "preset":
+        applyPreset(ctx, cmd.name);
+        break;
+      case "action": {
+        const fn = actions[cmd.name];
+        if (typeof fn === "function") fn(ctx);
+        break;
+      }
+      case "resolveEvent":
+        resolveEvent(ctx, Number(cmd.option));
+        break;
+      case "build":
+        build(ctx, cmd.building);
+        break;
+      case "demolish":
+        demolish(ctx, cmd.building);
+        break;
+      case "enact":
+        enactPolicy(ctx, cmd.policy);
+        break;
+      case "revoke":
+        revokePolicy(ctx, cmd.policy);
+        break;
+      case "research":
+        startResearch(ctx, cmd.tech);
+        break;
+      case "cancelResearch":
+        cancelResearch(ctx);
+        break;
+      case "trade":
+        trade(ctx, cmd.give, cmd.get, cmd.amount);
+        break;
+      case "tax":
+        setTax(ctx, cmd.rate);
+        break;
+      case "hire":
+        hire(ctx, cmd.count);
+        break;
+      case "bribe":
+        bribe(ctx, cmd.faction);
+        break;
+      case "governor":
+        configureGovernor(ctx, cmd);
+        break;
+      default:
+        break;
+    }
+    // Moving workers changes who has a say in stability; spending food takes perishable first.
+    syncStability(ctx.s);
+    settleFood(ctx.s);
+  }
+
+  function dispatch(state, command) {
+    const ctx = makeCtx(clone(state));
+    applyCommand(ctx, command);
+    return { state: ctx.s, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  function step(state, commands = []) {
+    const ctx = makeCtx(clone(state));
+    for (const cmd of commands) applyCommand(ctx, cmd);
+
+    const day = ctx.s.day;
+    const today = { policies: activePolicies(ctx.s), trades: ctx.s.market.trades.map(tradeLabel) };
+    tick(ctx);
+    // The day's coin flows are closed (history and the treasury view read lastLedger).
+    ctx.s.lastLedger = ctx.s.ledger;
+    ctx.s.ledger = {};
+    const row = state.gameOver ? null : historyRow(ctx, day, today);
+
+    return { state: ctx.s, logEntries: ctx.logEntries, events: ctx.events, row };
+  }
+
+  // -------------------------------
+  // Region hooks (region.js)
+  // -------------------------------
+  // A region moves goods and people between towns and sends region-wide trouble
+  // their way. Each hook works like dispatch(): a clone in, a result out.
+  const SHIPPABLE = [...RESOURCES, "people"]; // people travel as adults
+
+  function cargoLabel(cargo, amount) {
+    return cargo === "people" ? `${amount} ${amount === 1 ? "person" : "people"}` : `${round1(amount)} ${cargo}`;
+  }
+
+  // Why `amount` of `cargo` cannot leave the town, or null.
+  function shipmentProblem(s, cargo, amount) {
+    if (s.gameOver) return "The town has fallen.";
+    if (!SHIPPABLE.includes(cargo)) return `Unknown cargo "${cargo}".`;
+    if (!(amount > 0)) return "Nothing to send.";
+    if (cargo === "people") {
+      if (!Number.isInteger(amount)) return "People travel whole.";
+      if (amount > s.adults - 1) return `Only ${Math.max(0, s.adults - 1)} adults can leave.`;
+      return null;
+    }
+    if (amount > s[cargo]) return `Only ${Math.floor(s[cargo])} ${cargo} in store.`;
+    return null;
+  }
+
+  // A caravan leaves for `to` (a town name, for the log).
+  function shipOut(state, cargo, amount, to) {
+    const ctx = makeCtx(clone(state));
+    const s = ctx.s;
+    const problem = shipmentProblem(s, cargo, amount);
+    if (problem) {
+      ctx.log(`Caravan to ${to} not sent: ${problem}`, "warn");
+    } else {
+      if (cargo === "people") {
+        s.adults -= amount;
+        syncPop(s);
+        validateWorkforce(s, null);
+      } else {
+        s[cargo] -= amount;
+      }
+      ctx.log(`Sent ${cargoLabel(cargo, amount)} to ${to}.`, "");
+    }
+    syncStability(s);
+    settleFood(s);
+    return { state: s, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  // A caravan from `from` arrives with what is left of its cargo.
+  function shipIn(state, cargo, amount, from) {
+    const ctx = makeCtx(clone(state));
+    const s = ctx.s;
+    if (!s.gameOver && SHIPPABLE.includes(cargo) && amount > 0) {
+      if (cargo === "people") addPeople(s, "adults", amount);
+      else s[cargo] += amount;
+      syncStability(s);
+      ctx.log(`A caravan from ${from} arrived with ${cargoLabel(cargo, amount)}.`, "good");
+    }
+    return { state: s, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  // A spell of CONFIG.WEATHER `key` from today; the forecast is rolled again behind it.
+  function imposeWeather(state, key, days) {
+    const ctx = makeCtx(clone(state));
+    const s = ctx.s;
+    const def = cfg(s).WEATHER[key];
+    if (def && !s.gameOver && days > 0) {
+      s.weather = { key, left: days };
+      s.forecast = [];
+      fillForecast(s);
+      ctx.log(`${def.name} sets in (${days}d).`, "warn");
+    }
+    return { state: s, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  // Queues an event like a follow-up: it fires at the end of `day` (or the first day after with none active).
+  function scheduleEvent(state, key, day) {
+    const ctx = makeCtx(clone(state));
+    const s = ctx.s;
+    if (eventDefs(s)[key] && !s.gameOver) s.scheduledEvents.push({ key, day });
+    return { state: s, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  // -------------------------------
+  // History
+  // -------------------------------
+  // Row: { day, ...HISTORY_FIELDS at the end of that day, policies, trades, events }
+  // - policies: POLICIES keys active during the day; trades: "20 wood → 25.5 food"
+  // - events: keys of events that started
+  const HISTORY_FIELDS = {
+    pop: (s) => s.pop,
+    shelter: (s) => popCap(s),
+    homeless: (s) => homeless(s),
+    food: (s) => round1(s.food),
+    preserved: (s) => round1(s.preserved),
+    wood: (s) => round1(s.wood),
+    tools: (s) => round1(s.tools),
+    coins: (s) => round1(s.coins),
+    income: (s) => ledgerTotals(s.lastLedger).income,
+    expense: (s) => ledgerTotals(s.lastLedger).expense,
+    stability: (s) => round1(s.stability),
+    health: (s) => round1(s.health),
+    sick: (s) => s.sick,
+    farms: (s) => s.buildings.farm || 0,
+    workersFood: (s) => s.workersFood,
+    workersWood: (s) => s.workersWood,
+    workersTools: (s) => s.workersTools,
+    workersHerbs: (s) => s.workersHerbs,
+    workersGuards: (s) => s.workersGuards,
+    defense: (s) => round1(defensePower(s)),
+    starveDays: (s) => s.starveDays,
+    priceFood: (s) => round2(marketPrice(s, "food")),
+    priceWood: (s) => round2(marketPrice(s, "wood")),
+    priceTools: (s) => round2(marketPrice(s, "tools")),
+  };
+
+  function round1(x) {
+    return Math.round(x * 10) / 10;
+  }
+
+  function round2(x) {
+    return Math.round(x * 100) / 100;
+  }
+
+  function tradeLabel(t) {
+    return `${t.gave} ${t.give} → ${t.got} ${t.get}`;
+  }
+
+  function historyRow(ctx, day, today) {
+    const row = { day };
+    for (const [key, read] of Object.entries(HISTORY_FIELDS)) row[key] = read(ctx.s);
+    row.policies = today.policies;
+    row.trades = today.trades;
+    row.events = ctx.events.filter((e) => e.type === "eventStarted").map((e) => e.key);
+    return row;
+  }
+
+  // One line per day; policies, trades and events are "|"-separated.
+  function historyToCsv(history) {
+    const columns = ["day", ...Object.keys(HISTORY_FIELDS), "policies", "trades", "events"];
+    const lines = [columns.join(",")];
+    for (const row of history || []) {
+      lines.push(columns.map((c) => (Array.isArray(row[c]) ? row[c].join("|") : row[c] ?? "")).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // -------------------------------
+  // Projection
+  // -------------------------------
+  // The next `days` days if nothing changes: today's allocation (or `command`, a
+  // workforce/preset command applied first), with construction, research, upkeep,
+  // wages and taxes (unpaid hired hands leave), policy timers running out, tools decay,
+  // spoilage, smokehouses, full stores, seasons and the rolled forecast. Population, events and weather past the forecast are not
+  // modelled; no rolls are made.
+  // Returns { command, days: [{ day, food, wood, tools }], foodRunsOut, woodRunsOut, toolsRunOut, warnings }
+  // (xRunsOut: first day that ends with none left, or null).
+  function project(state, days, command = null) {
+    const ctx = makeCtx(clone(state));
+    const s = ctx.s;
+    if (command) applyCommand(ctx, command);
+
+    const rows = [];
+    const runsOut = { food: null, wood: null, tools: null };
+    const policyEnds = [];
+    let handsLeave = null;
+
+    for (let i = 0; i < days && !s.gameOver; i++) {
+      const day = s.day;
+      advanceBuildQueue(ctx);
+      advanceResearch(ctx);
+      payUpkeep(ctx);
+      const hired = s.hired;
+      payWages(ctx);
+      if (handsLeave === null && s.hired < hired) handsLeave = day;
+      validateWorkforce(s, null);
+      const spoiled = foodSpoilagePerDay(s);
+
+      s.food += foodPerDay(s) - spoiled;
+      s.wood += woodPerDay(s);
+      s.tools += toolsPerDay(s);
+      trainWorkers(s);
+      s.tools = clamp(s.tools - toolsDecayPerDay(s), 0, 999999);
+      collectTaxes(ctx);
+      settleFood(s);
+      preserveFood(s);
+      s.food = Math.max(0, s.food - foodConsumptionPerDay(s));
+      wasteOverflow(s);
+
+      for (const key of activePolicies(s)) {
+        if (s.policies[key].left === 1) policyEnds.push(`${policyDefs(s)[key]?.name || key} ends after day ${day}.`);
+      }
+      advancePolicies(ctx);
+
+      for (const r of RESOURCES) {
+        if (runsOut[r] === null && s[r] <= 0 && (r === "food" || state[r] > 0)) runsOut[r] = day;
+      }
+      rows.push({ day, food: round1(s.food), wood: round1(s.wood), tools: round1(s.tools) });
+
+      s.day += 1;
+      s.weather = s.forecast.shift() || { key: null, left: 0 };
+    }
+
+    const warnings = [];
+    const inDays = (day) => `${day - state.day + 1}d`;
+    if (runsOut.food !== null) warnings.push(`Food runs out on day ${runsOut.food} (in ${inDays(runsOut.food)}).`);
+    if (runsOut.tools !== null) warnings.push(`Tools hit 0 in ${inDays(runsOut.tools)} (day ${runsOut.tools}).`);
+    if (runsOut.wood !== null) warnings.push(`Wood runs out on day ${runsOut.wood} (in ${inDays(runsOut.wood)}).`);
+    if (handsLeave !== null) warnings.push(`No coins for wages on day ${handsLeave}: hired hands leave.`);
+
+    return {
+      command,
+      days: rows,
+      foodRunsOut: runsOut.food,
+      woodRunsOut: runsOut.wood,
+      toolsRunOut: runsOut.tools,
+      warnings: warnings.concat(policyEnds),
+    };
+  }
+
+  // project() for today's allocation and then each CONFIG.PRESETS split.
+  // Returns [{ name, ...project() }]; name is null for today's allocation.
+  function compareAllocations(state, days) {
+    const rows = [{ name: null, ...project(state, days) }];
+    for (const name of Object.keys(cfg(state).PRESETS)) {
+      rows.push({ name, ...project(state, days, { type: "preset", name }) });
+    }
+    return rows;
+  }
+
+  // -------------------------------
+  // Recording + replay
+  // -------------------------------
+  // Recording: { version, start, commands: [{ t, day, cmd }] }
+  // - start: state the run began from (a fresh createGame() or a loaded save)
+  // - t: wall-clock ms when the input happened (informational; replay ignores it)
+  // - day: state.day when it happened; { type: "endDay" } entries advance time
+  const RECORDING_VERSION = 1;
+
+  function createRecording(state) {
+    return { version: RECORDING_VERSION, start: clone(state), commands: [] };
+  }
+
+  // Frames: frames[0] is the start; each endDay adds one frame (the state at the
+  // start of the next day) with the log lines produced since the previous frame
+  // and step()'s history row. Inputs after the last endDay get a final frame of their own.
+  function replay(recording) {
+    if (!recording || !recording.start || !Array.isArray(recording.commands)) {
+      throw new Error("Not a Governance MPL recording.");
+    }
+
+    let s = clone(recording.start);
+    const frames = [{ day: s.day, state: s, logEntries: [], row: null }];
+    let pendingLog = [];
+    let pendingCmds = [];
+
+    for (const entry of recording.commands) {
+      const cmd = entry.cmd;
+      if (cmd && cmd.type === "endDay") {
+        const result = step(s, pendingCmds);
+        s = result.state;
+        frames.push({ day: s.day, state: s, logEntries: pendingLog.concat(result.logEntries), row: result.row });
+        pendingLog = [];
+        pendingCmds = [];
+      } else {
+        // Dispatch one by one so log lines interleave exactly as they did live.
+        const result = dispatch(s, cmd);
+        s = result.state;
+        pendingLog = pendingLog.concat(result.logEntries);
+      }
+    }
+
+    if (s !== frames[frames.length - 1].state) {
+      frames.push({ day: s.day, state: s, logEntries: pendingLog, row: null });
+    }
+    return frames;
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    JOBS,
+    JOB_STOCK,
+    SKILLED_JOBS,
+    COHORTS,
+    BUILDING_EFFECTS,
+    createGame,
+    step,
+    dispatch,
+    clone,
+    cfg,
+    randomSeed,
+    parseSeed,
+    rnd,
+    rndInt,
+    createRecording,
+    replay,
+    HISTORY_FIELDS,
+    historyToCsv,
+    project,
+    compareAllocations,
+    SHIPPABLE,
+    shipmentProblem,
+    shipOut,
+    shipIn,
+    imposeWeather,
+    scheduleEvent,
+
+    // read-only helpers for views and tooling
+    describeCalendar,
+    seasonAt,
+    foodReserveNeeded,
+    farmBonusMult,
+    toolsBonusMult,
+    foodPerDay,
+    woodPerDay,
+    toolsPerDay,
+    toolsDecayPerDay,
+    foodSpoilagePerDay,
+    perishableFood,
+    foodStorage,
+    preservingPerDay,
+    upkeepPerDay,
+    popCap,
+    describeShelter,
+    availableWorkers,
+    buildingStaff,
+    canBuild,
+    foodConsumptionPerDay,
+    birthsPerDay,
+    immigrationPerDay,
+    emigrationPerDay,
+    healthPerDay,
+    defensePower,
+    describeRaid,
+    outbreakActive,
+    outbreakChance,
+    outbreakPerDay,
+    fitShare,
+    describeEvent,
+    eventTitle,
+    actionAvailable,
+    POLICY_MODIFIERS,
+    describePolicies,
+    describeFactions,
+    validateFactions,
+    canEnact,
+    policyModifier,
+    validatePolicies,
+    describeResearch,
+    describeModifiers,
+    canResearch,
+    researchStaff,
+    validateTechs,
+    describeMarket,
+    quoteTrade,
+    describeTreasury,
+    describeSkills,
+    jobProductivity,
+    ledgerTotals,
+    taxPerDay,
+    wagesPerDay,
+    EVENTS,
+    validateEvents,
+    GOVERNOR_EXAMPLES,
+    METRIC_NAMES: Object.keys(METRICS),
+    BOOLEAN_METRICS,
+    ACTIONS: Object.keys(actions),
+    ruleLabel,
+    validateRules,
+    SCENARIOS,
+    DEFAULT_SCENARIO,
+    describeScenario,
+    validateScenarios,
+  };
+});
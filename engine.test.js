@@ -0,0 +1,443 @@
+// Governance MPL engine tests - the rules run headless, without a DOM or timers
+// Node:  node --test            (or: node engine.test.js)
+//
+// Runs are played by an agent from agents.js the way game.js plays them: each command
+// is dispatched and recorded, then an endDay entry closes the day and step() ends it.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Engine = require("./engine.js");
+const Agents = require("./agents.js");
+
+const SEED = 12345;
+const DAYS = 40;
+
+// -------------------------------
+// Helpers
+// -------------------------------
+// Plays `days` days of one game; returns { state, states, rows, recording } (states and
+// history rows: one per day).
+function playGame(seed, days, strategy = "foodFirst", scenario = undefined) {
+  const agent = Agents.AGENTS[strategy];
+  let s = Engine.createGame({}, seed, scenario);
+  const recording = Engine.createRecording(s);
+  const states = [];
+  const rows = [];
+  for (let i = 0; i < days && !s.gameOver; i++) {
+    for (const cmd of Agents.decide(agent, s)) {
+      recording.commands.push({ t: 0, day: s.day, cmd });
+      s = Engine.dispatch(s, cmd).state;
+    }
+    recording.commands.push({ t: 0, day: s.day, cmd: { type: "endDay" } });
+    const result = Engine.step(s, []);
+    s = result.state;
+    states.push(s);
+    rows.push(result.row);
+  }
+  return { state: s, states, rows, recording };
+}
+
+// -------------------------------
+// Engine
+// -------------------------------
+test("createGame: same seed gives the same state", () => {
+  assert.deepEqual(Engine.createGame({}, SEED), Engine.createGame({}, SEED));
+  assert.equal(Engine.createGame({}, SEED).day, 1);
+});
+
+test("createGame: state is plain JSON", () => {
+  const s = Engine.createGame({}, SEED);
+  assert.deepEqual(JSON.parse(JSON.stringify(s)), s);
+});
+
+test("step: two runs on one seed stay identical day by day", () => {
+  const a = playGame(SEED, DAYS);
+  const b = playGame(SEED, DAYS);
+  assert.equal(a.states.length, b.states.length);
+  a.states.forEach((s, i) => assert.deepEqual(s, b.states[i], `day ${i + 1}`));
+});
+
+test("step: another seed gives another run", () => {
+  assert.notDeepEqual(playGame(SEED, DAYS).state, playGame(SEED + 1, DAYS).state);
+});
+
+test("step: advances one day and leaves the state it is given alone", () => {
+  const s = Engine.createGame({}, SEED);
+  const before = Engine.clone(s);
+  const result = Engine.step(s, [{ type: "preset", name: "maxFood" }]);
+  assert.deepEqual(s, before);
+  assert.equal(result.state.day, s.day + 1);
+  assert.ok(Array.isArray(result.logEntries) && Array.isArray(result.events));
+});
+
+test("dispatch: applies a command without time passing", () => {
+  const s = Engine.createGame({}, SEED);
+  const result = Engine.dispatch(s, { type: "preset", name: "maxFood" });
+  assert.equal(result.state.day, s.day);
+  assert.notDeepEqual(result.state, s);
+});
+
+// -------------------------------
+// Replay
+// -------------------------------
+test("replay: one frame per day, ending on the live run's state", () => {
+  const live = playGame(SEED, DAYS);
+  const frames = Engine.replay(live.recording);
+  assert.equal(frames.length, live.states.length + 1);
+  assert.deepEqual(frames[0].state, live.recording.start);
+  frames.slice(1).forEach((f, i) => assert.deepEqual(f.state, live.states[i], `frame ${i + 1}`));
+});
+
+test("replay: survives a JSON round trip of the recording", () => {
+  const live = playGame(SEED, 15, "survivalThenFarms");
+  const frames = Engine.replay(JSON.parse(JSON.stringify(live.recording)));
+  assert.deepEqual(frames[frames.length - 1].state, live.state);
+});
+
+test("replay: inputs after the last endDay get a final frame", () => {
+  const live = playGame(SEED, 3);
+  const cmd = { type: "preset", name: "maxWood" };
+  live.recording.commands.push({ t: 0, day: live.state.day, cmd });
+  const frames = Engine.replay(live.recording);
+  assert.equal(frames.length, 5);
+  assert.deepEqual(frames[4].state, Engine.dispatch(live.state, cmd).state);
+});
+
+test("replay: rejects what is not a recording", () => {
+  assert.throws(() => Engine.replay({}), /Not a Governance MPL recording/);
+});
+
+// -------------------------------
+// Events (data)
+// -------------------------------
+test("validateEvents: the shipped events are sound", () => {
+  assert.deepEqual(Engine.validateEvents(Engine.EVENTS), []);
+});
+
+test("validateEvents: rejects malformed events", () => {
+  const problems = Engine.validateEvents({
+    BROKEN: {
+      title: "Broken",
+      colour: "red",
+      options: [
+        { label: "Go", effects: { mana: 5 }, followUps: [{ event: "NOWHERE", inDays: 0 }] },
+        { label: "Stay", outcomes: [{ chance: 0.8 }, { chance: 0.5 }] },
+      ],
+    },
+    LOCKED: { title: "Locked", options: [{ label: "Pay", requires: { food: { gte: 5 } } }] },
+  });
+  for (const expected of [
+    'BROKEN: unknown key "colour"',
+    'unknown effect "mana"',
+    'unknown event "NOWHERE"',
+    "inDays must be an integer >= 1",
+    "outcome chances add up to more than 1",
+    "LOCKED: every option has requirements",
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+});
+
+test("createGame: throws when config.EVENTS does not validate", () => {
+  assert.throws(() => Engine.createGame({ EVENTS: { BROKEN: { title: "Broken", options: [] } } }, SEED), /Invalid events/);
+});
+
+// -------------------------------
+// Population
+// -------------------------------
+test("population: cohorts add up and the day's flows explain every change", () => {
+  const agent = Agents.AGENTS.foodFirst;
+  let s = Engine.createGame({}, SEED);
+  for (let i = 0; i < DAYS && !s.gameOver; i++) {
+    for (const cmd of Agents.decide(agent, s)) s = Engine.dispatch(s, cmd).state;
+    const next = Engine.step(s, []).state;
+    const f = next.popFlow;
+    assert.equal(next.pop, next.children + next.adults + next.elders, `day ${s.day}`);
+    if (!next.gameOver) assert.equal(next.pop - s.pop, f.births + f.immigrants - f.deaths - f.emigrants, `day ${s.day}`);
+    s = next;
+  }
+});
+
+test("population: event losses and arrivals count as deaths and immigrants", () => {
+  const EVENTS = {
+    TEST_PEOPLE: {
+      title: "Comings and goings",
+      options: [
+        { label: "Lose two", effects: { pop: -2 } },
+        { label: "Gain three", effects: { pop: 3 } },
+      ],
+    },
+  };
+  const s = { ...Engine.createGame({ EVENTS }, SEED), activeEvent: { key: "TEST_PEOPLE" } };
+
+  const lost = Engine.dispatch(s, { type: "resolveEvent", option: 0 }).state;
+  assert.equal(lost.pop, s.pop - 2);
+  assert.equal(lost.popFlow.deaths, s.popFlow.deaths + 2);
+
+  const gained = Engine.dispatch(s, { type: "resolveEvent", option: 1 }).state;
+  assert.equal(gained.adults, s.adults + 3);
+  assert.equal(gained.popFlow.immigrants, s.popFlow.immigrants + 3);
+});
+
+// -------------------------------
+// Scenarios
+// -------------------------------
+test("validateScenarios: the shipped scenarios are sound", () => {
+  assert.deepEqual(Engine.validateScenarios(Engine.SCENARIOS), []);
+});
+
+test("validateScenarios: rejects malformed scenarios", () => {
+  const problems = Engine.validateScenarios({
+    broken: {
+      name: "Broken",
+      start: { gold: 5 },
+      config: { NO_SUCH_KEY: 1 },
+      objectives: [{ forDays: 0 }],
+      fail: [],
+      turnLimit: 0,
+    },
+  });
+  for (const expected of [
+    'start: unknown state field "gold"',
+    'unknown CONFIG key "NO_SUCH_KEY"',
+    "objectives[0]: missing label",
+    "objectives[0]: missing when",
+    "forDays must be an integer >= 1",
+    "fail: must be a non-empty list",
+    "turnLimit must be an integer >= 1",
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+});
+
+test("createGame: a scenario sets the start and config; unknown ones throw", () => {
+  const hard = Engine.createGame({}, SEED, "hard");
+  assert.equal(hard.food, Engine.SCENARIOS.hard.start.food);
+  assert.equal(Engine.cfg(hard).STARVE_DAYS_GAMEOVER, Engine.SCENARIOS.hard.config.STARVE_DAYS_GAMEOVER);
+  assert.equal(Engine.cfg(Engine.createGame({ STARVE_DAYS_GAMEOVER: 3 }, SEED, "hard")).STARVE_DAYS_GAMEOVER, 3);
+  assert.throws(() => Engine.createGame({}, SEED, "nowhere"), /Unknown scenario/);
+});
+
+test("scenarios: fail conditions and the turn limit end the run", () => {
+  const failed = Engine.step(Engine.createGame({}, SEED, "orderly", { stability: 10 }), []).state;
+  assert.equal(failed.gameOver, true);
+  assert.equal(failed.outcome.cause, "scenario");
+
+  const late = Engine.step(Engine.createGame({}, SEED, "breadbasket", { day: Engine.SCENARIOS.breadbasket.turnLimit }), []).state;
+  assert.equal(late.gameOver, true);
+  assert.equal(late.outcome.cause, "turnLimit");
+});
+
+// -------------------------------
+// Policies
+// -------------------------------
+test("validatePolicies: the shipped policies are sound, malformed ones are rejected", () => {
+  assert.deepEqual(Engine.validatePolicies(Engine.DEFAULT_CONFIG.POLICIES), []);
+  const problems = Engine.validatePolicies({
+    broken: { days: -1, cost: { gold: 5 }, modifiers: { luck: 2 }, excludes: ["broken", "nowhere"], bogus: 1 },
+  });
+  for (const expected of [
+    'broken: unknown key "bogus"',
+    "broken: missing name",
+    "broken.days: must be an integer >= 0",
+    'cost: unknown resource "gold"',
+    'unknown modifier "luck"',
+    "cannot exclude itself",
+    'unknown policy "nowhere"',
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+  assert.throws(() => Engine.createGame({ POLICIES: { broken: { days: 1 } } }, SEED), /Invalid policies/);
+});
+
+test("policies: enacting runs the timer and excluded policies stay out", () => {
+  const s = Engine.dispatch(Engine.createGame({}, SEED), { type: "enact", policy: "ration" }).state;
+  assert.equal(s.policies.ration.left, Engine.DEFAULT_CONFIG.POLICIES.ration.days);
+  assert.equal(Engine.canEnact(s, "feast"), false);
+  assert.equal(Engine.dispatch(s, { type: "enact", policy: "feast" }).state.policies.feast, undefined);
+});
+
+// -------------------------------
+// Research
+// -------------------------------
+test("validateTechs: the shipped tree is sound, malformed techs are rejected", () => {
+  const C = Engine.DEFAULT_CONFIG;
+  assert.deepEqual(Engine.validateTechs(C), []);
+  const problems = Engine.validateTechs({
+    ...C,
+    TECHS: {
+      a: { name: "A", days: 2, requires: ["b"], modifiers: [{ key: "NO_SUCH_VALUE", add: 1 }] },
+      b: { name: "B", days: 0, requires: ["a"], modifiers: [{ key: "WIN_DAY" }] },
+    },
+  });
+  for (const expected of [
+    '"NO_SUCH_VALUE" is not a numeric CONFIG value',
+    "b.days: must be a number > 0",
+    "needs add or mul",
+    "requirement cycle",
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+});
+
+test("research: costs tools up front and known techs modify CONFIG", () => {
+  const C = Engine.DEFAULT_CONFIG;
+  const s = Engine.createGame({}, SEED, undefined, { tools: 50 });
+  const started = Engine.dispatch(s, { type: "research", tech: "ironworking" }).state;
+  assert.equal(started.tools, 50 - C.TECHS.ironworking.cost.tools);
+  assert.equal(started.research.current.tech, "ironworking");
+
+  const known = { ...s, research: { ...s.research, done: ["ironworking"] } };
+  assert.equal(Engine.cfg(known).TOOLS_DECAY_PER_POP, C.TOOLS_DECAY_PER_POP * 0.6);
+  assert.equal(Engine.cfg(s).TOOLS_DECAY_PER_POP, C.TOOLS_DECAY_PER_POP);
+});
+
+// -------------------------------
+// Factions
+// -------------------------------
+test("validateFactions: the shipped factions are sound, malformed ones are rejected", () => {
+  const C = Engine.DEFAULT_CONFIG;
+  assert.deepEqual(Engine.validateFactions(C.FACTIONS, Engine.EVENTS), []);
+  assert.deepEqual(Engine.validateFactions({}, Engine.EVENTS), ["needs at least one faction"]);
+  const problems = Engine.validateFactions(
+    { monks: { size: { prayers: 1 }, moods: [{ when: { food: { gte: 1 } } }], demand: "NOWHERE", colour: "red" } },
+    Engine.EVENTS
+  );
+  for (const expected of [
+    'monks: unknown key "colour"',
+    "monks: missing name",
+    'size: unknown metric "prayers"',
+    "drift: must be a number",
+    'demand: unknown event "NOWHERE"',
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+  assert.throws(() => Engine.createGame({ FACTIONS: {} }, SEED), /Invalid factions/);
+});
+
+test("factions: every faction starts at the stability, which is their approval averaged by size", () => {
+  const s = Engine.createGame({}, SEED, undefined, { stability: 60 });
+  assert.ok(Object.values(s.factions).every((a) => a === 60));
+  assert.equal(s.stability, 60);
+
+  const moved = Engine.dispatch({ ...s, factions: { ...s.factions, farmers: 20 } }, { type: "preset", name: "maxFood" }).state;
+  const expected = Engine.describeFactions(moved).reduce((sum, f) => sum + f.approval * f.weight, 0);
+  assert.equal(moved.stability, Math.round(expected * 100) / 100);
+  assert.ok(moved.stability < 60);
+});
+
+// -------------------------------
+// Raids
+// -------------------------------
+// Guards that cannot lose, raiders that always kill a few of them, and no births,
+// aging or migration to blur the count.
+const RAID_TEST_CONFIG = {
+  GUARD_STRENGTH: 1000,
+  RAID_DEFENDER_LOSSES: 1,
+  BIRTH_RATE_PER_ADULT: 0,
+  CHILD_GROWUP_RATE: 0,
+  ADULT_AGING_RATE: 0,
+  ELDER_DEATH_RATE: 0,
+  IMMIGRATION_MAX_PER_DAY: 0,
+  EMIGRATION_RATE: 0,
+};
+
+function raidToday(start) {
+  const s = Engine.createGame(RAID_TEST_CONFIG, SEED, undefined, { food: 200, ...start });
+  return { ...s, raid: { day: s.day, strength: 40 } };
+}
+
+test("raids: guards lost holding the walls are adults; children and elders are untouched", () => {
+  const s = Engine.dispatch(raidToday({}), { type: "workforce", guards: 8 }).state;
+  const after = Engine.step(s, []).state;
+  const fallen = s.workersGuards - after.workersGuards;
+  assert.ok(fallen > 0);
+  assert.equal(after.raid, null);
+  assert.equal(after.children, s.children);
+  assert.equal(after.elders, s.elders);
+  assert.equal(after.adults, s.adults - fallen);
+  assert.equal(after.popFlow.deaths, fallen);
+});
+
+test("raids: hired hands on guard duty fall before townsfolk", () => {
+  let s = Engine.dispatch(raidToday({ coins: 100 }), { type: "hire", count: 10 }).state;
+  s = Engine.dispatch(s, { type: "workforce", guards: 10 }).state;
+  const after = Engine.step(s, []).state;
+  const fallen = s.workersGuards - after.workersGuards;
+  assert.ok(fallen > 0 && fallen <= 10);
+  assert.equal(after.hired, s.hired - fallen);
+  assert.equal(after.pop, s.pop);
+  assert.equal(after.popFlow.deaths, 0);
+});
+
+// -------------------------------
+// Skills
+// -------------------------------
+test("skills: the starting split is trained; moved workers retrain at reduced output", () => {
+  const C = Engine.DEFAULT_CONFIG;
+  const s = Engine.createGame({}, SEED);
+  for (const job of Engine.SKILLED_JOBS) assert.equal(Engine.jobProductivity(s, job), 1, job);
+
+  const moved = Engine.dispatch(s, { type: "preset", name: "maxWood" }).state;
+  const newcomers = moved.workersWood - s.workersWood;
+  assert.ok(newcomers > 0);
+  const expected = 1 - (newcomers / moved.workersWood) * (1 - C.RETRAIN_EFFICIENCY);
+  assert.ok(Math.abs(Engine.jobProductivity(moved, "wood") - expected) < 1e-9);
+
+  let day = Engine.step(moved, []).state;
+  assert.equal(day.skills.wood.trainees.reduce((sum, t) => sum + t.n, 0), newcomers);
+  for (let i = 1; i < C.RETRAIN_DAYS; i++) day = Engine.step(day, []).state;
+  assert.deepEqual(day.skills.wood.trainees, []);
+  assert.ok(Engine.jobProductivity(day, "wood") > 1);
+});
+
+test("skills: an uncounted pool (staffed: null) has no trainees", () => {
+  const s = Engine.createGame({}, SEED);
+  const skills = Object.fromEntries(Engine.SKILLED_JOBS.map((job) => [job, { xp: 0, staffed: null, trainees: [] }]));
+  const loaded = { ...s, workersFood: s.workersFood - 3, workersWood: s.workersWood + 3, skills };
+  for (const job of Engine.SKILLED_JOBS) assert.equal(Engine.jobProductivity(loaded, job), 1, job);
+});
+
+// -------------------------------
+// History
+// -------------------------------
+test("history: step() returns the finished day's row and keeps it out of the state", () => {
+  const s = Engine.createGame({}, SEED);
+  const result = Engine.step(s, []);
+  assert.equal(result.row.day, s.day);
+  assert.equal(result.row.pop, result.state.pop);
+  assert.equal("history" in result.state, false);
+  assert.equal(Engine.step({ ...s, gameOver: true }, []).row, null);
+});
+
+test("history: replay frames carry the same rows as the live run", () => {
+  const live = playGame(SEED, 20);
+  const frames = Engine.replay(live.recording);
+  assert.deepEqual(frames.slice(1).map((f) => f.row), live.rows);
+  assert.match(Engine.historyToCsv(live.rows).split("\n")[0], /^day,pop,/);
+});
+
+// -------------------------------
+// Projection
+// -------------------------------
+test("project: makes no rolls and leaves the state alone", () => {
+  const s = Engine.createGame({}, SEED);
+  const before = Engine.clone(s);
+  const a = Engine.project(s, 20);
+  assert.deepEqual(a, Engine.project(s, 20));
+  assert.deepEqual(s, before);
+  assert.equal(a.days.length, 20);
+});
+
+test("project: pays wages, and hired hands leave once coins run out", () => {
+  let s = Engine.dispatch(Engine.createGame({}, SEED, undefined, { coins: 1000 }), { type: "hire", count: 10 }).state;
+  s = Engine.dispatch(s, { type: "workforce", food: s.workersFood + 10 }).state;
+  const paid = Engine.project(s, 10);
+  const broke = Engine.project({ ...s, coins: 15 }, 10);
+  assert.ok(!paid.warnings.some((w) => w.includes("hired hands leave")), paid.warnings.join(" "));
+  assert.ok(broke.warnings.some((w) => w.includes("hired hands leave")), broke.warnings.join(" "));
+  assert.ok(broke.days[9].food < paid.days[9].food);
+});
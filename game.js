@@ -2,7 +2,7 @@
 // Version upgrades in this rewrite:
 // - Tools is a real system: workforce -> tools production, tools decay, tools boost output
 // - wfTools slider support + tools stat rendering
-// - farms duplicate display supported: #farms (state) + #farmsBld (buildings panel)
+// - farms duplicate display supported: #farms (state) + buildings panel
 // - Workforce clamping prioritizes the slider the user changed (no "slider fight")
 // - Preset buttons (data-preset): maxFood, maxWood, balanced, survival
 // - Starvation model upgraded to A + B + C:
@@ -10,6 +10,27 @@
 //     B) escalating penalties via consecutive hungry days (starveDays)
 //     C) hard fail after STARVE_DAYS_GAMEOVER consecutive hungry days
 // - tick() remains deterministic in structure (no DOM reads), actions mutate state, render presents state
+// - Seeded PRNG (state.seed + state.rngCursor) drives every roll; seed shown in header, settable on Reset
+// - Save slots (localStorage) + autosave + JSON export/import; versioned save format with migrations
+// - Rules moved to engine.js (headless, Node-compatible); this file is the view: DOM, timers, saves
+// - Every input is recorded against its day; Replay card steps/scrubs a recorded run, export/import recordings
+// - Header shows season, weather and the rolled forecast; rates line shows the food reserve the coming days need
+// - Scenario picker on Reset (Easy/Normal/Hard + goal scenarios); objectives and their progress in the State card
+// - History card: per-day charts with event markers and policy bands, hover values, CSV export
+// - Projection panel: next N days under the current split vs every preset, with run-out warnings
+// - Governor panel: player rules (priority order, toggles) sent as engine commands, so they save and replay
+// - Watch Agent (footer): an agents.js agent decides each day; its commands are recorded like player input
+// - Policies panel replaces the Ration/Feast buttons; active policies show as chips with days left and can be revoked
+// - Research panel: tech tree by tier with prerequisites and progress; known techs listed as CONFIG modifiers
+// - Market panel: barter at drifting prices with a live quote, caravan notice and daily limit; price chart in History
+// - Food splits into perishable grain and preserved food (smokehouses); storage cap and spoilage shown under Food
+// - Factions in the State card: approval, share of the say and today's mood per faction; stability is their weighted average
+// - Health in the State card (sick count, outbreak, daily drift); Herbalists slider, Burn Supplies, quarantine; Health chart
+// - Shelter in the State card: occupancy, homeless and their toll, houses decaying without upkeep; shelter in the Population chart
+// - Treasury panel: tax rate, hired hands, faction bribes and the day's income/expense lines; coins in the State card, market and History
+// - Defense in the State card with the coming raid and the odds of holding; Guards slider, palisades; Defense chart
+// - Rates line shows each job's productivity: pool experience, less workers still retraining after a move
+// - Regions (region.js) on Reset: the whole UI shows the town picked on the map; caravans carry goods and people between towns
 
 (() => {
   "use strict";
@@ -21,17 +42,89 @@
 
   const ui = {
     day: $("day"),
+    town: $("town"),
+    calendar: $("calendar"),
     statusBadge: $("statusBadge"),
     pop: $("pop"),
+    popCohorts: $("popCohorts"),
+    shelter: $("shelter"),
+    shelterSub: $("shelterSub"),
     food: $("food"),
+    foodStores: $("foodStores"),
     wood: $("wood"),
     tools: $("tools"),
+    coins: $("coins"),
+    coinsSub: $("coinsSub"),
     stab: $("stab"),
+    health: $("health"),
+    healthSick: $("healthSick"),
+    defense: $("defense"),
+    raidThreat: $("raidThreat"),
     rates: $("rates"),
     farms: $("farms"),
-    farmsBld: $("farmsBld"),
+    buildingList: $("buildingList"),
+    buildQueue: $("buildQueue"),
     log: $("log"),
     eventBox: $("eventBox"),
+    seed: $("seed"),
+    seedInput: $("seedInput"),
+    scenarioSelect: $("scenarioSelect"),
+    objectives: $("objectives"),
+    factions: $("factions"),
+    policyChips: $("policyChips"),
+    policyList: $("policyList"),
+    techTree: $("techTree"),
+    techModifiers: $("techModifiers"),
+    marketInfo: $("marketInfo"),
+    marketPrices: $("marketPrices"),
+    tradeGive: $("tradeGive"),
+    tradeGet: $("tradeGet"),
+    tradeAmount: $("tradeAmount"),
+    tradeQuote: $("tradeQuote"),
+    tradeBtn: $("tradeBtn"),
+    taxRate: $("taxRate"),
+    taxRateVal: $("taxRateVal"),
+    hired: $("hired"),
+    hiredVal: $("hiredVal"),
+    bribeList: $("bribeList"),
+    ledger: $("ledger"),
+    treasuryInfo: $("treasuryInfo"),
+    historyCharts: $("historyCharts"),
+    historyTip: $("historyTip"),
+    exportHistory: $("exportHistory"),
+    govEnabled: $("govEnabled"),
+    govExamples: $("govExamples"),
+    govClear: $("govClear"),
+    govRules: $("govRules"),
+    govMetric: $("govMetric"),
+    govOp: $("govOp"),
+    govValue: $("govValue"),
+    govDo: $("govDo"),
+    govTarget: $("govTarget"),
+    govAdd: $("govAdd"),
+    projDays: $("projDays"),
+    projDaysVal: $("projDaysVal"),
+    projWarnings: $("projWarnings"),
+    projTable: $("projTable"),
+
+    saveName: $("saveName"),
+    saveSlots: $("saveSlots"),
+    saveBtn: $("saveBtn"),
+    loadBtn: $("loadBtn"),
+    deleteSaveBtn: $("deleteSaveBtn"),
+    exportBtn: $("exportBtn"),
+    importBtn: $("importBtn"),
+    importFile: $("importFile"),
+
+    replayRun: $("replayRun"),
+    exportRecording: $("exportRecording"),
+    importRecordingBtn: $("importRecordingBtn"),
+    importRecording: $("importRecording"),
+    exitReplay: $("exitReplay"),
+    replayPrev: $("replayPrev"),
+    replayNext: $("replayNext"),
+    replayScrub: $("replayScrub"),
+    replayDay: $("replayDay"),
 
     toggleTick: $("toggleTick"),
     reset: $("reset"),
@@ -40,126 +133,77 @@
     wfFood: $("wfFood"),
     wfWood: $("wfWood"),
     wfTools: $("wfTools"),
+    wfHerbs: $("wfHerbs"),
+    wfGuards: $("wfGuards"),
     wfFoodVal: $("wfFoodVal"),
     wfWoodVal: $("wfWoodVal"),
     wfToolsVal: $("wfToolsVal"),
+    wfHerbsVal: $("wfHerbsVal"),
+    wfGuardsVal: $("wfGuardsVal"),
+
+    agentSelect: $("agentSelect"),
+    watchAgent: $("watchAgent"),
+
+    regionCard: $("regionCard"),
+    regionInfo: $("regionInfo"),
+    regionMap: $("regionMap"),
+    townList: $("townList"),
+    shipTo: $("shipTo"),
+    shipCargo: $("shipCargo"),
+    shipAmount: $("shipAmount"),
+    shipBtn: $("shipBtn"),
+    shipQuote: $("shipQuote"),
+    shipments: $("shipments"),
   };
 
+  const Engine = window.GovEngine;
+  const Agents = window.GovAgents;
+  const Region = window.GovRegion;
+
   // -------------------------------
-  // Constants (tune here)
+  // Constants (view only; game rules live in engine.js)
   // -------------------------------
   const CONFIG = {
     // Time control
     DEFAULT_MODE: "auto", // "auto" | "manual"
     DEFAULT_SPEED_MS: 5000, // 1 day = 5 seconds (auto mode)
 
-    // Workforce production
-    FOOD_PER_WORKER: 1.0,
-    WOOD_PER_WORKER: 0.8,
-    TOOLS_PER_WORKER: 0.35,
-
-    // Buildings
-    FARM_WOOD_COST: 30,
-    FARM_FOOD_MULT_PER_FARM: 0.08, // +8% food output per farm
-
-    // Tools system
-    TOOLS_SOFTCAP: 100, // beyond this gives no extra bonus
-    TOOLS_BONUS_PER_TOOL: 0.002, // 100 tools -> +20% output
-    TOOLS_MIN_BONUS: 1.0,
-    TOOLS_DECAY_FLAT: 1.0, // lose at least this much tools per day
-    TOOLS_DECAY_PER_POP: 0.05, // plus pop*X per day, models wear & maintenance
-
-    // Consumption
-    FOOD_CONSUMPTION_PER_POP: 1.0,
-    RATION_CONSUMPTION_MULT: 0.75,
-    FEAST_CONSUMPTION_MULT: 1.25,
-
-    // Policies durations (days)
-    RATION_DAYS: 5,
-    FEAST_DAYS: 3,
-
-    // Stability dynamics
-    STAB_MAX: 100,
-    STAB_MIN: 0,
-
-    // Starvation penalties (baseline)
-    STARVATION_STAB_LOSS_MULT: 0.15, // per missing food unit
-    STARVATION_STAB_LOSS_MIN: 2,
-    STARVATION_STAB_LOSS_MAX: 18,
-    STARVATION_DEATH_DEFICIT_RATIO: 0.8, // only lethal if deficit is "serious" vs pop
-
-    // Starvation escalation + collapse (A + B + C)
-    STARVE_DAYS_GAMEOVER: 15, // C: hard fail after 15 consecutive hungry days
-    STARVE_STAB_MULT_PER_DAY: 0.08, // B: +8% stab loss per hungry day
-    STARVE_DEATH_MULT_PER_DAY: 0.05, // B: +5% deaths per hungry day
-    STARVE_DEATH_MAX_PER_DAY_RATIO: 0.35, // cap deaths/day to avoid instant wipeouts
-
-    // Ambient stability drift
-    STAB_DRIFT_UP_IF_WELL_FED_RATIO: 3, // food > pop*ratio => drift up
-    STAB_DRIFT_UP: 0.6,
-    STAB_DRIFT_CAP: 85,
-    STAB_DRIFT_DOWN_IF_TOO_HIGH: 0.2,
-    STAB_TOO_HIGH: 90,
-
-    // Events
-    EVENT_BASE_CHANCE: 0.05,
-    EVENT_STARVATION_BONUS: 0.12,
-    EVENT_LOWSTAB_BONUS: 0.10,
-    LOW_STABILITY_THRESHOLD: 35,
-    STARVATION_RISK_FOOD_RATIO: 2, // food < pop*ratio => risk
-
-    // Win/Lose
-    WIN_DAY: 50,
-
-    // Presets (workforce split ratios)
-    PRESETS: {
-      maxFood: { food: 1.0, wood: 0.0, tools: 0.0 },
-      maxWood: { food: 0.0, wood: 1.0, tools: 0.0 },
-      balanced: { food: 0.55, wood: 0.30, tools: 0.15 },
-      survival: { food: 0.75, wood: 0.20, tools: 0.05 },
-    },
+    // Persistence
+    AUTOSAVE_EVERY_DAYS: 5, // 0 disables autosave
+
+    // Projection panel
+    PROJECTION_DAYS: 20, // default horizon of the what-if table
   };
 
   // -------------------------------
   // State
   // -------------------------------
-  const INITIAL = () => ({
-    // timeline
-    day: 1,
+  // state: engine game state (replaced wholesale after every command/step)
+  // region: region.js state in a region run (null otherwise); state is then its town on screen
+  // view: time control and the town on screen, not part of the simulation
+  const INITIAL_VIEW = () => ({
     mode: CONFIG.DEFAULT_MODE, // "auto" or "manual"
     paused: false,
-    gameOver: false,
-
-    // core resources
-    pop: 30,
-    food: 80,
-    wood: 40,
-    tools: 10,
-    stability: 70,
-
-    // workforce
-    workersFood: 10,
-    workersWood: 5,
-    workersTools: 0,
-
-    // buildings
-    farms: 0,
+    tickSpeedMs: CONFIG.DEFAULT_SPEED_MS,
+    town: null, // region runs: key of the town on screen
+  });
 
-    // policies (timers)
-    rationing: 0,
-    feasting: 0,
+  let state = Engine.createGame();
+  let region = null;
+  let view = INITIAL_VIEW();
 
-    // hunger memory
-    starveDays: 0,
+  // Every input since `start`, replayable through Engine.replay().
+  let recording = Engine.createRecording(state);
 
-    // event
-    activeEvent: null,
+  // Finished days of the live run, as step() returns them (see newHistory).
+  let history = newHistory(state);
 
-    // tick timer
-    tickSpeedMs: CONFIG.DEFAULT_SPEED_MS,
-  });
+  // AGENTS key while "Watch Agent" is on: the agent decides each day before it ends.
+  let watching = null;
 
-  let state = INITIAL();
+  // While watching a replay: { frames, index, live: { state, view, logHtml } }.
+  // state then points at the shown frame; the live run waits in `live`.
+  let replaying = null;
 
   // -------------------------------
   // Timer control
@@ -168,7 +212,7 @@
 
   function startAutoTick() {
     stopAutoTick();
-    tickHandle = window.setInterval(() => tick(), state.tickSpeedMs);
+    tickHandle = window.setInterval(() => tick(), view.tickSpeedMs);
   }
 
   function stopAutoTick() {
@@ -180,459 +224,839 @@
 
   function applyTimeControl() {
     stopAutoTick();
-    if (state.gameOver) return;
-    if (state.mode === "auto" && !state.paused) startAutoTick();
+    if (runOver()) return;
+    if (view.mode === "auto" && !view.paused) startAutoTick();
   }
 
   // -------------------------------
   // Utils
   // -------------------------------
-  function clamp(n, a, b) {
-    return Math.max(a, Math.min(b, n));
-  }
-
-  function rndInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  }
-
   function fmtInt(n) {
     return String(Math.floor(n));
   }
 
-  function logLine(text, tone = "") {
+  // Config data (events, buildings) can come from imported files.
+  function esc(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  }
+
+  function logLine(text, tone = "", day = state.day) {
     if (!ui.log) return;
     const div = document.createElement("div");
     div.className = `line ${tone}`;
-    div.textContent = `[Day ${state.day}] ${text}`;
+    div.textContent = `[Day ${day}] ${text}`;
     ui.log.prepend(div);
   }
 
+  // The whole run: the region in a region run, else the single game.
+  function liveRun() {
+    return region || state;
+  }
+
+  // A region run goes on while some towns have fallen.
+  function runOver() {
+    return liveRun().gameOver;
+  }
+
+  // Shows a run: a region (its town view.town on screen) or a single game.
+  function showState(run) {
+    if (Array.isArray(run.towns)) {
+      region = run;
+      const town = run.towns.find((t) => t.key === view.town) || run.towns[0];
+      view.town = town.key;
+      state = town.state;
+    } else {
+      region = null;
+      state = run;
+    }
+  }
+
+  // History rows: a list for a single game, { town: rows } for a region.
+  function newHistory(run) {
+    return Array.isArray(run.towns) ? Object.fromEntries(run.towns.map((t) => [t.key, []])) : [];
+  }
+
+  // Rows of the game on screen: the live run's, or those up to the replay frame shown.
+  function shownHistory() {
+    const rows = replaying ? replaying.history : history;
+    return (region ? rows[view.town] : rows) || [];
+  }
+
+  function newRecording(run) {
+    return Array.isArray(run.towns) ? Region.createRecording(run) : Engine.createRecording(run);
+  }
+
+  // Manual inputs are off while a replay is shown, an agent plays, or the run (or the town on screen) is over.
+  function inputsLocked() {
+    return !!replaying || !!watching || state.gameOver || runOver();
+  }
+
   function statusLabel() {
-    if (state.gameOver) return { text: "GAME OVER", tone: "bad" };
+    if (replaying) return { text: "Replay", tone: "warn" };
+    if (runOver()) return liveRun().outcome?.win ? { text: "VICTORY", tone: "good" } : { text: "GAME OVER", tone: "bad" };
+    if (state.gameOver) return { text: "FALLEN", tone: "bad" };
     if (state.stability >= 75) return { text: "Stable", tone: "good" };
     if (state.stability >= 40) return { text: "Tense", tone: "warn" };
     return { text: "Unstable", tone: "bad" };
   }
 
   // -------------------------------
-  // Core math
+  // Engine bridge
   // -------------------------------
-  function farmBonusMult() {
-    return 1 + state.farms * CONFIG.FARM_FOOD_MULT_PER_FARM;
+  // Adopt an engine (or region) result: new state, log lines, and side effects of its events.
+  function adopt(result) {
+    const prevDay = liveRun().day;
+    showState(result.state);
+    if (result.row) history.push(result.row);
+    for (const [town, row] of Object.entries(result.rows || {})) history[town].push(row);
+
+    for (const e of result.logEntries) logLine(e.text, e.tone, e.day);
+
+    // A town's own game over (tagged with the town) does not end a region run.
+    if (result.events.some((e) => e.type === "gameOver" && !e.town)) {
+      applyTimeControl();
+      if (watching) stopWatching(`${Agents.AGENTS[watching].name} agent finished on day ${liveRun().day}.`);
+    }
+
+    renderEvent();
+    render();
+
+    if (liveRun().day !== prevDay) maybeAutosave();
   }
 
-  function toolsBonusMult() {
-    const effectiveTools = clamp(state.tools, 0, CONFIG.TOOLS_SOFTCAP);
-    const mult = 1 + effectiveTools * CONFIG.TOOLS_BONUS_PER_TOOL;
-    return Math.max(CONFIG.TOOLS_MIN_BONUS, mult);
+  // A command for the game on screen (in a region run: for the town on screen).
+  function send(command) {
+    if (state.gameOver || runOver() || replaying) return;
+    const day = state.day;
+    if (region) {
+      const town = view.town;
+      adopt(Region.dispatch(region, { type: "town", town, command }));
+      record(day, { type: "town", town, command: command.type === "workforce" ? currentSplit() : command });
+      return;
+    }
+    adopt(Engine.dispatch(state, command));
+    record(day, command.type === "workforce" ? currentSplit() : command);
   }
 
-  function foodPerDay() {
-    return state.workersFood * CONFIG.FOOD_PER_WORKER * farmBonusMult() * toolsBonusMult();
+  // A region command (caravans, or an engine command wrapped for any town).
+  function sendRegion(command) {
+    if (!region || region.gameOver || replaying) return;
+    const day = region.day;
+    adopt(Region.dispatch(region, command));
+    record(day, command);
   }
 
-  function woodPerDay() {
-    return state.workersWood * CONFIG.WOOD_PER_WORKER * toolsBonusMult();
+  // One day. Manual End Day and the auto timer both land here.
+  function tick() {
+    if (runOver() || replaying) return;
+    if (view.paused && view.mode === "auto") return;
+    if (watching) {
+      // Sent one by one like player input, so the run records and replays the same way.
+      const agent = Agents.AGENTS[watching];
+      if (region) {
+        for (const town of region.towns) {
+          if (town.state.gameOver) continue;
+          for (const cmd of Agents.decide(agent, town.state)) sendRegion({ type: "town", town: town.key, command: cmd });
+        }
+      } else {
+        for (const cmd of Agents.decide(agent, state)) send(cmd);
+      }
+    }
+    record(liveRun().day, { type: "endDay" });
+    adopt(region ? Region.step(region, []) : Engine.step(state, []));
   }
 
-  function toolsPerDay() {
-    return state.workersTools * CONFIG.TOOLS_PER_WORKER;
+  // Workforce inputs are recorded as the resulting full split, so a slider drag
+  // collapses into one entry per day and still replays exactly.
+  function currentSplit() {
+    const split = { type: "workforce" };
+    for (const [job, key] of Object.entries(Engine.JOBS)) split[job] = state[key];
+    return split;
   }
 
-  function toolsDecayPerDay() {
-    return CONFIG.TOOLS_DECAY_FLAT + state.pop * CONFIG.TOOLS_DECAY_PER_POP;
+  // Whose split a workforce entry sets ("" for a single game, the town in a region run), else null.
+  function splitOwner(cmd) {
+    if (cmd.type === "town") return cmd.command.type === "workforce" ? cmd.town : null;
+    return cmd.type === "workforce" ? "" : null;
   }
 
-  function foodConsumptionPerDay() {
-    let consumption = state.pop * CONFIG.FOOD_CONSUMPTION_PER_POP;
-    if (state.rationing > 0) consumption *= CONFIG.RATION_CONSUMPTION_MULT;
-    if (state.feasting > 0) consumption *= CONFIG.FEAST_CONSUMPTION_MULT;
-    return consumption;
+  function record(day, cmd) {
+    const entry = { t: Date.now(), day, cmd };
+    const list = recording.commands;
+    const last = list[list.length - 1];
+    const owner = splitOwner(cmd);
+    if (owner !== null && last && last.day === day && splitOwner(last.cmd) === owner) {
+      list[list.length - 1] = entry;
+    } else {
+      list.push(entry);
+    }
   }
 
-  // Workforce clamping:
-  // - Guarantee total workers <= population.
-  // - Priority: keep the slider the user changed, clamp the others first.
-  function validateWorkforce(priorityKey = null) {
-    const keys = ["workersFood", "workersWood", "workersTools"];
+  function wireActionButtons() {
+    document.querySelectorAll("button[data-action]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        send({ type: "action", name: btn.getAttribute("data-action") });
+      });
+    });
+  }
+
+  function wirePresetButtons() {
+    document.querySelectorAll("button[data-preset]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        send({ type: "preset", name: btn.getAttribute("data-preset") });
+      });
+    });
+  }
+
+  // -------------------------------
+  // Persistence (localStorage slots + JSON files)
+  // -------------------------------
+  // Save format: { version, savedAt, state, view }. state is the engine's plain
+  // game state (active event stored as { key }), or a region.js region whose towns
+  // hold such states; view holds time control.
+  const SAVE_VERSION = 8;
+  const SAVE_PREFIX = "govmpl.save.";
+  const AUTOSAVE_SLOT = "autosave";
+
+  // MIGRATIONS[v] upgrades a save from version v to v + 1.
+  // Fields added to the engine's initial state need no migration: missing keys
+  // are backfilled from Engine.createGame() on load. Only add one here when an
+  // existing field changes meaning or shape.
+  const MIGRATIONS = {
+    // 0 -> 1: pre-versioned saves had no seed; give them a fresh stream.
+    0: (data) => {
+      const st = data.state || {};
+      if (typeof st.seed !== "number") {
+        st.seed = Engine.randomSeed();
+        st.rngCursor = 0;
+      }
+      return { ...data, state: st, version: 1 };
+    },
 
-    // Hard clamp each to [0, pop]
-    for (const k of keys) state[k] = clamp(state[k], 0, state.pop);
+    // 1 -> 2: engine split. Time control moved out of state into view, and the
+    // active event is stored as { key } instead of a bare key string.
+    1: (data) => {
+      const { mode, paused, tickSpeedMs, ...st } = data.state;
+      if (typeof st.activeEvent === "string") st.activeEvent = { key: st.activeEvent };
+      return { ...data, state: st, view: { mode, paused, tickSpeedMs }, version: 2 };
+    },
+
+    // 2 -> 3: pop split into age cohorts; workers must fit in adults.
+    2: (data) => {
+      const st = { ...data.state };
+      const pop = Math.max(0, Math.floor(st.pop || 0));
+      st.children = Math.round(pop * 0.14);
+      st.elders = Math.round(pop * 0.06);
+      st.adults = pop - st.children - st.elders;
+      return { ...data, state: st, version: 3 };
+    },
 
-    const total = state.workersFood + state.workersWood + state.workersTools;
-    if (total <= state.pop) return;
+    // 3 -> 4: farms became one entry of the building registry.
+    3: (data) => {
+      const { farms, ...st } = data.state;
+      st.buildings = { farm: farms || 0 };
+      return { ...data, state: st, version: 4 };
+    },
 
-    let overflow = total - state.pop;
+    // 4 -> 5: rationing/feasting timers became entries of the policy registry.
+    // The recording is converted too, so the saved run still replays.
+    4: (data) => {
+      const rec = data.recording;
+      return {
+        ...data,
+        state: upgradePolicyFields(data.state),
+        recording: rec && rec.start ? { ...rec, start: upgradePolicyFields(rec.start), commands: rec.commands.map(upgradePolicyCommand) } : rec,
+        version: 5,
+      };
+    },
+
+    // 5 -> 6: stability became the weighted approval of factions; every faction
+    // starts where stability stood. The recording start is converted too.
+    5: (data) => {
+      const rec = data.recording;
+      return {
+        ...data,
+        state: upgradeFactionFields(data.state),
+        recording: rec && rec.start ? { ...rec, start: upgradeFactionFields(rec.start) } : rec,
+        version: 6,
+      };
+    },
 
-    const clampOrder = keys.slice();
-    if (priorityKey && clampOrder.includes(priorityKey)) {
-      clampOrder.splice(clampOrder.indexOf(priorityKey), 1);
-      clampOrder.push(priorityKey); // clamp priority last
+    // 6 -> 7: job skills. Pools start untrained; the saved split counts as settled in
+    // (staffed: null), not as workers just moved. The recording start is converted too.
+    6: (data) => {
+      const rec = data.recording;
+      return {
+        ...data,
+        state: upgradeSkillFields(data.state),
+        recording: rec && rec.start ? { ...rec, start: upgradeSkillFields(rec.start) } : rec,
+        version: 7,
+      };
+    },
+
+    // 7 -> 8: history rows moved out of the state (and each town's) into the save.
+    7: (data) => {
+      const rec = data.recording;
+      const { state, history } = splitHistory(data.state);
+      return {
+        ...data,
+        state,
+        history,
+        recording: rec && rec.start ? { ...rec, start: splitHistory(rec.start).state } : rec,
+        version: 8,
+      };
+    },
+  };
+
+  // v4 history rows named policies by their timer field; the ration/feast actions became policies.
+  const OLD_POLICIES = { rationing: "ration", feasting: "feast" };
+  const OLD_POLICY_ACTIONS = ["ration", "feast"];
+
+  function upgradePolicyFields(old) {
+    const { rationing, feasting, ...st } = old;
+    st.policies = {};
+    st.policyCooldowns = {};
+    // Old timers were counted down before the day's consumption: N meant N - 1 more days.
+    if (rationing > 1) st.policies.ration = { left: rationing - 1 };
+    if (feasting > 1) st.policies.feast = { left: feasting - 1 };
+    if (st.governor) st.governor = { ...st.governor, rules: st.governor.rules.map(upgradePolicyRule) };
+    if (st.history) {
+      st.history = st.history.map((row) => ({ ...row, policies: row.policies.map((p) => OLD_POLICIES[p] || p) }));
     }
+    return st;
+  }
 
-    for (const k of clampOrder) {
-      if (overflow <= 0) break;
-      const reducible = state[k];
-      const d = Math.min(reducible, overflow);
-      state[k] -= d;
-      overflow -= d;
+  function upgradePolicyRule(rule) {
+    return rule.do && OLD_POLICY_ACTIONS.includes(rule.do.action) ? { ...rule, do: { policy: rule.do.action } } : rule;
+  }
+
+  function upgradePolicyCommand(entry) {
+    const cmd = entry.cmd;
+    if (cmd && cmd.type === "action" && OLD_POLICY_ACTIONS.includes(cmd.name)) {
+      return { ...entry, cmd: { type: "enact", policy: cmd.name } };
     }
+    if (cmd && cmd.type === "governor" && Array.isArray(cmd.rules)) {
+      return { ...entry, cmd: { ...cmd, rules: cmd.rules.map(upgradePolicyRule) } };
+    }
+    return entry;
   }
 
-  // -------------------------------
-  // Presets
-  // -------------------------------
-  function applyPreset(name) {
-    const preset = CONFIG.PRESETS[name];
-    if (!preset) return;
+  function upgradeFactionFields(old) {
+    const keys = Object.keys(Engine.cfg(old).FACTIONS);
+    return { ...old, factions: Object.fromEntries(keys.map((k) => [k, old.stability])) };
+  }
 
-    const pop = state.pop;
+  // v6 saves made after skills landed (and every region) already have them.
+  function upgradeSkillFields(old) {
+    if (old.skills || Array.isArray(old.towns)) return old;
+    return { ...old, skills: Object.fromEntries(Engine.SKILLED_JOBS.map((job) => [job, { xp: 0, staffed: null, trainees: [] }])) };
+  }
 
-    let f = Math.floor(pop * preset.food);
-    let w = Math.floor(pop * preset.wood);
-    let t = Math.floor(pop * preset.tools);
+  function splitHistory(old) {
+    if (Array.isArray(old.towns)) {
+      const towns = old.towns.map((t) => ({ ...t, state: splitHistory(t.state).state }));
+      return { state: { ...old, towns }, history: Object.fromEntries(old.towns.map((t) => [t.key, t.state.history || []])) };
+    }
+    const { history = [], ...st } = old;
+    return { state: st, history };
+  }
+
+  // Always the live run, even while a replay is on screen.
+  function serializeState() {
+    const live = replaying ? replaying.live : { state: liveRun(), view };
+    return {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      state: live.state,
+      view: live.view,
+      history,
+      recording,
+    };
+  }
 
-    f = Math.max(0, f);
-    w = Math.max(0, w);
-    t = Math.max(0, t);
+  // Returns { state, view, history, recording }, or throws with a readable message.
+  // Saves without a recording start a new one from the loaded state.
+  function deserializeState(raw) {
+    let data = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!data || typeof data !== "object" || !data.state || typeof data.state !== "object") {
+      throw new Error("Not a Governance MPL save.");
+    }
 
-    // Round to exactly pop with a deliberate priority order.
-    let used = f + w + t;
-    while (used < pop) {
-      f += 1; used += 1;
-      if (used >= pop) break;
-      w += 1; used += 1;
-      if (used >= pop) break;
-      t += 1; used += 1;
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    if (version > SAVE_VERSION) {
+      throw new Error(`Save version ${version} is newer than this game (v${SAVE_VERSION}).`);
     }
-    while (used > pop) {
-      if (t > 0) t -= 1;
-      else if (w > 0) w -= 1;
-      else if (f > 0) f -= 1;
-      used = f + w + t;
+    while (version < SAVE_VERSION) {
+      const migrate = MIGRATIONS[version];
+      if (!migrate) throw new Error(`No migration from save version ${version}.`);
+      data = migrate(data);
+      version += 1;
     }
 
-    state.workersFood = f;
-    state.workersWood = w;
-    state.workersTools = t;
+    const loaded = withStateDefaults(data.state);
+    const rec = data.recording;
+    return {
+      state: loaded,
+      view: { ...INITIAL_VIEW(), ...pickDefined(data.view) },
+      history: loadHistory(loaded, data.history),
+      recording:
+        rec && rec.start && Array.isArray(rec.commands)
+          ? { ...rec, start: withStateDefaults(rec.start) }
+          : newRecording(loaded),
+    };
+  }
 
-    validateWorkforce(null);
-    logLine(`Applied preset: ${name}.`, "");
+  // A save's history rows, shaped for its run (towns missing from it start empty).
+  function loadHistory(run, saved) {
+    const fresh = newHistory(run);
+    if (Array.isArray(fresh)) return Array.isArray(saved) ? saved : fresh;
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? { ...fresh, ...saved } : fresh;
+  }
+
+  // Backfills state fields added since the save (see MIGRATIONS); the recording's start gets the same.
+  // A region's towns are backfilled one by one.
+  function withStateDefaults(saved) {
+    if (Array.isArray(saved.towns)) {
+      const fresh = Region.createRegion(saved.config, saved.seed, Region.REGIONS[saved.region] ? saved.region : undefined);
+      return { ...fresh, ...saved, towns: saved.towns.map((t) => ({ ...t, state: withStateDefaults(t.state) })) };
+    }
+    const scenario = Engine.SCENARIOS[saved.scenario] ? saved.scenario : undefined;
+    return { ...Engine.createGame(saved.config, saved.seed, scenario), ...saved };
+  }
+
+  function pickDefined(obj) {
+    return Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => v !== undefined));
+  }
+
+  function storage() {
+    try {
+      return window.localStorage;
+    } catch {
+      return null; // disabled (privacy mode, file:// in some browsers)
+    }
+  }
+
+  function listSaveSlots() {
+    const ls = storage();
+    if (!ls) return [];
+    const names = [];
+    for (let i = 0; i < ls.length; i++) {
+      const k = ls.key(i);
+      if (k && k.startsWith(SAVE_PREFIX)) names.push(k.slice(SAVE_PREFIX.length));
+    }
+    return names.sort();
+  }
+
+  function saveToSlot(name, quiet = false) {
+    const ls = storage();
+    if (!ls) {
+      logLine("Saving unavailable: localStorage is disabled.", "bad");
+      return false;
+    }
+    try {
+      ls.setItem(SAVE_PREFIX + name, JSON.stringify(serializeState()));
+    } catch (err) {
+      logLine(`Save failed: ${err.message}`, "bad");
+      return false;
+    }
+    if (!quiet) logLine(`Saved to slot "${name}".`, "good");
+    renderSaveSlots();
+    return true;
+  }
+
+  function loadFromSlot(name) {
+    const raw = storage()?.getItem(SAVE_PREFIX + name);
+    if (!raw) {
+      logLine(`No save in slot "${name}".`, "bad");
+      return;
+    }
+    try {
+      replaceState(deserializeState(raw), `Loaded slot "${name}".`);
+    } catch (err) {
+      logLine(`Load failed: ${err.message}`, "bad");
+    }
+  }
+
+  function deleteSlot(name) {
+    storage()?.removeItem(SAVE_PREFIX + name);
+    logLine(`Deleted slot "${name}".`, "");
+    renderSaveSlots();
+  }
+
+  function maybeAutosave() {
+    const every = CONFIG.AUTOSAVE_EVERY_DAYS;
+    if (every > 0 && state.day % every === 0) saveToSlot(AUTOSAVE_SLOT, true);
+  }
+
+  function downloadJson(data, filename) {
+    downloadText(JSON.stringify(data, null, 2), filename, "application/json");
+  }
+
+  function downloadText(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function readJsonFile(file, onData, what) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onData(JSON.parse(String(reader.result)));
+      } catch (err) {
+        logLine(`${what} failed: ${err.message}`, "bad");
+      }
+    };
+    reader.onerror = () => logLine(`${what} failed: could not read "${file.name}".`, "bad");
+    reader.readAsText(file);
+  }
+
+  function exportToFile() {
+    const data = serializeState();
+    downloadJson(data, `govmpl-seed${data.state.seed}-day${data.state.day}.json`);
+    logLine("Exported run to file.", "");
+  }
+
+  function importFromFile(file) {
+    readJsonFile(file, (data) => replaceState(deserializeState(data), `Imported "${file.name}".`), "Import");
+  }
+
+  function replaceState(next, message) {
+    if (replaying) exitReplay();
+    stopAutoTick();
+    watching = null;
+    view = next.view;
+    showState(next.state);
+    history = next.history;
+    recording = next.recording;
+    if (ui.log) ui.log.innerHTML = "";
+    logLine(`${message} (seed ${liveRun().seed}, day ${liveRun().day})`, "good");
+    renderEvent();
+    render();
+    applyTimeControl();
   }
 
   // -------------------------------
-  // Events (declarative)
+  // Replay viewer
   // -------------------------------
-  function buildEvent(key) {
-    switch (key) {
-      case "TRADERS":
-        return {
-          key,
-          title: "Wandering Traders Arrive",
-          body: "They offer food for wood. Fair deal, but your stores matter.",
-          options: [
-            {
-              label: "Trade 20 wood → 35 food",
-              can: () => state.wood >= 20,
-              apply: () => {
-                state.wood -= 20;
-                state.food += 35;
-                state.stability = clamp(state.stability + 2, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                logLine("You traded with the traders. Supplies improved.", "good");
-              },
-            },
-            {
-              label: "Refuse",
-              can: () => true,
-              apply: () => {
-                state.stability = clamp(state.stability - 1, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                logLine("You refused the traders.", "");
-              },
-            },
-          ],
-        };
-
-      case "THEFT":
-        return {
-          key,
-          title: "Food Theft at Night",
-          body: "Hungry citizens stole from stores. You must respond.",
-          options: [
-            {
-              label: "Punish harshly (order now, risk deaths)",
-              can: () => true,
-              apply: () => {
-                state.stability = clamp(state.stability + 6, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                if (Math.random() < 0.35) {
-                  state.pop = clamp(state.pop - 1, 0, 999999);
-                  logLine("Harsh punishment restored order—at a human cost.", "warn");
-                } else {
-                  logLine("Harsh punishment restored order.", "warn");
-                }
-              },
-            },
-            {
-              label: "Show mercy (authority down)",
-              can: () => true,
-              apply: () => {
-                state.stability = clamp(state.stability - 6, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                state.food = clamp(state.food - 6, 0, 999999);
-                logLine("Mercy preserved lives but weakened authority.", "bad");
-              },
-            },
-          ],
-        };
-
-      case "RIOT":
-        return {
-          key,
-          title: "Public Riot",
-          body: "Crowds gather, angry and scared. This can spiral.",
-          options: [
-            {
-              label: "Spend 25 food to calm them",
-              can: () => state.food >= 25,
-              apply: () => {
-                state.food -= 25;
-                state.stability = clamp(state.stability + 15, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                logLine("You defused the riot with emergency supplies.", "good");
-              },
-            },
-            {
-              label: "Use force (can backfire)",
-              can: () => true,
-              apply: () => {
-                state.stability = clamp(state.stability + 8, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                if (Math.random() < 0.5) {
-                  const loss = rndInt(5, 18);
-                  state.wood = clamp(state.wood - loss, 0, 999999);
-                  state.stability = clamp(state.stability - 10, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-                  logLine(`Force backfired: property damage (-${loss} wood).`, "bad");
-                } else {
-                  logLine("Force ended the riot quickly.", "warn");
-                }
-              },
-            },
-          ],
-        };
-
-      default:
-        return {
-          key: "NONE",
-          title: "Quiet Day",
-          body: "Nothing happens.",
-          options: [{ label: "Ok", can: () => true, apply: () => {} }],
-        };
-    }
-  }
-
-  function maybeTriggerEvent() {
-    if (state.activeEvent || state.gameOver) return;
-
-    const starvationRisk = state.food < state.pop * CONFIG.STARVATION_RISK_FOOD_RATIO;
-    const lowStability = state.stability < CONFIG.LOW_STABILITY_THRESHOLD;
-
-    let chance = CONFIG.EVENT_BASE_CHANCE;
-    if (starvationRisk) chance += CONFIG.EVENT_STARVATION_BONUS;
-    if (lowStability) chance += CONFIG.EVENT_LOWSTAB_BONUS;
-
-    if (Math.random() > chance) return;
-
-    const pool = ["TRADERS"];
-    if (starvationRisk) pool.push("THEFT");
-    if (lowStability) pool.push("RIOT");
-
-    const pick = pool[rndInt(0, pool.length - 1)];
-    state.activeEvent = buildEvent(pick);
+  function enterReplay(rec, label) {
+    stopWatching();
+    let frames;
+    try {
+      frames = Array.isArray(rec?.start?.towns) ? Region.replay(rec) : Engine.replay(rec);
+    } catch (err) {
+      logLine(`Replay failed: ${err.message}`, "bad");
+      return;
+    }
+
+    const live = replaying ? replaying.live : { state: liveRun(), view, logHtml: ui.log ? ui.log.innerHTML : "" };
+    stopAutoTick();
+    // Our own run may have started from a save: its rows before the recording lead in.
+    const before = rec === recording ? historyBefore(rec.start.day) : newHistory(rec.start);
+    replaying = { frames, index: frames.length - 1, live, label, before, history: before };
+
+    // Replaying our own run must land exactly where the live run is.
+    const last = frames[frames.length - 1].state;
+    if (rec === recording && JSON.stringify(last) !== JSON.stringify(live.state)) {
+      replaying.diverged = true;
+    }
+
+    showFrame(replaying.index);
+  }
+
+  function showFrame(index) {
+    const { frames } = replaying;
+    replaying.index = Math.max(0, Math.min(frames.length - 1, index));
+    showState(frames[replaying.index].state);
+    replaying.history = frameHistory(replaying.index);
+
+    if (ui.log) {
+      ui.log.innerHTML = "";
+      for (let i = 0; i <= replaying.index; i++) {
+        for (const e of frames[i].logEntries) logLine(e.text, e.tone, e.day);
+      }
+      logLine(`Replaying ${replaying.label} (seed ${liveRun().seed}).`, "");
+      if (replaying.diverged) logLine("Replay diverged from the live run.", "bad");
+    }
+
     renderEvent();
+    render();
   }
 
-  function resolveEvent(optionIndex) {
-    const ev = state.activeEvent;
-    if (!ev) return;
+  function historyBefore(day) {
+    const keep = (rows) => rows.filter((row) => row.day < day);
+    return Array.isArray(history) ? keep(history) : Object.fromEntries(Object.entries(history).map(([k, rows]) => [k, keep(rows)]));
+  }
 
-    const opt = ev.options?.[optionIndex];
-    if (!opt || !opt.can()) return;
+  // Lead-in rows plus the rows of frames 1..index.
+  function frameHistory(index) {
+    const { frames, before } = replaying;
+    const shown = frames.slice(1, index + 1);
+    if (Array.isArray(before)) return before.concat(shown.map((f) => f.row).filter(Boolean));
+    return Object.fromEntries(
+      Object.entries(before).map(([k, rows]) => [k, rows.concat(shown.map((f) => f.rows[k]).filter(Boolean))])
+    );
+  }
 
-    opt.apply();
-    state.activeEvent = null;
+  function exitReplay() {
+    if (!replaying) return;
+    const { live } = replaying;
+    replaying = null;
+    view = live.view;
+    showState(live.state);
+    if (ui.log) ui.log.innerHTML = live.logHtml;
     renderEvent();
     render();
+    applyTimeControl();
+  }
+
+  function exportRecording() {
+    downloadJson(recording, `govmpl-recording-seed${recording.start.seed}-day${(replaying ? replaying.live.state : liveRun()).day}.json`);
+    logLine("Exported recording to file.", "");
+  }
+
+  function renderReplay() {
+    const on = !!replaying;
+    if (ui.exitReplay) ui.exitReplay.disabled = !on;
+    if (ui.replayPrev) ui.replayPrev.disabled = !on || replaying.index <= 0;
+    if (ui.replayNext) ui.replayNext.disabled = !on || replaying.index >= replaying.frames.length - 1;
+    if (ui.replayScrub) {
+      ui.replayScrub.disabled = !on;
+      ui.replayScrub.max = String(on ? replaying.frames.length - 1 : 0);
+      ui.replayScrub.value = String(on ? replaying.index : 0);
+    }
+    if (ui.replayDay) {
+      ui.replayDay.textContent = on
+        ? `Day ${liveRun().day} (${replaying.index + 1}/${replaying.frames.length})`
+        : `${recording.commands.length} inputs recorded`;
+    }
   }
 
   // -------------------------------
-  // Actions (player-driven)
+  // Watch agent play
   // -------------------------------
-  const actions = {
-    buildFarm: () => {
-      const cost = CONFIG.FARM_WOOD_COST;
-      if (state.wood < cost) {
-        logLine("Not enough wood to build a farm.", "bad");
-        return;
-      }
-      state.wood -= cost;
-      state.farms += 1;
-      state.stability = clamp(state.stability + 2, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-      logLine("Built a farm. Food output will scale better.", "good");
-    },
+  function startWatching(key) {
+    if (!Agents.AGENTS[key] || runOver() || replaying) return;
+    watching = key;
+    view.mode = "auto";
+    view.paused = false;
+    logLine(`${Agents.AGENTS[key].name} agent takes over: ${Agents.AGENTS[key].description}`, "");
+    applyTimeControl();
+    renderEvent();
+    render();
+  }
 
-    ration: () => {
-      state.rationing = CONFIG.RATION_DAYS;
-      state.feasting = 0;
-      state.stability = clamp(state.stability - 6, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-      logLine(`Rationing enforced for ${CONFIG.RATION_DAYS} days.`, "warn");
-    },
+  function stopWatching(message = "You have the controls again.") {
+    if (!watching) return;
+    watching = null;
+    logLine(message, "");
+    renderEvent();
+    render();
+  }
 
-    feast: () => {
-      if (state.food < 20) {
-        logLine("Not enough food to feast.", "bad");
-        return;
+  function renderAgentControls() {
+    if (ui.agentSelect && ui.agentSelect.options.length === 0) {
+      for (const [key, agent] of Object.entries(Agents.AGENTS)) {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = agent.name;
+        opt.title = agent.description;
+        ui.agentSelect.appendChild(opt);
       }
-      state.feasting = CONFIG.FEAST_DAYS;
-      state.rationing = 0;
-      state.food -= 10;
-      state.stability = clamp(state.stability + 8, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-      logLine(`Feast declared for ${CONFIG.FEAST_DAYS} days.`, "good");
+    }
+    if (ui.agentSelect) ui.agentSelect.disabled = !!watching || !!replaying || runOver();
+    if (ui.watchAgent) {
+      ui.watchAgent.textContent = watching ? "Stop Agent" : "Watch Agent";
+      ui.watchAgent.disabled = !!replaying || (runOver() && !watching);
+    }
+  }
+
+  // -------------------------------
+  // History charts
+  // -------------------------------
+  const CHART_W = 300;
+  const CHART_H = 80;
+
+  // series: [history field, label, colour]
+  const CHARTS = [
+    { title: "Population", series: [["pop", "Pop", "#8ea2ff"], ["shelter", "Shelter", "#c8955a"], ["homeless", "Homeless", "var(--bad)"]] },
+    { title: "Food", series: [["food", "Food", "var(--good)"], ["preserved", "Preserved", "#e0b050"]] },
+    { title: "Wood & tools", series: [["wood", "Wood", "#c8955a"], ["tools", "Tools", "#b9c2d8"]] },
+    {
+      title: "Treasury",
+      series: [["coins", "Coins", "#e0b050"], ["income", "Income", "var(--good)"], ["expense", "Expense", "var(--bad)"]],
+      digits: 1,
+    },
+    { title: "Stability", series: [["stability", "Stability", "var(--warn)"]], max: (s) => Engine.cfg(s).STAB_MAX },
+    {
+      title: "Health",
+      series: [["health", "Health", "#78dce6"], ["sick", "Sick", "var(--bad)"]],
+      max: (s) => Engine.cfg(s).HEALTH_MAX,
     },
+    {
+      title: "Workforce",
+      series: [
+        ["workersFood", "Food", "var(--good)"],
+        ["workersWood", "Wood", "#c8955a"],
+        ["workersTools", "Tools", "#b9c2d8"],
+        ["workersHerbs", "Herbs", "#78dce6"],
+        ["workersGuards", "Guards", "#8ea2ff"],
+      ],
+    },
+    { title: "Defense", series: [["defense", "Defense", "#8ea2ff"]] },
+    { title: "Farms & hunger", series: [["farms", "Farms", "#8ea2ff"], ["starveDays", "Hungry days", "var(--bad)"]] },
+    {
+      title: "Market prices",
+      series: [["priceFood", "Food", "var(--good)"], ["priceWood", "Wood", "#c8955a"], ["priceTools", "Tools", "#b9c2d8"]],
+      digits: 2,
+    },
+  ];
+
+  // Policy bands by POLICIES key; other policies share the last colour.
+  const POLICY_COLORS = {
+    ration: "rgba(255,191,60,0.16)",
+    feast: "rgba(55,214,122,0.16)",
+    curfew: "rgba(142,162,255,0.16)",
+    overtime: "rgba(255,90,95,0.14)",
+    tithe: "rgba(200,149,90,0.16)",
+    amnesty: "rgba(120,220,230,0.14)",
+    quarantine: "rgba(255,90,95,0.10)",
   };
+  const POLICY_COLOR_OTHER = "rgba(255,255,255,0.10)";
 
-  function wireActionButtons() {
-    document.querySelectorAll("button[data-action]").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        if (state.gameOver) return;
-        const key = btn.getAttribute("data-action");
-        const fn = actions[key];
-        if (typeof fn !== "function") return;
-        fn();
-        render();
-      });
-    });
+  function policyName(key) {
+    return Engine.cfg(state).POLICIES[key]?.name || key;
   }
 
-  function wirePresetButtons() {
-    document.querySelectorAll("button[data-preset]").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        if (state.gameOver) return;
-        const key = btn.getAttribute("data-preset");
-        applyPreset(key);
-        syncWorkforceUItoState();
-        render();
-      });
-    });
+  // Rows from older saves may lack newer fields; they plot as 0.
+  function rowValue(row, key) {
+    return Number(row[key]) || 0;
   }
 
-  // -------------------------------
-  // Tick (1 day)
-  // -------------------------------
-  function tick() {
-    if (state.gameOver) return;
-    if (state.paused && state.mode === "auto") return;
-
-    validateWorkforce(null);
-
-    // Policy timers
-    if (state.rationing > 0) state.rationing -= 1;
-    if (state.feasting > 0) state.feasting -= 1;
-
-    // Production
-    const fp = foodPerDay();
-    const wp = woodPerDay();
-    const tp = toolsPerDay();
-
-    state.food += fp;
-    state.wood += wp;
-    state.tools += tp;
-
-    // Tools decay
-    state.tools = clamp(state.tools - toolsDecayPerDay(), 0, 999999);
-
-    // Consumption
-    const cons = foodConsumptionPerDay();
-    state.food -= cons;
-
-    // ---------------------------
-    // Starvation (A + B + C)
-    // ---------------------------
-    let deficit = 0;
-    if (state.food < 0) {
-      deficit = Math.abs(state.food);
-      state.food = 0;
-    }
-
-    // Hunger memory
-    if (deficit > 0) state.starveDays += 1;
-    else state.starveDays = 0;
-
-    if (deficit > 0) {
-      const stabMult = 1 + state.starveDays * CONFIG.STARVE_STAB_MULT_PER_DAY;
-      const deathMult = 1 + state.starveDays * CONFIG.STARVE_DEATH_MULT_PER_DAY;
-
-      // Stability loss (escalates)
-      const baseStabLoss = clamp(
-        deficit * CONFIG.STARVATION_STAB_LOSS_MULT,
-        CONFIG.STARVATION_STAB_LOSS_MIN,
-        CONFIG.STARVATION_STAB_LOSS_MAX
-      );
-      const stabLoss = clamp(
-        baseStabLoss * stabMult,
-        CONFIG.STARVATION_STAB_LOSS_MIN,
-        CONFIG.STARVATION_STAB_LOSS_MAX
-      );
-      state.stability = clamp(state.stability - stabLoss, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-
-      // A: proportional deaths based on unfed people
-      const unfed = Math.ceil(deficit / CONFIG.FOOD_CONSUMPTION_PER_POP);
-
-      // Scale with streak, cap per day to keep gameplay readable
-      const rawDeaths = Math.floor(unfed * deathMult);
-      const maxDeaths = Math.max(1, Math.floor(state.pop * CONFIG.STARVE_DEATH_MAX_PER_DAY_RATIO));
-      const deaths = clamp(rawDeaths, 1, maxDeaths);
-
-      // Only lethal if deficit is serious relative to pop
-      if (deficit > state.pop * CONFIG.STARVATION_DEATH_DEFICIT_RATIO) {
-        state.pop = clamp(state.pop - deaths, 0, 999999);
-        logLine(`Starvation killed ${deaths} people. (streak: ${state.starveDays}d)`, "bad");
-      } else {
-        logLine(`Food shortage reduced stability. (streak: ${state.starveDays}d)`, "warn");
-      }
+  function chartValue(chart, row, key) {
+    return chart.digits ? rowValue(row, key).toFixed(chart.digits) : fmtInt(rowValue(row, key));
+  }
+
+  function chartX(i, n) {
+    return n <= 1 ? CHART_W / 2 : (i / (n - 1)) * CHART_W;
+  }
 
-      // C: hard fail if famine lasts too long
-      if (state.starveDays >= CONFIG.STARVE_DAYS_GAMEOVER) {
-        return endGame(`Famine collapse: ${state.starveDays} consecutive hungry days.`);
+  // Runs of consecutive rows with a policy active: [{ policy, from, to }] (row indexes).
+  function policyWindows(history) {
+    const windows = [];
+    const open = {};
+    const keys = [...new Set(history.flatMap((row) => row.policies))];
+    history.forEach((row, i) => {
+      for (const p of keys) {
+        const on = row.policies.includes(p);
+        if (on && !open[p]) windows.push((open[p] = { policy: p, from: i, to: i }));
+        else if (on) open[p].to = i;
+        else open[p] = null;
       }
-    }
+    });
+    return windows;
+  }
 
-    // Ambient drift
-    if (
-      state.food > state.pop * CONFIG.STAB_DRIFT_UP_IF_WELL_FED_RATIO &&
-      state.stability < CONFIG.STAB_DRIFT_CAP
-    ) {
-      state.stability = clamp(state.stability + CONFIG.STAB_DRIFT_UP, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
-    }
-    if (state.stability > CONFIG.STAB_TOO_HIGH) {
-      state.stability = clamp(state.stability - CONFIG.STAB_DRIFT_DOWN_IF_TOO_HIGH, CONFIG.STAB_MIN, CONFIG.STAB_MAX);
+  function chartSvg(chart, history) {
+    const n = history.length;
+    const max = Math.max(1, chart.max ? chart.max(state) : 0, ...chart.series.flatMap(([k]) => history.map((r) => rowValue(r, k))));
+    const y = (v) => CHART_H - (v / max) * (CHART_H - 4);
+    const step = n > 1 ? CHART_W / (n - 1) : CHART_W;
+
+    const bands = policyWindows(history).map((w) => {
+      const x0 = Math.max(0, chartX(w.from, n) - step / 2);
+      const x1 = Math.min(CHART_W, chartX(w.to, n) + step / 2);
+      return `<rect x="${x0}" y="0" width="${x1 - x0}" height="${CHART_H}" fill="${POLICY_COLORS[w.policy] || POLICY_COLOR_OTHER}"><title>${esc(policyName(w.policy))}</title></rect>`;
+    });
+
+    const marks = [];
+    history.forEach((row, i) => {
+      if (!row.events.length) return;
+      const x = chartX(i, n);
+      const titles = row.events.map((k) => Engine.eventTitle(state, k)).join(", ");
+      marks.push(`<line class="chart-mark" x1="${x}" x2="${x}" y1="0" y2="${CHART_H}"><title>Day ${row.day}: ${esc(titles)}</title></line>`);
+    });
+
+    const lines = chart.series.map(([key, , color]) => {
+      const pts = history.map((r, i) => `${chartX(i, n).toFixed(1)},${y(rowValue(r, key)).toFixed(1)}`).join(" ");
+      return `<polyline points="${pts}" fill="none" stroke="${color}" />`;
+    });
+
+    return (
+      `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" preserveAspectRatio="none" aria-hidden="true">` +
+      bands.join("") +
+      marks.join("") +
+      lines.join("") +
+      `<line class="chart-cursor" x1="0" x2="0" y1="0" y2="${CHART_H}" visibility="hidden" />` +
+      `</svg>`
+    );
+  }
+
+  function renderHistory() {
+    if (!ui.historyCharts) return;
+    const history = shownHistory();
+    if (ui.exportHistory) ui.exportHistory.disabled = history.length === 0;
+    if (history.length === 0) {
+      ui.historyCharts.innerHTML = `<div class="hint">Charts appear after the first day ends.</div>`;
+      return;
     }
 
-    // Events
-    maybeTriggerEvent();
+    ui.historyCharts.innerHTML = CHARTS.map((chart, c) => {
+      const last = history[history.length - 1];
+      const legend = chart.series
+        .map(([key, label, color]) => `<span style="color:${color}">${esc(label)} ${chartValue(chart, last, key)}</span>`)
+        .join(" ");
+      return `<div class="chart" data-chart="${c}"><div class="chart-head"><b>${esc(chart.title)}</b>${legend}</div>${chartSvg(chart, history)}</div>`;
+    }).join("");
+  }
 
-    // Lose conditions
-    if (state.pop <= 0) return endGame("Population collapsed.");
-    if (state.stability <= 0) return endGame("Authority collapsed.");
+  // Hover: move each chart's cursor to the nearest day and show its values.
+  function showHistoryTip(e) {
+    const svg = e.target instanceof Element ? e.target.closest(".chart svg") : null;
+    const history = shownHistory();
+    if (!svg || history.length === 0 || !ui.historyTip) return hideHistoryTip();
+
+    const rect = svg.getBoundingClientRect();
+    const n = history.length;
+    const i = clampIndex(Math.round(((e.clientX - rect.left) / (rect.width || 1)) * (n - 1)), n);
+    const row = history[i];
+
+    ui.historyCharts.querySelectorAll(".chart-cursor").forEach((line) => {
+      line.setAttribute("x1", chartX(i, n));
+      line.setAttribute("x2", chartX(i, n));
+      line.setAttribute("visibility", "visible");
+    });
 
-    // Win condition
-    if (state.day >= CONFIG.WIN_DAY) return endGame(`You survived ${CONFIG.WIN_DAY} days. MPL complete.`, true);
+    const chart = CHARTS[Number(svg.closest(".chart").getAttribute("data-chart"))];
+    const values = chart.series.map(([key, label]) => `${label}: ${chartValue(chart, row, key)}`);
+    const extra = [
+      row.policies.length ? `Policies: ${row.policies.map(policyName).join(", ")}` : "",
+      row.trades?.length ? `Trades: ${row.trades.join(", ")}` : "",
+      row.events.length ? `Events: ${row.events.map((k) => Engine.eventTitle(state, k)).join(", ")}` : "",
+    ].filter(Boolean);
+    ui.historyTip.textContent = [`Day ${row.day}`, ...values, ...extra].join(" · ");
+    ui.historyTip.hidden = false;
+  }
 
-    // Advance time
-    state.day += 1;
-    render();
+  function hideHistoryTip() {
+    if (ui.historyTip) ui.historyTip.hidden = true;
+    ui.historyCharts?.querySelectorAll(".chart-cursor").forEach((line) => line.setAttribute("visibility", "hidden"));
   }
 
-  function endGame(reason, win = false) {
-    state.gameOver = true;
-    logLine(reason, win ? "good" : "bad");
-    applyTimeControl();
-    render();
+  function clampIndex(i, n) {
+    return Math.max(0, Math.min(n - 1, i));
+  }
+
+  function exportHistory() {
+    const s = state;
+    downloadText(Engine.historyToCsv(shownHistory()), `govmpl-history-seed${s.seed}-day${s.day}.csv`, "text/csv");
+    logLine("Exported history to CSV.", "");
   }
 
   // -------------------------------
@@ -641,7 +1065,7 @@
   function renderEvent() {
     if (!ui.eventBox) return;
 
-    const ev = state.activeEvent;
+    const ev = Engine.describeEvent(state);
     if (!ev) {
       ui.eventBox.className = "event empty";
       ui.eventBox.innerHTML = `
@@ -652,26 +1076,620 @@
     }
 
     ui.eventBox.className = "event";
-    const actionsHtml = (ev.options || [])
+    const actionsHtml = ev.options
       .map((opt, idx) => {
-        const disabled = opt.can() ? "" : "disabled";
-        return `<button ${disabled} data-ev="${idx}">${opt.label}</button>`;
+        const disabled = opt.enabled && !replaying && !watching ? "" : "disabled";
+        return `<button ${disabled} data-ev="${idx}">${esc(opt.label)}</button>`;
       })
       .join("");
 
     ui.eventBox.innerHTML = `
-      <div class="event-title">${ev.title}</div>
-      <div class="event-body">${ev.body}</div>
+      <div class="event-title">${esc(ev.title)}</div>
+      <div class="event-body">${esc(ev.body)}</div>
       <div class="event-actions">${actionsHtml}</div>
     `;
 
     ui.eventBox.querySelectorAll("button[data-ev]").forEach((b) => {
-      b.addEventListener("click", () => resolveEvent(Number(b.getAttribute("data-ev"))));
+      b.addEventListener("click", () => send({ type: "resolveEvent", option: Number(b.getAttribute("data-ev")) }));
+    });
+  }
+
+  function renderSaveSlots() {
+    if (!ui.saveSlots) return;
+    const current = ui.saveSlots.value;
+    const slots = listSaveSlots();
+    ui.saveSlots.innerHTML = "";
+    for (const n of slots.length ? slots : [""]) {
+      const opt = document.createElement("option");
+      opt.value = n;
+      opt.textContent = n || "(no saves)";
+      ui.saveSlots.appendChild(opt);
+    }
+    if (slots.includes(current)) ui.saveSlots.value = current;
+    if (ui.loadBtn) ui.loadBtn.disabled = slots.length === 0;
+    if (ui.deleteSaveBtn) ui.deleteSaveBtn.disabled = slots.length === 0;
+  }
+
+  // Region runs share the scenario picker: "region:<REGIONS key>".
+  const REGION_PREFIX = "region:";
+
+  function renderScenarioOptions() {
+    if (!ui.scenarioSelect) return;
+    ui.scenarioSelect.innerHTML = "";
+    const addOption = (parent, value, def) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = def.name;
+      opt.title = def.description || "";
+      parent.appendChild(opt);
+    };
+    for (const [key, sc] of Object.entries(Engine.SCENARIOS)) addOption(ui.scenarioSelect, key, sc);
+    const group = document.createElement("optgroup");
+    group.label = "Regions";
+    for (const [key, def] of Object.entries(Region.REGIONS)) addOption(group, REGION_PREFIX + key, def);
+    ui.scenarioSelect.appendChild(group);
+    ui.scenarioSelect.value = region ? REGION_PREFIX + region.region : state.scenario;
+  }
+
+  function renderObjectives() {
+    if (!ui.objectives) return;
+    const sc = Engine.describeScenario(state);
+    const goals = sc.objectives.map((o) => {
+      const progress = o.forDays > 1 && !o.done ? ` (${o.streak}/${o.forDays}d)` : "";
+      return `${o.done ? "✓" : "○"} ${o.label}${progress}`;
     });
+    const extra = [
+      sc.fail.length ? `Lose if: ${sc.fail.join("; ")}.` : "",
+      sc.turnLimit ? `Deadline: day ${sc.turnLimit}.` : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    ui.objectives.textContent = `${sc.name} objectives: ${goals.join(" · ")}.${extra ? ` ${extra}` : ""}`;
+  }
+
+  const PRESET_LABELS = { maxFood: "Max Food", maxWood: "Max Wood", balanced: "Balanced", survival: "Survival" };
+
+  function projectionDays() {
+    const n = Number(ui.projDays?.value);
+    return Number.isFinite(n) && n > 0 ? n : CONFIG.PROJECTION_DAYS;
+  }
+
+  // Last compareAllocations() result: { state, days, rows }. Every engine result is a
+  // new state object, so a render that changed neither reuses the rows.
+  let projection = null;
+
+  // What-if table: today's allocation against every preset over the same horizon.
+  function renderProjection() {
+    if (!ui.projTable) return;
+    const days = projectionDays();
+    if (ui.projDaysVal) ui.projDaysVal.textContent = String(days);
+
+    if (!projection || projection.state !== state || projection.days !== days) {
+      projection = { state, days, rows: Engine.compareAllocations(state, days) };
+    }
+    const rows = projection.rows;
+    const current = rows[0];
+    if (ui.projWarnings) {
+      ui.projWarnings.textContent = current.warnings.length
+        ? current.warnings.join(" ")
+        : `Current allocation holds for ${days} days.`;
+    }
+
+    const locked = inputsLocked();
+    const outCell = (end, day) => `${fmtInt(end)}${day !== null ? ` <span class="bad">0 on day ${day}</span>` : ""}`;
+    const body = rows
+      .map((r) => {
+        const last = r.days[r.days.length - 1] || { food: state.food, wood: state.wood, tools: state.tools };
+        const label = r.name === null ? "Current" : PRESET_LABELS[r.name] || r.name;
+        const apply =
+          r.name === null ? "" : `<button type="button" data-preset="${esc(r.name)}" ${locked ? "disabled" : ""}>Apply</button>`;
+        return (
+          `<tr><th>${esc(label)}</th><td>${outCell(last.food, r.foodRunsOut)}</td>` +
+          `<td>${outCell(last.wood, r.woodRunsOut)}</td><td>${outCell(last.tools, r.toolsRunOut)}</td><td>${apply}</td></tr>`
+        );
+      })
+      .join("");
+    ui.projTable.innerHTML =
+      `<thead><tr><th>Day ${state.day + days - 1}</th><th>Food</th><th>Wood</th><th>Tools</th><th></th></tr></thead>` +
+      `<tbody>${body}</tbody>`;
+  }
+
+  const ACTION_LABELS = { buildFarm: "Build Farm", burnSupplies: "Burn Supplies" };
+  const RESOURCE_NAMES = ["food", "wood", "tools"];
+  const TRADE_NAMES = [...RESOURCE_NAMES, "coins"];
+  const TRADE_PAIRS = TRADE_NAMES.flatMap((give) => TRADE_NAMES.filter((get) => get !== give).map((get) => [give, get]));
+
+  // Options for the rule form's "then" select: [value, label]; value is "kind:name".
+  function governorDoOptions() {
+    const C = Engine.cfg(state);
+    return [
+      ...Object.keys(C.PRESETS).map((p) => [`preset:${p}`, `Preset: ${PRESET_LABELS[p] || p}`]),
+      ...Engine.ACTIONS.map((a) => [`action:${a}`, `Action: ${ACTION_LABELS[a] || a}`]),
+      ...Object.entries(C.POLICIES).map(([key, def]) => [`policy:${key}`, `Enact: ${def.name}`]),
+      ...Object.entries(C.BUILDINGS).map(([type, def]) => [`build:${type}`, `Build: ${def.name}`]),
+      ...TRADE_PAIRS.map(([give, get]) => [`trade:${give}>${get}`, `Trade target ${give} → ${get}`]),
+      ...Object.keys(Engine.JOBS).map((job) => {
+        const stock = Engine.JOB_STOCK[job];
+        return [`keep:${job}`, stock === job ? `Keep ${job} ≥ target` : `Keep ${stock} ≥ target (${job})`];
+      }),
+    ];
+  }
+
+  function fillSelect(select, options) {
+    const sig = options.map(([v]) => v).join();
+    if (select.dataset.sig === sig) return;
+    select.dataset.sig = sig;
+    select.innerHTML = "";
+    for (const [value, label] of options) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+  }
+
+  function renderGovernor() {
+    if (!ui.govRules) return;
+    const gov = state.governor;
+    const locked = inputsLocked();
+
+    if (ui.govMetric) fillSelect(ui.govMetric, [["", "Every day"], ...Engine.METRIC_NAMES.map((m) => [m, m])]);
+    if (ui.govDo) fillSelect(ui.govDo, governorDoOptions());
+
+    const metric = ui.govMetric?.value || "";
+    const isBool = Engine.BOOLEAN_METRICS.includes(metric);
+    if (ui.govOp) ui.govOp.disabled = locked || !metric || isBool;
+    if (ui.govValue) ui.govValue.disabled = locked || !metric || isBool;
+    if (ui.govTarget) ui.govTarget.disabled = locked || !/^(keep|trade):/.test(ui.govDo?.value || "");
+    for (const el of [ui.govEnabled, ui.govExamples, ui.govClear, ui.govMetric, ui.govDo, ui.govAdd]) if (el) el.disabled = locked;
+    if (ui.govClear) ui.govClear.disabled = locked || gov.rules.length === 0;
+    if (ui.govEnabled) ui.govEnabled.checked = gov.enabled;
+
+    ui.govRules.innerHTML = gov.rules.length
+      ? gov.rules
+          .map(
+            (rule, i) => `
+          <div class="govRule${rule.enabled === false ? " off" : ""}">
+            <input type="checkbox" data-gov-toggle="${i}" ${rule.enabled === false ? "" : "checked"} ${locked ? "disabled" : ""} aria-label="Rule on" />
+            <span>${i + 1}. ${esc(Engine.ruleLabel(rule))}</span>
+            <button type="button" data-gov-up="${i}" ${locked || i === 0 ? "disabled" : ""} aria-label="Raise priority"><span class="icon">arrow_upward</span></button>
+            <button type="button" data-gov-delete="${i}" ${locked ? "disabled" : ""} aria-label="Delete rule"><span class="icon">delete</span></button>
+          </div>`
+          )
+          .join("")
+      : `<div class="hint">No rules yet.</div>`;
+  }
+
+  // Rule from the add form, or null (with a log line) when the form is incomplete.
+  function ruleFromForm() {
+    const [kind, name] = (ui.govDo?.value || "").split(":");
+    const rule = {};
+    const metric = ui.govMetric?.value || "";
+    if (metric) {
+      if (Engine.BOOLEAN_METRICS.includes(metric)) {
+        rule.when = { [metric]: true };
+      } else {
+        const value = Number(ui.govValue?.value);
+        if (!Number.isFinite(value)) {
+          logLine("Rule needs a number to compare with.", "bad");
+          return null;
+        }
+        rule.when = { [metric]: { [ui.govOp?.value || "lt"]: value } };
+      }
+    }
+    if (kind === "keep") {
+      const target = Number(ui.govTarget?.value);
+      if (!Number.isFinite(target) || target < 0) {
+        logLine("Keep rules need a target of 0 or more.", "bad");
+        return null;
+      }
+      rule.do = { keep: { [name]: target } };
+    } else if (kind === "trade") {
+      const amount = Number(ui.govTarget?.value);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        logLine("Trade rules need an amount above 0.", "bad");
+        return null;
+      }
+      const [give, get] = name.split(">");
+      rule.do = { trade: { give, get, amount } };
+    } else {
+      rule.do = { [kind]: name };
+    }
+    return rule;
+  }
+
+  const EFFECT_LABELS = {
+    foodOutput: (v) => `+${Math.round(v * 100)}% food`,
+    toolsOutput: (v) => `+${Math.round(v * 100)}% tools`,
+    popCap: (v) => `+${v} shelter`,
+    stabilityPerDay: (v) => `+${v} stability/day`,
+    spoilage: (v) => `-${Math.round((1 - v) * 100)}% spoilage`,
+    storage: (v) => `+${v} food storage`,
+    preserve: (v) => `preserves ${v} grain/day`,
+    defense: (v) => `+${v} defense`,
+  };
+
+  function fmtResources(obj, empty) {
+    const parts = ["food", "wood", "tools"].filter((r) => obj?.[r]).map((r) => `${obj[r]} ${r}`);
+    return parts.join(" + ") || empty;
+  }
+
+  function renderBuildings() {
+    if (!ui.buildingList) return;
+    const defs = Engine.cfg(state).BUILDINGS;
+    const locked = inputsLocked();
+
+    ui.buildingList.innerHTML = Object.entries(defs)
+      .map(([type, def]) => {
+        const count = state.buildings[type] || 0;
+        const queued = state.buildQueue.filter((q) => q.type === type).length;
+        const effects = Object.entries(def.effects || {})
+          .map(([k, v]) => (EFFECT_LABELS[k] ? EFFECT_LABELS[k](v) : `${k} ${v}`))
+          .join(", ");
+        const meta = [
+          fmtResources(def.cost, "free"),
+          def.buildDays ? `${def.buildDays}d` : "instant",
+          `upkeep ${fmtResources(def.upkeep, "none")}/day`,
+          def.workers ? `${def.workers} staff` : null,
+          effects,
+          state.buildingsIdle[type] ? "IDLE (unpaid upkeep)" : null,
+          state.buildingDecay[type] ? `DECAYING (${def.decayDays - state.buildingDecay[type]}d before one collapses)` : null,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        const buildOff = locked || !Engine.canBuild(state, type) ? "disabled" : "";
+        const demolishOff = locked || count === 0 ? "disabled" : "";
+        return `
+          <div class="bld">
+            <span class="icon">${esc(def.icon || "domain")}</span>
+            <div>
+              <div class="bld-name">${esc(def.name)}<b>×${count}</b>${queued ? `<small>+${queued} queued</small>` : ""}</div>
+              <div class="bld-meta">${esc(meta)}</div>
+            </div>
+            <button type="button" data-build="${esc(type)}" ${buildOff}>Build</button>
+            <button type="button" data-demolish="${esc(type)}" ${demolishOff}>Demolish</button>
+          </div>`;
+      })
+      .join("");
+
+    if (ui.buildQueue) {
+      const q = state.buildQueue.map((item, i) => {
+        const name = defs[item.type]?.name || item.type;
+        return i === 0 ? `${name} (${item.daysLeft}d left)` : name;
+      });
+      const staff = Engine.buildingStaff(state);
+      ui.buildQueue.textContent =
+        `Construction: ${q.join(" → ") || "idle"}. Building staff: ${staff} adults.`;
+    }
+  }
+
+  const MODIFIER_LABELS = {
+    foodOutput: (v) => `${pctChange(v)} food`,
+    woodOutput: (v) => `${pctChange(v)} wood`,
+    toolsOutput: (v) => `${pctChange(v)} tools`,
+    toolsDecay: (v) => `${pctChange(v)} tools decay`,
+    consumption: (v) => `${pctChange(v)} eaten`,
+    births: (v) => `${pctChange(v)} births`,
+    emigration: (v) => `${pctChange(v)} leaving`,
+    stabilityPerDay: (v) => `${v > 0 ? "+" : ""}${v} stability/day`,
+    spread: (v) => `${pctChange(v)} disease spread`,
+  };
+
+  function pctChange(mult) {
+    const pct = Math.round((mult - 1) * 100);
+    return `${pct > 0 ? "+" : ""}${pct}%`;
+  }
+
+  // Chips for running policies (State card) and the enact list (Control Panel).
+  function renderPolicies() {
+    const policies = Engine.describePolicies(state);
+    const locked = inputsLocked();
+
+    if (ui.policyChips) {
+      const active = policies.filter((p) => p.active);
+      ui.policyChips.innerHTML = active.length
+        ? active
+            .map((p) => {
+              const left = p.left === null ? "until revoked" : `${p.left}d left`;
+              return `
+          <span class="chip">
+            <span class="icon">${esc(p.icon)}</span>${esc(p.name)} <small>${left}</small>
+            <button type="button" data-revoke="${esc(p.key)}" ${locked ? "disabled" : ""} aria-label="Revoke ${esc(p.name)}" title="Revoke"><span class="icon">close</span></button>
+          </span>`;
+            })
+            .join("")
+        : `<span class="hint">No policies in effect.</span>`;
+    }
+
+    if (!ui.policyList) return;
+    ui.policyList.innerHTML = policies
+      .map((p) => {
+        const effects = Object.entries(p.modifiers)
+          .map(([k, v]) => (MODIFIER_LABELS[k] ? MODIFIER_LABELS[k](v) : `${k} ${v}`))
+          .join(", ");
+        const meta = [
+          p.days ? `${p.days}d` : "until revoked",
+          Object.keys(p.cost).length ? fmtResources(p.cost, "free") : null,
+          p.stability ? `${p.stability > 0 ? "+" : ""}${p.stability} stability` : null,
+          approvalText(p.approval),
+          effects,
+          !p.active && p.problem ? p.problem : null,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        const button = p.active
+          ? `<button type="button" data-revoke="${esc(p.key)}" ${locked ? "disabled" : ""}>Revoke</button>`
+          : `<button type="button" data-enact="${esc(p.key)}" ${locked || p.problem ? "disabled" : ""}>Enact</button>`;
+        return `
+          <div class="bld pol" title="${esc(p.description)}">
+            <span class="icon">${esc(p.icon)}</span>
+            <div>
+              <div class="bld-name">${esc(p.name)}${p.active ? `<small>${p.left === null ? "active" : `${p.left}d left`}</small>` : ""}</div>
+              <div class="bld-meta">${esc(meta)}</div>
+            </div>
+            ${button}
+          </div>`;
+      })
+      .join("");
+  }
+
+  // "Guards +8, Laborers -5"; factions this game lacks are left out, as the engine ignores them.
+  function approvalText(approval) {
+    const names = Object.fromEntries(Engine.describeFactions(state).map((f) => [f.key, f.name]));
+    return Object.entries(approval || {})
+      .filter(([key]) => names[key])
+      .map(([key, v]) => `${names[key]} ${v > 0 ? "+" : ""}${v}`)
+      .join(", ");
+  }
+
+  // Breakdown behind the stability number: one row per faction.
+  function renderFactions() {
+    if (!ui.factions) return;
+    ui.factions.innerHTML = Engine.describeFactions(state)
+      .map((f) => {
+        const mood = f.drift > 0 ? "trending_up" : f.drift < 0 ? "trending_down" : "trending_flat";
+        const tone = f.unhappy ? "bad" : f.approval >= 60 ? "good" : "";
+        return `
+          <div class="faction ${tone}" title="${esc(f.description)}">
+            <span class="icon">${esc(f.icon)}</span>
+            <span class="faction-name">${esc(f.name)}</span>
+            <span class="faction-bar"><span style="width:${Math.round(f.approval)}%"></span></span>
+            <span class="faction-val">${fmtInt(f.approval)}</span>
+            <span class="icon" title="Today's mood">${mood}</span>
+            <small>${Math.round(f.weight * 100)}% say</small>
+          </div>`;
+      })
+      .join("");
+  }
+
+  const TECH_STATUS = { known: "Known", studying: "Studying", open: "Available", locked: "Locked" };
+
+  // Tree: one column per tier; each tech lists what it needs and how far along it is.
+  function renderResearch() {
+    if (!ui.techTree) return;
+    const techs = Engine.describeResearch(state);
+    const names = Object.fromEntries(techs.map((t) => [t.key, t.name]));
+    const locked = inputsLocked();
+    const tiers = Math.max(0, ...techs.map((t) => t.tier)) + 1;
+
+    const columns = [];
+    for (let tier = 0; tier < tiers; tier++) {
+      const nodes = techs
+        .filter((t) => t.tier === tier)
+        .map((t) => {
+          const pct = Math.round((t.progress / t.days) * 100);
+          const needs = t.requires.length ? `Needs ${t.requires.map((k) => names[k] || k).join(" + ")}` : "";
+          const button =
+            t.status === "studying"
+              ? `<button type="button" data-cancel-research ${locked ? "disabled" : ""}>Cancel</button>`
+              : t.status === "known"
+                ? ""
+                : `<button type="button" data-research="${esc(t.key)}" ${locked || t.problem ? "disabled" : ""}>Research</button>`;
+          const meta = [fmtResources(t.cost, "free"), `${t.days}d`, t.status === "open" && t.problem ? t.problem : null]
+            .filter(Boolean)
+            .join(" · ");
+          return `
+            <div class="tech ${t.status}" title="${esc(t.description)}">
+              <div class="tech-head"><span class="icon">${esc(t.icon)}</span><b>${esc(t.name)}</b><small>${TECH_STATUS[t.status]}</small></div>
+              <div class="bld-meta">${esc(t.description)}</div>
+              ${needs ? `<div class="bld-meta">${esc(needs)}</div>` : ""}
+              <div class="bld-meta">${esc(meta)}</div>
+              ${t.status === "studying" ? `<div class="tech-bar"><span style="width:${pct}%"></span></div>` : ""}
+              ${button}
+            </div>`;
+        });
+      columns.push(`<div class="tech-tier">${nodes.join("")}</div>`);
+    }
+    ui.techTree.innerHTML = columns.join("");
+    ui.techTree.style.setProperty("--tiers", String(tiers));
+
+    if (ui.techModifiers) {
+      const mods = Engine.describeModifiers(state).map((m) => `${m.key} ${round2(m.from)} → ${round2(m.to)} (${m.source})`);
+      const scholars = Engine.researchStaff(state);
+      ui.techModifiers.textContent =
+        `Modifiers: ${mods.join("; ") || "none yet"}.` + (scholars ? ` Scholars at work: ${scholars}.` : "");
+    }
+  }
+
+  function round2(x) {
+    return String(Math.round(x * 100) / 100);
+  }
+
+  // Prices against the base (index), the caravan if one is in town, and a live quote for the form.
+  function renderMarket() {
+    if (!ui.marketPrices) return;
+    const m = Engine.describeMarket(state);
+    const C = Engine.cfg(state);
+
+    ui.marketPrices.innerHTML =
+      `<thead><tr><th></th><th>Price</th><th>Trend</th></tr></thead><tbody>` +
+      RESOURCE_NAMES.map((r) => {
+        const trend = pctChange(m.index[r]);
+        const tone = m.index[r] > 1 ? "bad" : m.index[r] < 1 ? "good" : "";
+        return `<tr><th>${esc(r)}</th><td>${round2(m.prices[r])}</td><td class="${tone}">${esc(trend)}</td></tr>`;
+      }).join("") +
+      `</tbody>`;
+
+    if (ui.marketInfo) {
+      const caravan = m.caravan ? `${m.caravan.name} in town for ${m.caravan.left}d. ` : "";
+      ui.marketInfo.textContent =
+        `${caravan}Traded ${round2(m.traded)} / ${m.limit} today · spread ${Math.round(m.spread * 100)}%` +
+        ` (base ${Math.round(C.MARKET_SPREAD * 100)}%).`;
+    }
+
+    const locked = inputsLocked();
+    for (const el of [ui.tradeGive, ui.tradeGet, ui.tradeAmount]) if (el) el.disabled = locked;
+    renderTradeQuote(locked);
+  }
+
+  const LEDGER_LABELS = { tax: "Tax", wages: "Wages", bribes: "Bribes", market: "Market", events: "Events" };
+
+  // Income and expense lines: today so far and the last finished day.
+  function renderTreasury() {
+    const t = Engine.describeTreasury(state);
+    const C = Engine.cfg(state);
+    const locked = inputsLocked();
+
+    if (ui.taxRate) {
+      ui.taxRate.max = String(Math.round(C.TAX_MAX * 100));
+      ui.taxRate.value = String(Math.round(t.taxRate * 100));
+      ui.taxRate.disabled = locked;
+    }
+    if (ui.taxRateVal) ui.taxRateVal.textContent = `${Math.round(t.taxRate * 100)}%`;
+    if (ui.hired) {
+      ui.hired.max = String(C.HIRE_MAX);
+      ui.hired.value = String(t.hired);
+      ui.hired.disabled = locked;
+    }
+    if (ui.hiredVal) ui.hiredVal.textContent = String(t.hired);
+
+    if (ui.treasuryInfo) {
+      ui.treasuryInfo.textContent =
+        `${round2(t.coins)} coins · tax +${round2(t.taxPerDay)}/day (-${round2(t.taxStability)} stability/day) · ` +
+        `wages -${round2(t.wagesPerDay)}/day at ${C.HIRE_WAGE} per hand.`;
+    }
+
+    if (ui.bribeList) {
+      const names = Object.fromEntries(Engine.describeFactions(state).map((f) => [f.key, f.name]));
+      ui.bribeList.innerHTML = Object.entries(t.bribes)
+        .map(([key, cost]) => {
+          const off = locked || state.gameOver || state.coins < cost ? "disabled" : "";
+          return `<button type="button" data-bribe="${esc(key)}" ${off}>Bribe ${esc(names[key] || key)} (${cost})</button>`;
+        })
+        .join("");
+    }
+
+    if (ui.ledger) {
+      const lines = Object.keys(LEDGER_LABELS).filter((k) => t.today[k] !== undefined || t.lastDay[k] !== undefined);
+      const cell = (v) => (v === undefined ? "-" : `<span class="${v > 0 ? "good" : v < 0 ? "bad" : ""}">${v > 0 ? "+" : ""}${round2(v)}</span>`);
+      const today = Engine.ledgerTotals(t.today);
+      const last = Engine.ledgerTotals(t.lastDay);
+      const body = lines.map((k) => `<tr><th>${esc(LEDGER_LABELS[k])}</th><td>${cell(t.today[k])}</td><td>${cell(t.lastDay[k])}</td></tr>`).join("");
+      ui.ledger.innerHTML =
+        `<thead><tr><th></th><th>Today</th><th>Last day</th></tr></thead><tbody>${body}` +
+        `<tr><th>Income</th><td>${cell(today.income)}</td><td>${cell(last.income)}</td></tr>` +
+        `<tr><th>Expense</th><td>${cell(-today.expense)}</td><td>${cell(-last.expense)}</td></tr></tbody>`;
+    }
+  }
+
+  function renderTradeQuote(locked = inputsLocked()) {
+    if (!ui.tradeQuote || !ui.tradeGive || !ui.tradeGet) return;
+    const q = Engine.quoteTrade(state, ui.tradeGive.value, ui.tradeGet.value, Number(ui.tradeAmount?.value));
+    ui.tradeQuote.textContent = q.problem
+      ? `Cannot trade: ${q.problem}.`
+      : `${q.amount} ${q.give} → ${round2(q.got)} ${q.get}`;
+    ui.tradeQuote.classList.toggle("bad", Boolean(q.problem));
+    if (ui.tradeBtn) ui.tradeBtn.disabled = locked || Boolean(q.problem);
+  }
+
+  // Map (towns, roads with travel days and risk, caravans on the way), town list and the caravan form.
+  function renderRegion() {
+    if (!ui.regionCard) return;
+    ui.regionCard.hidden = !region;
+    if (ui.town) {
+      ui.town.hidden = !region;
+      ui.town.textContent = region ? Region.townName(region, view.town) : "";
+    }
+    if (!region) return;
+
+    const d = Region.describeRegion(region);
+    const towns = Object.fromEntries(d.towns.map((t) => [t.key, t]));
+
+    if (ui.regionInfo) {
+      ui.regionInfo.textContent =
+        `${d.name}: ${d.description} ${d.standing} of ${d.towns.length} towns stand; ` +
+        `${d.minTowns} must reach day ${d.winDay}.`;
+    }
+
+    if (ui.regionMap) {
+      const roads = d.routes
+        .map((r) => {
+          const a = towns[r.from];
+          const b = towns[r.to];
+          return (
+            `<line class="road" x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}"></line>` +
+            `<text class="roadLabel" x="${(a.x + b.x) / 2}" y="${(a.y + b.y) / 2 - 2}">${r.days}d · ${Math.round(r.risk * 100)}%</text>`
+          );
+        })
+        .join("");
+      const carts = d.shipments
+        .map((x) => {
+          const a = towns[x.from];
+          const b = towns[x.to];
+          const p = Math.max(0, Math.min(1, x.progress));
+          const label = `${x.amount} ${x.cargo} → ${x.toName}, ${x.daysLeft}d`;
+          return `<circle class="cart" cx="${a.x + (b.x - a.x) * p}" cy="${a.y + (b.y - a.y) * p}" r="1.8"><title>${esc(label)}</title></circle>`;
+        })
+        .join("");
+      const marks = d.towns
+        .map((t) => {
+          const cls = `townMark${t.key === view.town ? " selected" : ""}${t.fallen ? " fallen" : ""}`;
+          return `<g class="${cls}" data-town="${esc(t.key)}"><circle cx="${t.x}" cy="${t.y}" r="4"></circle><text x="${t.x}" y="${t.y + 9}">${esc(t.name)}</text></g>`;
+        })
+        .join("");
+      ui.regionMap.innerHTML = roads + carts + marks;
+    }
+
+    if (ui.townList) {
+      ui.townList.innerHTML = d.towns
+        .map((t) => {
+          const status = t.fallen ? " · fallen" : t.eventWaiting ? " · event waiting" : "";
+          return (
+            `<button type="button" data-town="${esc(t.key)}" class="${t.key === view.town ? "selected" : ""}">` +
+            `${esc(t.name)} · ${t.pop} people · ${fmtInt(t.food)} food · stability ${fmtInt(t.stability)}${status}</button>`
+          );
+        })
+        .join("");
+    }
+
+    const locked = inputsLocked();
+    if (ui.shipTo) {
+      const linked = d.routes.filter((r) => r.from === view.town || r.to === view.town).map((r) => (r.from === view.town ? r.to : r.from));
+      fillSelect(ui.shipTo, linked.map((k) => [k, towns[k].name]));
+    }
+    if (ui.shipCargo) fillSelect(ui.shipCargo, Engine.SHIPPABLE.map((c) => [c, c]));
+    for (const el of [ui.shipTo, ui.shipCargo, ui.shipAmount]) if (el) el.disabled = locked;
+    renderShipQuote(locked);
+
+    if (ui.shipments) {
+      ui.shipments.textContent = d.shipments.length
+        ? `On the road: ${d.shipments.map((x) => `${round2(x.amount)} ${x.cargo} ${x.fromName} → ${x.toName} (${x.daysLeft}d)`).join("; ")}.`
+        : "No caravans on the road.";
+    }
+  }
+
+  function renderShipQuote(locked = inputsLocked()) {
+    if (!region || !ui.shipQuote || !ui.shipTo || !ui.shipCargo) return;
+    const q = Region.quoteShipment(region, view.town, ui.shipTo.value, ui.shipCargo.value, Number(ui.shipAmount?.value));
+    ui.shipQuote.textContent = q.problem
+      ? `Cannot send: ${q.problem}`
+      : `Arrives in ${q.days}d · ${Math.round(q.risk * 100)}% chance of bandits on the road.`;
+    ui.shipQuote.classList.toggle("bad", Boolean(q.problem));
+    if (ui.shipBtn) ui.shipBtn.disabled = locked || Boolean(q.problem);
   }
 
   function syncWorkforceUItoState() {
-    const popStr = String(state.pop);
+    const popStr = String(Engine.availableWorkers(state));
 
     if (ui.wfFood) {
       ui.wfFood.max = popStr;
@@ -690,12 +1708,33 @@
       ui.wfTools.value = String(state.workersTools);
       if (ui.wfToolsVal) ui.wfToolsVal.textContent = String(state.workersTools);
     }
+
+    if (ui.wfHerbs) {
+      ui.wfHerbs.max = popStr;
+      ui.wfHerbs.value = String(state.workersHerbs);
+      if (ui.wfHerbsVal) ui.wfHerbsVal.textContent = String(state.workersHerbs);
+    }
+
+    if (ui.wfGuards) {
+      ui.wfGuards.max = popStr;
+      ui.wfGuards.value = String(state.workersGuards);
+      if (ui.wfGuardsVal) ui.wfGuardsVal.textContent = String(state.workersGuards);
+    }
   }
 
   function render() {
     const s = statusLabel();
 
     if (ui.day) ui.day.textContent = `Day ${state.day}`;
+    if (ui.calendar) {
+      const cal = Engine.describeCalendar(state);
+      const weather = cal.weather ? `${cal.weather} (${cal.weatherDays}d)` : "Clear";
+      const forecast = cal.forecast.map((w) => w || "clear").join(", ");
+      ui.calendar.textContent =
+        `${cal.season} ${cal.day}/${cal.length} · ${weather} · Next: ${forecast} · ` +
+        `${cal.nextSeason} in ${cal.daysToNextSeason}d`;
+    }
+    if (ui.seed) ui.seed.textContent = `Seed ${liveRun().seed}`;
 
     if (ui.statusBadge) {
       ui.statusBadge.textContent = s.text;
@@ -705,63 +1744,150 @@
     }
 
     if (ui.pop) ui.pop.textContent = fmtInt(state.pop);
+    if (ui.popCohorts) {
+      ui.popCohorts.textContent = `${state.children} children · ${state.adults} adults · ${state.elders} elders`;
+    }
+    if (ui.shelter) ui.shelter.textContent = `${fmtInt(state.pop)} / ${fmtInt(Engine.popCap(state))}`;
+    if (ui.shelterSub) {
+      const sh = Engine.describeShelter(state);
+      const parts = sh.homeless > 0
+        ? [`${sh.homeless} homeless`, `-${sh.stabilityLoss.toFixed(1)} stability/day`]
+        : [`${fmtInt(sh.capacity - state.pop)} free places`];
+      if (sh.exposure > 0) parts.push(`${sh.exposure.toFixed(1)} dying of cold/day`);
+      for (const d of sh.decaying) parts.push(`${d.name} collapses in ${d.left}d`);
+      ui.shelterSub.textContent = parts.join(" · ");
+      ui.shelterSub.classList.toggle("bad", sh.homeless > 0 || sh.decaying.length > 0);
+    }
     if (ui.food) ui.food.textContent = fmtInt(state.food);
+    if (ui.foodStores) {
+      ui.foodStores.textContent =
+        `${fmtInt(state.preserved)} preserved · ${fmtInt(Engine.foodStorage(state))} storage · ` +
+        `-${Engine.foodSpoilagePerDay(state).toFixed(1)}/day spoiling`;
+    }
     if (ui.wood) ui.wood.textContent = fmtInt(state.wood);
     if (ui.tools) ui.tools.textContent = fmtInt(state.tools);
-    if (ui.stab) ui.stab.textContent = `${fmtInt(state.stability)} / ${CONFIG.STAB_MAX}`;
+    if (ui.coins) ui.coins.textContent = fmtInt(state.coins);
+    if (ui.coinsSub) {
+      const net = Engine.taxPerDay(state) - Engine.wagesPerDay(state);
+      ui.coinsSub.textContent = `Tax ${Math.round(state.taxRate * 100)}% · ${net >= 0 ? "+" : ""}${round2(net)}/day`;
+    }
+    if (ui.stab) ui.stab.textContent = `${fmtInt(state.stability)} / ${Engine.cfg(state).STAB_MAX}`;
+    if (ui.health) ui.health.textContent = `${fmtInt(state.health)} / ${Engine.cfg(state).HEALTH_MAX}`;
+    if (ui.healthSick) {
+      const drift = Engine.healthPerDay(state);
+      ui.healthSick.textContent =
+        `${state.sick} sick${Engine.outbreakActive(state) ? " · outbreak" : ""} · ` +
+        `${drift >= 0 ? "+" : ""}${drift.toFixed(1)}/day`;
+    }
+    if (ui.defense) ui.defense.textContent = Engine.defensePower(state).toFixed(1);
+    if (ui.raidThreat) {
+      const raid = Engine.describeRaid(state);
+      ui.raidThreat.textContent = raid
+        ? `Raiders (${Math.round(raid.strength)}) in ${raid.inDays}d · ${Math.round(raid.holdChance * 100)}% to hold`
+        : "No raiders sighted";
+      ui.raidThreat.classList.toggle("bad", Boolean(raid));
+    }
 
-    if (ui.farms) ui.farms.textContent = fmtInt(state.farms);
-    if (ui.farmsBld) ui.farmsBld.textContent = fmtInt(state.farms);
+    if (ui.farms) ui.farms.textContent = fmtInt(state.buildings.farm || 0);
+    renderFactions();
+    renderBuildings();
+    renderPolicies();
+    renderResearch();
+    renderMarket();
+    renderTreasury();
+    renderRegion();
+    renderObjectives();
+    renderGovernor();
+    renderProjection();
+    renderHistory();
 
     if (ui.rates) {
-      const fp = foodPerDay();
-      const wp = woodPerDay();
-      const tp = toolsPerDay();
-      const cons = foodConsumptionPerDay();
-      const toolMult = toolsBonusMult();
-      const decay = toolsDecayPerDay();
-
-      const pol = [
-        state.rationing > 0 ? `Rationing(${state.rationing}d)` : null,
-        state.feasting > 0 ? `Feast(${state.feasting}d)` : null,
-      ]
-        .filter(Boolean)
+      const fp = Engine.foodPerDay(state);
+      const wp = Engine.woodPerDay(state);
+      const tp = Engine.toolsPerDay(state);
+      const cons = Engine.foodConsumptionPerDay(state);
+      const toolMult = Engine.toolsBonusMult(state);
+      const decay = Engine.toolsDecayPerDay(state);
+
+      const pol = Engine.describePolicies(state)
+        .filter((p) => p.active)
+        .map((p) => `${p.name}(${p.left === null ? "on" : `${p.left}d`})`)
         .join(" ");
 
       const hunger = state.starveDays > 0 ? ` HungerStreak(${state.starveDays}d).` : "";
+      const reserve = Engine.foodReserveNeeded(state);
+      const reserveText =
+        reserve > 0 ? ` Reserve: ${fmtInt(reserve)} food needed for the next ${Engine.cfg(state).STARVATION_LOOKAHEAD_DAYS} days.` : "";
+      const flow = state.popFlow;
+      const spoil = Engine.foodSpoilagePerDay(state);
+      const preserving = Engine.preservingPerDay(state);
+      const upkeep = Engine.upkeepPerDay(state);
+      const healthDrift = Engine.healthPerDay(state);
+      const outbreak = Engine.outbreakPerDay(state);
+      const healthText = Engine.outbreakActive(state)
+        ? `Outbreak: ${state.sick} sick, +${outbreak.infected.toFixed(1)} infected, -${outbreak.recovered.toFixed(1)} recovered, ` +
+          `-${outbreak.deaths.toFixed(2)} dying per day. `
+        : `Outbreak risk: ${Math.round(Engine.outbreakChance(state) * 100)}%/day. `;
+      const raid = Engine.describeRaid(state);
+      const raidText = raid
+        ? ` Raid: strength ${raid.strength} in ${raid.inDays}d vs defense ${raid.defense.toFixed(1)} (${Math.round(raid.holdChance * 100)}% to hold).`
+        : "";
+      const skillsText = Engine.describeSkills(state)
+        .map((k) => `${k.job} ×${k.productivity.toFixed(2)}${k.retraining > 0 ? ` (${k.retraining} retraining)` : ""}`)
+        .join(", ");
+      const upkeepText = ["food", "wood", "tools"]
+        .filter((r) => upkeep[r] > 0)
+        .map((r) => `-${upkeep[r].toFixed(1)} ${r}`)
+        .join(", ");
 
       ui.rates.textContent =
         `Rates: +${fp.toFixed(1)} food/day, +${wp.toFixed(1)} wood/day, +${tp.toFixed(1)} tools/day, ` +
-        `-${cons.toFixed(1)} food/day consumption. ` +
+        `-${cons.toFixed(1)} food/day consumption, -${spoil.toFixed(1)} food/day spoilage` +
+        `${preserving.grain > 0 ? `, ${preserving.grain.toFixed(1)} grain/day preserved` : ""}. ` +
+        `Stores: ${fmtInt(state.food)}/${fmtInt(Engine.foodStorage(state))} (${fmtInt(Engine.perishableFood(state))} perishable). ` +
+        `Upkeep: ${upkeepText || "none"}. Shelter: ${state.pop}/${fmtInt(Engine.popCap(state))}` +
+        `${state.pop > Engine.popCap(state) ? ` (${state.pop - Engine.popCap(state)} homeless)` : ""}. ` +
+        `People (last day): +${flow.births} born, -${flow.deaths} died, ` +
+        `+${flow.immigrants} arrived, -${flow.emigrants} left. ` +
         `Tools: ×${toolMult.toFixed(2)} output, -${decay.toFixed(1)}/day decay. ` +
-        `Mode: ${state.mode}${state.mode === "auto" ? ` @ ${Math.round(state.tickSpeedMs / 1000)}s/day` : ""}. ` +
+        `Productivity: ${skillsText}. ` +
+        `Health: ${healthDrift >= 0 ? "+" : ""}${healthDrift.toFixed(1)}/day, ${Math.round(Engine.fitShare(state) * 100)}% fit to work. ` +
+        healthText +
+        `Mode: ${view.mode}${view.mode === "auto" ? ` @ ${Math.round(view.tickSpeedMs / 1000)}s/day` : ""}. ` +
         `Policies: ${pol || "none"}.` +
+        reserveText +
+        raidText +
         hunger;
     }
 
     // Disable/enable action buttons
     document.querySelectorAll("button[data-action]").forEach((btn) => {
-      const key = btn.getAttribute("data-action");
-      const over = state.gameOver;
-
-      if (key === "buildFarm") btn.disabled = over || state.wood < CONFIG.FARM_WOOD_COST;
-      else if (key === "feast") btn.disabled = over || state.food < 20;
-      else btn.disabled = over;
+      btn.disabled = inputsLocked() || !Engine.actionAvailable(state, btn.getAttribute("data-action"));
     });
 
+    // Inputs are locked while a replay is on screen or an agent plays
+    const locked = inputsLocked();
+    document.querySelectorAll("button[data-preset]").forEach((btn) => (btn.disabled = locked));
+    for (const el of [ui.wfFood, ui.wfWood, ui.wfTools, ui.wfHerbs, ui.wfGuards]) if (el) el.disabled = locked;
+
+    // Time control stays live while an agent plays
+    const timeLocked = !!replaying || runOver();
+
     // Update toggle tick label
     if (ui.toggleTick) {
-      if (state.mode === "manual") ui.toggleTick.textContent = "Manual Mode";
-      else ui.toggleTick.textContent = state.paused ? "Resume" : "Pause";
-      ui.toggleTick.disabled = state.gameOver;
+      if (view.mode === "manual") ui.toggleTick.textContent = "Manual Mode";
+      else ui.toggleTick.textContent = view.paused ? "Resume" : "Pause";
+      ui.toggleTick.disabled = timeLocked;
     }
 
     if (ui.endDay) {
-      ui.endDay.disabled = state.gameOver;
-      ui.endDay.style.display = state.mode === "manual" ? "" : "none";
+      ui.endDay.disabled = timeLocked;
+      ui.endDay.style.display = view.mode === "manual" ? "" : "none";
     }
 
     syncWorkforceUItoState();
+    renderAgentControls();
+    renderReplay();
   }
 
   // -------------------------------
@@ -770,28 +1896,125 @@
   function wireWorkforceSliders() {
     if (ui.wfFood) {
       ui.wfFood.addEventListener("input", () => {
-        state.workersFood = Number(ui.wfFood.value);
-        validateWorkforce("workersFood");
-        syncWorkforceUItoState();
-        render();
+        send({ type: "workforce", food: Number(ui.wfFood.value) });
       });
     }
 
     if (ui.wfWood) {
       ui.wfWood.addEventListener("input", () => {
-        state.workersWood = Number(ui.wfWood.value);
-        validateWorkforce("workersWood");
-        syncWorkforceUItoState();
-        render();
+        send({ type: "workforce", wood: Number(ui.wfWood.value) });
       });
     }
 
     if (ui.wfTools) {
       ui.wfTools.addEventListener("input", () => {
-        state.workersTools = Number(ui.wfTools.value);
-        validateWorkforce("workersTools");
-        syncWorkforceUItoState();
-        render();
+        send({ type: "workforce", tools: Number(ui.wfTools.value) });
+      });
+    }
+
+    if (ui.wfHerbs) {
+      ui.wfHerbs.addEventListener("input", () => {
+        send({ type: "workforce", herbs: Number(ui.wfHerbs.value) });
+      });
+    }
+
+    if (ui.wfGuards) {
+      ui.wfGuards.addEventListener("input", () => {
+        send({ type: "workforce", guards: Number(ui.wfGuards.value) });
+      });
+    }
+  }
+
+  function wireBuildings() {
+    if (!ui.buildingList) return;
+    ui.buildingList.addEventListener("click", (e) => {
+      const btn = e.target instanceof Element ? e.target.closest("button") : null;
+      if (!btn) return;
+      if (btn.hasAttribute("data-build")) send({ type: "build", building: btn.getAttribute("data-build") });
+      else if (btn.hasAttribute("data-demolish")) send({ type: "demolish", building: btn.getAttribute("data-demolish") });
+    });
+  }
+
+  function wirePolicies() {
+    const onClick = (e) => {
+      const btn = e.target instanceof Element ? e.target.closest("button") : null;
+      if (!btn || btn.disabled) return;
+      if (btn.hasAttribute("data-enact")) send({ type: "enact", policy: btn.getAttribute("data-enact") });
+      else if (btn.hasAttribute("data-revoke")) send({ type: "revoke", policy: btn.getAttribute("data-revoke") });
+    };
+    if (ui.policyList) ui.policyList.addEventListener("click", onClick);
+    if (ui.policyChips) ui.policyChips.addEventListener("click", onClick);
+  }
+
+  function wireResearch() {
+    if (!ui.techTree) return;
+    ui.techTree.addEventListener("click", (e) => {
+      const btn = e.target instanceof Element ? e.target.closest("button") : null;
+      if (!btn || btn.disabled) return;
+      if (btn.hasAttribute("data-research")) send({ type: "research", tech: btn.getAttribute("data-research") });
+      else if (btn.hasAttribute("data-cancel-research")) send({ type: "cancelResearch" });
+    });
+  }
+
+  function wireMarket() {
+    if (!ui.tradeGive || !ui.tradeGet) return;
+    fillSelect(ui.tradeGive, TRADE_NAMES.map((r) => [r, r]));
+    fillSelect(ui.tradeGet, TRADE_NAMES.map((r) => [r, r]));
+    ui.tradeGive.value = "wood";
+    ui.tradeGet.value = "food";
+    for (const el of [ui.tradeGive, ui.tradeGet, ui.tradeAmount]) if (el) el.addEventListener("input", () => renderTradeQuote());
+    if (ui.tradeBtn) {
+      ui.tradeBtn.addEventListener("click", () => {
+        if (ui.tradeBtn.disabled) return;
+        send({ type: "trade", give: ui.tradeGive.value, get: ui.tradeGet.value, amount: Number(ui.tradeAmount?.value) });
+      });
+    }
+  }
+
+  function wireTreasury() {
+    if (ui.taxRate) {
+      ui.taxRate.addEventListener("input", () => {
+        if (ui.taxRateVal) ui.taxRateVal.textContent = `${ui.taxRate.value}%`;
+      });
+      ui.taxRate.addEventListener("change", () => send({ type: "tax", rate: Number(ui.taxRate.value) / 100 }));
+    }
+    if (ui.hired) {
+      ui.hired.addEventListener("input", () => {
+        if (ui.hiredVal) ui.hiredVal.textContent = ui.hired.value;
+      });
+      ui.hired.addEventListener("change", () => send({ type: "hire", count: Number(ui.hired.value) }));
+    }
+    if (ui.bribeList) {
+      ui.bribeList.addEventListener("click", (e) => {
+        const btn = e.target instanceof Element ? e.target.closest("button") : null;
+        if (!btn || btn.disabled) return;
+        send({ type: "bribe", faction: btn.getAttribute("data-bribe") });
+      });
+    }
+  }
+
+  // The map and the town list pick the town the whole UI shows.
+  function selectTown(key) {
+    if (!region || !region.towns.some((t) => t.key === key)) return;
+    view.town = key;
+    showState(region);
+    renderEvent();
+    render();
+  }
+
+  function wireRegion() {
+    for (const el of [ui.regionMap, ui.townList]) {
+      if (!el) continue;
+      el.addEventListener("click", (e) => {
+        const mark = e.target instanceof Element ? e.target.closest("[data-town]") : null;
+        if (mark) selectTown(mark.getAttribute("data-town"));
+      });
+    }
+    for (const el of [ui.shipTo, ui.shipCargo, ui.shipAmount]) if (el) el.addEventListener("input", () => renderShipQuote());
+    if (ui.shipBtn) {
+      ui.shipBtn.addEventListener("click", () => {
+        if (ui.shipBtn.disabled) return;
+        sendRegion({ type: "ship", from: view.town, to: ui.shipTo.value, cargo: ui.shipCargo.value, amount: Number(ui.shipAmount?.value) });
       });
     }
   }
@@ -802,15 +2025,15 @@
     // - If auto mode: toggles pause/resume.
     if (ui.toggleTick) {
       ui.toggleTick.addEventListener("click", () => {
-        if (state.gameOver) return;
+        if (runOver()) return;
 
-        if (state.mode === "manual") {
-          state.mode = "auto";
-          state.paused = false;
+        if (view.mode === "manual") {
+          view.mode = "auto";
+          view.paused = false;
           logLine("Switched to auto time.", "");
         } else {
-          state.paused = !state.paused;
-          logLine(state.paused ? "Paused time." : "Resumed time.", "");
+          view.paused = !view.paused;
+          logLine(view.paused ? "Paused time." : "Resumed time.", "");
         }
 
         applyTimeControl();
@@ -821,7 +2044,7 @@
     // Manual End Day
     if (ui.endDay) {
       ui.endDay.addEventListener("click", () => {
-        if (state.gameOver) return;
+        if (runOver()) return;
         tick();
       });
     }
@@ -829,17 +2052,17 @@
     // Optional speed buttons: any element with data-speed="ms"
     document.querySelectorAll("[data-speed]").forEach((btn) => {
       btn.addEventListener("click", () => {
-        if (state.gameOver) return;
+        if (runOver() || replaying) return;
 
         const ms = Number(btn.getAttribute("data-speed"));
         if (!Number.isFinite(ms) || ms <= 0) return;
 
-        state.tickSpeedMs = ms;
+        view.tickSpeedMs = ms;
 
         // If currently manual, switch to auto so speed matters
-        if (state.mode !== "auto") {
-          state.mode = "auto";
-          state.paused = false;
+        if (view.mode !== "auto") {
+          view.mode = "auto";
+          view.paused = false;
           logLine("Switched to auto time.", "");
         }
 
@@ -854,11 +2077,21 @@
     if (!ui.reset) return;
 
     ui.reset.addEventListener("click", () => {
+      if (replaying) exitReplay();
       stopAutoTick();
-      state = INITIAL();
+      watching = null;
+      const parsed = Engine.parseSeed(ui.seedInput?.value);
+      const seed = parsed === null ? undefined : parsed;
+      const choice = ui.scenarioSelect?.value || Engine.DEFAULT_SCENARIO;
+      view = INITIAL_VIEW();
+      if (choice.startsWith(REGION_PREFIX)) showState(Region.createRegion({}, seed, choice.slice(REGION_PREFIX.length)));
+      else showState(Engine.createGame({}, seed, choice));
+      recording = newRecording(liveRun());
+      history = newHistory(liveRun());
 
       if (ui.log) ui.log.innerHTML = "";
-      logLine("New run started.", "");
+      const name = region ? Region.describeRegion(region).name : Engine.describeScenario(state).name;
+      logLine(`New run started (${name}, seed ${liveRun().seed}).`, "");
 
       renderEvent();
       render();
@@ -866,15 +2099,132 @@
     });
   }
 
+  function wireSaves() {
+    if (ui.saveBtn) {
+      ui.saveBtn.addEventListener("click", () => {
+        const name = (ui.saveName?.value || "").trim() || `day${state.day}`;
+        saveToSlot(name);
+        if (ui.saveSlots) ui.saveSlots.value = name;
+      });
+    }
+
+    if (ui.loadBtn) {
+      ui.loadBtn.addEventListener("click", () => {
+        const name = ui.saveSlots?.value;
+        if (name) loadFromSlot(name);
+      });
+    }
+
+    if (ui.deleteSaveBtn) {
+      ui.deleteSaveBtn.addEventListener("click", () => {
+        const name = ui.saveSlots?.value;
+        if (name) deleteSlot(name);
+      });
+    }
+
+    if (ui.exportBtn) ui.exportBtn.addEventListener("click", () => exportToFile());
+
+    if (ui.importBtn && ui.importFile) {
+      ui.importBtn.addEventListener("click", () => ui.importFile.click());
+      ui.importFile.addEventListener("change", () => {
+        const file = ui.importFile.files?.[0];
+        if (file) importFromFile(file);
+        ui.importFile.value = "";
+      });
+    }
+  }
+
+  function wireReplay() {
+    if (ui.replayRun) ui.replayRun.addEventListener("click", () => enterReplay(recording, "this run"));
+    if (ui.exitReplay) ui.exitReplay.addEventListener("click", () => exitReplay());
+    if (ui.exportRecording) ui.exportRecording.addEventListener("click", () => exportRecording());
+
+    if (ui.importRecordingBtn && ui.importRecording) {
+      ui.importRecordingBtn.addEventListener("click", () => ui.importRecording.click());
+      ui.importRecording.addEventListener("change", () => {
+        const file = ui.importRecording.files?.[0];
+        if (file) readJsonFile(file, (rec) => enterReplay(rec, `"${file.name}"`), "Recording import");
+        ui.importRecording.value = "";
+      });
+    }
+
+    if (ui.replayPrev) ui.replayPrev.addEventListener("click", () => replaying && showFrame(replaying.index - 1));
+    if (ui.replayNext) ui.replayNext.addEventListener("click", () => replaying && showFrame(replaying.index + 1));
+    if (ui.replayScrub) {
+      ui.replayScrub.addEventListener("input", () => replaying && showFrame(Number(ui.replayScrub.value)));
+    }
+  }
+
+  function wireGovernor() {
+    const setRules = (rules) => send({ type: "governor", rules });
+
+    if (ui.govEnabled) ui.govEnabled.addEventListener("change", () => send({ type: "governor", enabled: ui.govEnabled.checked }));
+    if (ui.govExamples) ui.govExamples.addEventListener("click", () => setRules(Engine.GOVERNOR_EXAMPLES));
+    if (ui.govClear) ui.govClear.addEventListener("click", () => setRules([]));
+    if (ui.govMetric) ui.govMetric.addEventListener("change", () => renderGovernor());
+    if (ui.govDo) ui.govDo.addEventListener("change", () => renderGovernor());
+    if (ui.govAdd) {
+      ui.govAdd.addEventListener("click", () => {
+        const rule = ruleFromForm();
+        if (rule) setRules([...state.governor.rules, rule]);
+      });
+    }
+
+    if (ui.govRules) {
+      ui.govRules.addEventListener("click", (e) => {
+        const el = e.target instanceof Element ? e.target.closest("[data-gov-toggle], [data-gov-up], [data-gov-delete]") : null;
+        if (!el || el.disabled) return;
+        const rules = state.governor.rules.map((r) => ({ ...r }));
+        if (el.hasAttribute("data-gov-toggle")) {
+          const i = Number(el.getAttribute("data-gov-toggle"));
+          rules[i].enabled = rules[i].enabled === false;
+        } else if (el.hasAttribute("data-gov-up")) {
+          const i = Number(el.getAttribute("data-gov-up"));
+          [rules[i - 1], rules[i]] = [rules[i], rules[i - 1]];
+        } else {
+          rules.splice(Number(el.getAttribute("data-gov-delete")), 1);
+        }
+        setRules(rules);
+      });
+    }
+  }
+
+  function wireProjection() {
+    if (ui.projDays) ui.projDays.addEventListener("input", () => renderProjection());
+    if (ui.projTable) {
+      ui.projTable.addEventListener("click", (e) => {
+        const btn = e.target instanceof Element ? e.target.closest("button[data-preset]") : null;
+        if (btn && !btn.disabled) send({ type: "preset", name: btn.getAttribute("data-preset") });
+      });
+    }
+  }
+
+  function wireHistory() {
+    if (ui.exportHistory) ui.exportHistory.addEventListener("click", () => exportHistory());
+    if (ui.historyCharts) {
+      ui.historyCharts.addEventListener("mousemove", showHistoryTip);
+      ui.historyCharts.addEventListener("mouseleave", hideHistoryTip);
+    }
+  }
+
+  function wireAgent() {
+    if (!ui.watchAgent) return;
+    ui.watchAgent.addEventListener("click", () => {
+      if (watching) stopWatching();
+      else startWatching(ui.agentSelect?.value);
+    });
+  }
+
   function wireModeHotkey() {
     window.addEventListener("keydown", (e) => {
       if (e.key.toLowerCase() !== "m") return;
-      if (state.gameOver) return;
+      if (e.target instanceof HTMLElement && e.target.closest("input, select, textarea")) return;
+      if (runOver() || replaying) return;
 
-      state.mode = state.mode === "auto" ? "manual" : "auto";
-      state.paused = false;
+      view.mode = view.mode === "auto" ? "manual" : "auto";
+      view.paused = false;
 
-      logLine(`Mode -> ${state.mode}.`, "");
+      logLine(`Mode -> ${view.mode}.`, "");
       applyTimeControl();
       render();
     });
@@ -887,11 +2237,25 @@
     wireActionButtons();
     wirePresetButtons();
     wireWorkforceSliders();
+    wireBuildings();
+    wirePolicies();
+    wireResearch();
+    wireMarket();
+    wireTreasury();
+    wireRegion();
     wireTimeControls();
     wireReset();
+    wireSaves();
+    wireReplay();
+    wireGovernor();
+    wireAgent();
+    wireProjection();
+    wireHistory();
     wireModeHotkey();
 
-    logLine("New run started.", "");
+    renderSaveSlots();
+    renderScenarioOptions();
+    logLine(`New run started (${Engine.describeScenario(state).name}, seed ${state.seed}).`, "");
     renderEvent();
     render();
     applyTimeControl();
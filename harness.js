@@ -0,0 +1,195 @@
+// Governance MPL balance harness - plays many seeded games headlessly
+// Node:  node harness.js [--games 1000] [--seed 1] [--strategy balanced] [--scenario hard]
+//                        [--config '{"WIN_DAY":60}'] [--compare '{"EVENT_BASE_CHANCE":0.1}']
+// Code:  const H = require("./harness.js"); H.runBatch({ games: 500, strategy: "survivalThenFarms" })
+//
+// A strategy is an agent key from agents.js (balanced, greedyFood, lookahead, ...), an agent
+// object, or a plain (state) -> commands function; it is asked once per day before step().
+// Game i of a batch uses seed (seed + i), so two CONFIG variants are compared on identical seeds.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"), require("./agents.js"));
+  else root.GovHarness = factory(root.GovEngine, root.GovAgents);
+})(typeof globalThis !== "undefined" ? globalThis : this, function (Engine, Agents) {
+  "use strict";
+
+  // Safety net for configs that never end (e.g. WIN_DAY far out and nothing dies).
+  const MAX_DAYS = 2000;
+
+  // -------------------------------
+  // Strategies
+  // -------------------------------
+  // Every agent in agents.js, by key. A strategy can also be a plain
+  // (state) -> commands function or an agent object.
+  const STRATEGIES = Object.fromEntries(Object.entries(Agents.AGENTS).map(([key, agent]) => [key, agent.decide]));
+
+  // -> agent ({ decide })
+  function resolveStrategy(strategy) {
+    if (typeof strategy === "function") return { name: strategy.name || "custom", decide: strategy };
+    if (strategy && typeof strategy.decide === "function") return strategy;
+    const agent = Agents.AGENTS[strategy];
+    if (!agent) throw new Error(`Unknown strategy "${strategy}". Known: ${Object.keys(STRATEGIES).join(", ")}.`);
+    return agent;
+  }
+
+  // -------------------------------
+  // Runner
+  // -------------------------------
+  // Plays one game to the end. Returns { seed, win, cause, day, pop }.
+  function playGame(config, seed, strategy, scenario) {
+    const agent = resolveStrategy(strategy);
+    let s = Engine.createGame(config, seed, scenario);
+
+    while (!s.gameOver && s.day < MAX_DAYS) {
+      s = Agents.playDay(agent, s).state;
+    }
+
+    const outcome = s.outcome || { win: false, cause: "timeout" };
+    return { seed, win: outcome.win, cause: outcome.cause, day: s.day, pop: s.pop };
+  }
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const v = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  // Summary of a list of playGame() results.
+  function summarize(results) {
+    const causes = {};
+    const failDays = [];
+    let wins = 0;
+    let popSum = 0;
+
+    for (const r of results) {
+      causes[r.cause] = (causes[r.cause] || 0) + 1;
+      popSum += r.pop;
+      if (r.win) wins += 1;
+      else failDays.push(r.day);
+    }
+
+    return {
+      games: results.length,
+      wins,
+      winRate: results.length ? wins / results.length : 0,
+      causes,
+      medianFailDay: median(failDays),
+      avgFinalPop: results.length ? popSum / results.length : 0,
+    };
+  }
+
+  // options: { games, seed, strategy, config, scenario }
+  function runBatch(options = {}) {
+    const games = options.games ?? 1000;
+    const seed = options.seed ?? 1;
+    const strategy = options.strategy ?? "balanced";
+    const config = options.config ?? {};
+    const scenario = options.scenario ?? Engine.DEFAULT_SCENARIO;
+
+    const results = [];
+    for (let i = 0; i < games; i++) {
+      results.push(playGame(config, (seed + i) >>> 0, strategy, scenario));
+    }
+    return {
+      strategy: typeof strategy === "string" ? strategy : resolveStrategy(strategy).name,
+      scenario,
+      config,
+      ...summarize(results),
+    };
+  }
+
+  // Same seeds and strategy, two CONFIG variants.
+  function compare(configA, configB, options = {}) {
+    return {
+      a: runBatch({ ...options, config: configA }),
+      b: runBatch({ ...options, config: configB }),
+    };
+  }
+
+  // -------------------------------
+  // Report formatting
+  // -------------------------------
+  const CAUSES = ["objectives", "famine", "population", "authority"];
+
+  function pct(n) {
+    return `${(n * 100).toFixed(1)}%`;
+  }
+
+  function reportRows(r) {
+    const rows = [
+      ["games", String(r.games)],
+      ["win rate", pct(r.winRate)],
+    ];
+    const causes = CAUSES.concat(Object.keys(r.causes).filter((c) => !CAUSES.includes(c)));
+    for (const c of causes) rows.push([`  ${c}`, pct((r.causes[c] || 0) / (r.games || 1))]);
+    rows.push(["median fail day", r.medianFailDay === null ? "-" : String(r.medianFailDay)]);
+    rows.push(["avg final pop", r.avgFinalPop.toFixed(1)]);
+    return rows;
+  }
+
+  function formatReport(...reports) {
+    const tables = reports.map(reportRows);
+    const header = ["", ...reports.map((r, i) => (reports.length > 1 ? String.fromCharCode(65 + i) : r.strategy))];
+    const lines = [header];
+    for (let i = 0; i < tables[0].length; i++) {
+      lines.push([tables[0][i][0], ...tables.map((t) => t[i][1])]);
+    }
+    const widths = header.map((_, c) => Math.max(...lines.map((l) => l[c].length)));
+    return lines.map((l) => l.map((cell, c) => (c === 0 ? cell.padEnd(widths[c]) : cell.padStart(widths[c]))).join("  ")).join("\n");
+  }
+
+  // -------------------------------
+  // CLI
+  // -------------------------------
+  function parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+      const m = /^--([\w-]+)$/.exec(argv[i]);
+      if (!m) throw new Error(`Unexpected argument "${argv[i]}".`);
+      opts[m[1]] = argv[i + 1];
+      i += 1;
+    }
+    return {
+      games: opts.games !== undefined ? Number(opts.games) : 1000,
+      seed: opts.seed !== undefined ? Number(opts.seed) : 1,
+      strategy: opts.strategy || "balanced",
+      scenario: opts.scenario || Engine.DEFAULT_SCENARIO,
+      config: opts.config ? JSON.parse(opts.config) : {},
+      compare: opts.compare ? JSON.parse(opts.compare) : null,
+    };
+  }
+
+  function main(argv) {
+    const args = parseArgs(argv);
+    const base = { games: args.games, seed: args.seed, strategy: args.strategy, scenario: args.scenario };
+
+    if (args.compare) {
+      const { a, b } = compare(args.config, { ...args.config, ...args.compare }, base);
+      console.log(`strategy ${args.strategy}, scenario ${args.scenario}, ${args.games} games from seed ${args.seed}`);
+      console.log(`A: ${JSON.stringify(args.config)}`);
+      console.log(`B: ${JSON.stringify({ ...args.config, ...args.compare })}\n`);
+      console.log(formatReport(a, b));
+    } else {
+      console.log(formatReport(runBatch({ ...base, config: args.config })));
+    }
+  }
+
+  if (typeof module === "object" && typeof require === "function" && require.main === module) {
+    try {
+      main(process.argv.slice(2));
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  }
+
+  return {
+    STRATEGIES,
+    playGame,
+    runBatch,
+    compare,
+    summarize,
+    formatReport,
+  };
+});
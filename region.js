@@ -0,0 +1,615 @@
+// Governance MPL region - several towns on one day clock, joined by caravan routes
+// Loaded by index.html (window.GovRegion) and by Node (require("./region.js")).
+//
+// API:
+// - createRegion(config, seed, region) -> region state  plain JSON; config holds REGION_CONFIG overrides
+// - step(region, commands)    -> { state, logEntries, events, rows }  apply commands, then every town lives one day;
+//                                                                     rows: { town: history row } for the towns stepped
+// - dispatch(region, command) -> { state, logEntries, events }  apply one command, no time passes
+// - replay(recording)         -> frames                          rebuild a recorded region run day by day
+//
+// Each town is an ordinary engine game (engine.js) with its own stores, workforce,
+// buildings and stability. The region steps the towns that still stand, delivers
+// caravans, rolls REGION_EVENTS and decides the run: it is won when MIN_TOWNS or
+// more towns reach WIN_DAY (each town's own goal) and lost once fewer still stand.
+// Town log lines and events come back tagged with the town's key.
+//
+// Commands:
+//   { type: "town", town, command }                 an engine command for one town
+//   { type: "ship", from, to, cargo, amount }       send food | wood | tools | people along a route
+//   { type: "endDay" }                              recordings only: marks a step() boundary
+// Events (besides the towns' own, which carry `town`):
+//   shipmentSent { from, to, cargo, amount, arrives }, shipmentArrived { from, to, cargo, amount, lost },
+//   regionEvent { key, towns }, gameOver { win, cause, reason }
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+  else root.GovRegion = factory(root.GovEngine);
+})(typeof globalThis !== "undefined" ? globalThis : this, function (Engine) {
+  "use strict";
+
+  // -------------------------------
+  // Constants (tune here)
+  // -------------------------------
+  // Defaults only. A region carries its own overrides in region.config, over the REGIONS entry's.
+  const REGION_CONFIG = {
+    WIN_DAY: 60, // towns that reach this day survive (it becomes every town's WIN_DAY)
+    MIN_TOWNS: 2, // the region is lost with fewer towns standing
+
+    // Caravans: a route's risk is the chance that one is attacked on the way;
+    // an attacked caravan loses a rolled share of its cargo.
+    LOSS_SHARE: [0.3, 0.7],
+
+    // Region-wide events (REGION_EVENTS)
+    EVENT_MIN_DAY: 10,
+    EVENT_CHANCE: 0.04, // daily, once the cooldown has passed
+    EVENT_COOLDOWN: 15,
+  };
+
+  // Weather only region events bring (never rolled by a town's own forecast).
+  const TOWN_WEATHER = {
+    blight: { name: "Blight", chance: {}, days: [6, 10], foodMult: 0.5, foodPrice: 1.4 },
+  };
+
+  // Engine events only region events fire (scheduledOnly).
+  const TOWN_EVENTS = {
+    PLAGUE: {
+      title: "Plague on the Roads",
+      body: "Travellers from the next valley bring a wasting fever with them.",
+      scheduledOnly: true,
+      options: [
+        {
+          label: "Burn herbs at the gates (10 tools)",
+          requires: { tools: { gte: 10 } },
+          effects: { tools: -10, health: -10 },
+          log: "Smoke and herbs keep the worst of it out.",
+        },
+        {
+          label: "Turn travellers away",
+          effects: { health: -15, stability: -4 },
+          log: "The gates stay shut; the fever still creeps in.",
+          tone: "warn",
+        },
+        { label: "Carry on", effects: { health: -30 }, log: "The fever spreads from house to house.", tone: "bad" },
+      ],
+    },
+  };
+
+  // -------------------------------
+  // Region events (data)
+  // -------------------------------
+  // Event: { name, weight?, reach, seasons?, event? | weather?, log }
+  //   reach    chance that each standing town is hit besides the one that always is
+  //   seasons  SEASONS keys it can happen in (omitted: any)
+  //   event    TOWN_EVENTS key fired in every town hit
+  //   weather  { key, days: [min, max] } spell imposed on every town hit
+  //   log      region log line; {towns} lists the towns hit
+  const REGION_EVENTS = {
+    plague: {
+      name: "Plague",
+      reach: 0.5,
+      event: "PLAGUE",
+      log: "Plague travels the roads towards {towns}.",
+    },
+    badHarvest: {
+      name: "Bad Harvest",
+      reach: 0.7,
+      seasons: ["spring", "summer", "autumn"],
+      weather: { key: "blight", days: [6, 10] },
+      log: "Blight spreads through the fields of {towns}.",
+    },
+  };
+
+  const REGION_EVENT_KEYS = ["name", "weight", "reach", "seasons", "event", "weather", "log"];
+
+  // -------------------------------
+  // Regions (data)
+  // -------------------------------
+  // Region: { name, description, config?, towns, routes }
+  //   towns   [{ key, name, x, y, scenario?, start?, config? }]: x, y place it on the map (0..100);
+  //           scenario (without objectives), start state fields and CONFIG overrides make each town
+  //   routes  [{ from, to, days, risk }] caravans travel both ways
+  const REGIONS = {
+    valley: {
+      name: "Three Valleys",
+      description: "A farming town, a timber town and a smithy on one river. Keep two of them standing until day 60.",
+      towns: [
+        {
+          key: "millbrook",
+          name: "Millbrook",
+          x: 22,
+          y: 62,
+          scenario: "easy",
+          start: { wood: 15, tools: 5 },
+          config: { WOOD_PER_WORKER: 0.6 },
+        },
+        {
+          key: "pinecrest",
+          name: "Pinecrest",
+          x: 55,
+          y: 18,
+          start: { food: 50, wood: 120, workersFood: 6, workersWood: 9 },
+          config: { FOOD_PER_WORKER: 0.95, WOOD_PER_WORKER: 1.1 },
+        },
+        {
+          key: "ironford",
+          name: "Ironford",
+          x: 80,
+          y: 72,
+          scenario: "hard",
+          start: { tools: 40, buildings: { farm: 0, workshop: 1 } },
+          config: { TOOLS_PER_WORKER: 0.5 },
+        },
+      ],
+      routes: [
+        { from: "millbrook", to: "pinecrest", days: 2, risk: 0.05 },
+        { from: "pinecrest", to: "ironford", days: 3, risk: 0.15 },
+        { from: "millbrook", to: "ironford", days: 2, risk: 0.1 },
+      ],
+    },
+    frontier: {
+      name: "Frontier",
+      description: "Two young outposts at either end of a bandit road. Both must last 50 days.",
+      config: { WIN_DAY: 50, MIN_TOWNS: 2 },
+      towns: [
+        { key: "northwatch", name: "Northwatch", x: 20, y: 25, scenario: "hard", start: { wood: 60 } },
+        { key: "southgate", name: "Southgate", x: 78, y: 75, start: { food: 140, wood: 10 } },
+      ],
+      routes: [{ from: "northwatch", to: "southgate", days: 4, risk: 0.25 }],
+    },
+  };
+
+  const DEFAULT_REGION = "valley";
+  const REGION_KEYS = ["name", "description", "config", "towns", "routes"];
+  const TOWN_KEYS = ["key", "name", "x", "y", "scenario", "start", "config"];
+  const ROUTE_KEYS = ["from", "to", "days", "risk"];
+
+  // -------------------------------
+  // Validation
+  // -------------------------------
+  function unknownKeys(problems, where, obj, known) {
+    for (const k of Object.keys(obj || {})) if (!known.includes(k)) problems.push(`${where}: unknown key "${k}"`);
+  }
+
+  function weatherDefs() {
+    return { ...Engine.DEFAULT_CONFIG.WEATHER, ...TOWN_WEATHER };
+  }
+
+  // Returns a list of human-readable problems (empty when the table is sound).
+  function validateRegionEvents(defs) {
+    const problems = [];
+    const seasons = Engine.DEFAULT_CONFIG.SEASONS.map((x) => x.key);
+    for (const [key, ev] of Object.entries(defs || {})) {
+      unknownKeys(problems, key, ev, REGION_EVENT_KEYS);
+      if (!ev.name) problems.push(`${key}: missing name`);
+      if (!ev.log) problems.push(`${key}: missing log`);
+      if (ev.weight !== undefined && !(ev.weight > 0)) problems.push(`${key}: weight must be > 0`);
+      if (!(ev.reach >= 0 && ev.reach <= 1)) problems.push(`${key}: reach must be in [0, 1]`);
+      for (const season of ev.seasons || []) {
+        if (!seasons.includes(season)) problems.push(`${key}.seasons: unknown season "${season}"`);
+      }
+      if (!ev.event && !ev.weather) problems.push(`${key}: needs an event or a weather`);
+      if (ev.event && !TOWN_EVENTS[ev.event]) problems.push(`${key}: unknown town event "${ev.event}"`);
+      if (ev.weather) {
+        const [min, max] = ev.weather.days || [];
+        if (!weatherDefs()[ev.weather.key]) problems.push(`${key}.weather: unknown weather "${ev.weather.key}"`);
+        if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 1 && max >= min)) {
+          problems.push(`${key}.weather: days must be [min, max] with 1 <= min <= max`);
+        }
+      }
+    }
+    return problems;
+  }
+
+  function validateRegions(defs) {
+    const problems = [];
+    const fields = Object.keys(Engine.createGame({}, 0));
+    for (const [key, def] of Object.entries(defs || {})) {
+      unknownKeys(problems, key, def, REGION_KEYS);
+      if (!def.name) problems.push(`${key}: missing name`);
+      for (const name of Object.keys(def.config || {})) {
+        if (!(name in REGION_CONFIG)) problems.push(`${key}.config: unknown region CONFIG key "${name}"`);
+      }
+      if (!Array.isArray(def.towns) || def.towns.length === 0) {
+        problems.push(`${key}: towns must be a non-empty list`);
+        continue;
+      }
+
+      const towns = new Set();
+      def.towns.forEach((town, i) => {
+        const at = `${key}.towns[${i}]`;
+        unknownKeys(problems, at, town, TOWN_KEYS);
+        if (!town.key || !town.name) problems.push(`${at}: missing key or name`);
+        if (towns.has(town.key)) problems.push(`${at}: duplicate key "${town.key}"`);
+        towns.add(town.key);
+        if (!(town.x >= 0 && town.x <= 100 && town.y >= 0 && town.y <= 100)) problems.push(`${at}: x and y must be in [0, 100]`);
+        const sc = Engine.SCENARIOS[town.scenario || Engine.DEFAULT_SCENARIO];
+        if (!sc) problems.push(`${at}: unknown scenario "${town.scenario}"`);
+        else if (sc.objectives || sc.fail || sc.turnLimit) problems.push(`${at}: scenario "${town.scenario}" has goals of its own`);
+        for (const field of Object.keys(town.start || {})) {
+          if (!fields.includes(field)) problems.push(`${at}.start: unknown state field "${field}"`);
+        }
+        for (const name of Object.keys(town.config || {})) {
+          if (!(name in Engine.DEFAULT_CONFIG)) problems.push(`${at}.config: unknown CONFIG key "${name}"`);
+        }
+      });
+
+      (def.routes || []).forEach((route, i) => {
+        const at = `${key}.routes[${i}]`;
+        unknownKeys(problems, at, route, ROUTE_KEYS);
+        if (!towns.has(route.from) || !towns.has(route.to)) problems.push(`${at}: unknown town`);
+        if (route.from === route.to) problems.push(`${at}: a route needs two towns`);
+        if (!(Number.isInteger(route.days) && route.days >= 1)) problems.push(`${at}: days must be an integer >= 1`);
+        if (!(route.risk >= 0 && route.risk <= 1)) problems.push(`${at}: risk must be in [0, 1]`);
+      });
+    }
+    return problems;
+  }
+
+  // Shipped tables are checked once at load time.
+  const builtInProblems = [
+    ...Engine.validateEvents({ ...Engine.EVENTS, ...TOWN_EVENTS }),
+    ...validateRegionEvents(REGION_EVENTS),
+    ...validateRegions(REGIONS),
+  ];
+  if (builtInProblems.length) throw new Error(`Invalid region data (built-in):\n- ${builtInProblems.join("\n- ")}`);
+
+  // -------------------------------
+  // State
+  // -------------------------------
+  function regionDef(r) {
+    return REGIONS[r.region] || REGIONS[DEFAULT_REGION];
+  }
+
+  function regionCfg(r) {
+    return { ...REGION_CONFIG, ...(regionDef(r).config || {}), ...(r.config || {}) };
+  }
+
+  function townDef(r, key) {
+    return regionDef(r).towns.find((t) => t.key === key);
+  }
+
+  function townName(r, key) {
+    return townDef(r, key)?.name || key;
+  }
+
+  function townOf(r, key) {
+    return r.towns.find((t) => t.key === key) || null;
+  }
+
+  // Lost its own game; a town that reached WIN_DAY still stands.
+  function fallen(town) {
+    return town.state.gameOver && !town.state.outcome.win;
+  }
+
+  function routeBetween(r, a, b) {
+    return regionDef(r).routes.find((x) => (x.from === a && x.to === b) || (x.from === b && x.to === a)) || null;
+  }
+
+  // Every town gets its own random stream from the region's seed.
+  function townSeed(seed, i) {
+    return (seed + Math.imul(i + 1, 0x9e3779b9)) >>> 0;
+  }
+
+  function createRegion(config = {}, seed = Engine.randomSeed(), region = DEFAULT_REGION) {
+    const def = REGIONS[region];
+    if (!def) throw new Error(`Unknown region "${region}". Known: ${Object.keys(REGIONS).join(", ")}.`);
+
+    const r = {
+      region,
+      seed: seed >>> 0,
+      rngCursor: 0,
+      day: 1,
+      config,
+      towns: [],
+      shipments: [], // [{ from, to, cargo, amount, arrives }]
+      nextEventDay: 0,
+      gameOver: false,
+      outcome: null, // { win, cause, reason }
+    };
+    const C = regionCfg(r);
+    r.nextEventDay = C.EVENT_MIN_DAY;
+    r.towns = def.towns.map((t, i) => {
+      const townConfig = { ...(t.config || {}), WIN_DAY: C.WIN_DAY, EVENTS: TOWN_EVENTS, WEATHER: weatherDefs() };
+      return { key: t.key, state: Engine.createGame(townConfig, townSeed(r.seed, i), t.scenario || Engine.DEFAULT_SCENARIO, t.start || {}) };
+    });
+    return r;
+  }
+
+  function makeCtx(r) {
+    const logEntries = [];
+    const events = [];
+    return {
+      r,
+      logEntries,
+      events,
+      log(text, tone = "") {
+        logEntries.push({ day: r.day, text, tone });
+      },
+      emit(type, data = {}) {
+        events.push({ type, day: r.day, ...data });
+      },
+    };
+  }
+
+  // Takes an engine result for one town: its new state, its log lines and events tagged with the town.
+  function adoptTown(ctx, town, result) {
+    town.state = result.state;
+    const name = townName(ctx.r, town.key);
+    for (const e of result.logEntries) ctx.logEntries.push({ ...e, town: town.key, text: `${name}: ${e.text}` });
+    for (const e of result.events) ctx.events.push({ ...e, town: town.key });
+  }
+
+  // -------------------------------
+  // Caravans
+  // -------------------------------
+  // { days, risk, problem }: problem is null when the caravan can leave today.
+  function quoteShipment(r, from, to, cargo, amount) {
+    const src = townOf(r, from);
+    const dst = townOf(r, to);
+    const route = src && dst ? routeBetween(r, from, to) : null;
+    const quote = { days: route ? route.days : null, risk: route ? route.risk : null, problem: null };
+    if (r.gameOver) quote.problem = "The run is over.";
+    else if (!src || !dst) quote.problem = "Unknown town.";
+    else if (!route) quote.problem = `No road from ${townName(r, from)} to ${townName(r, to)}.`;
+    else if (dst.state.gameOver) quote.problem = `${townName(r, to)} takes no more caravans.`;
+    else quote.problem = Engine.shipmentProblem(src.state, cargo, Number(amount));
+    return quote;
+  }
+
+  function ship(ctx, cmd) {
+    const r = ctx.r;
+    const amount = Number(cmd.amount);
+    const quote = quoteShipment(r, cmd.from, cmd.to, cmd.cargo, amount);
+    if (quote.problem) {
+      ctx.log(`Caravan not sent: ${quote.problem}`, "warn");
+      return;
+    }
+    const src = townOf(r, cmd.from);
+    adoptTown(ctx, src, Engine.shipOut(src.state, cmd.cargo, amount, townName(r, cmd.to)));
+    const shipment = { from: cmd.from, to: cmd.to, cargo: cmd.cargo, amount, arrives: r.day + quote.days };
+    r.shipments.push(shipment);
+    ctx.emit("shipmentSent", shipment);
+  }
+
+  // Caravans due today arrive, unless raiders on the road got to them first.
+  function deliverShipments(ctx) {
+    const r = ctx.r;
+    const C = regionCfg(r);
+    const due = r.shipments.filter((x) => x.arrives <= r.day);
+    r.shipments = r.shipments.filter((x) => x.arrives > r.day);
+
+    for (const x of due) {
+      const route = routeBetween(r, x.from, x.to);
+      const from = townName(r, x.from);
+      const to = townName(r, x.to);
+      let lost = 0;
+      if (route && Engine.rnd(r) < route.risk) {
+        const share = C.LOSS_SHARE[0] + Engine.rnd(r) * (C.LOSS_SHARE[1] - C.LOSS_SHARE[0]);
+        lost = x.cargo === "people" ? Math.round(x.amount * share) : Math.round(x.amount * share * 10) / 10;
+        ctx.log(`Bandits fell on the caravan from ${from} to ${to}: ${lost} ${x.cargo} lost.`, "bad");
+      }
+
+      const dst = townOf(r, x.to);
+      if (dst.state.gameOver) {
+        ctx.log(`The caravan from ${from} found ${to} deserted; its ${x.cargo} is lost.`, "bad");
+        lost = x.amount;
+      } else if (x.amount - lost > 0) {
+        adoptTown(ctx, dst, Engine.shipIn(dst.state, x.cargo, x.amount - lost, from));
+      }
+      ctx.emit("shipmentArrived", { from: x.from, to: x.to, cargo: x.cargo, amount: x.amount, lost });
+    }
+  }
+
+  // -------------------------------
+  // Region events
+  // -------------------------------
+  function pickWeighted(r, entries) {
+    const total = entries.reduce((sum, [, def]) => sum + (def.weight ?? 1), 0);
+    let roll = Engine.rnd(r) * total;
+    for (const entry of entries) {
+      roll -= entry[1].weight ?? 1;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+
+  function maybeRegionEvent(ctx) {
+    const r = ctx.r;
+    const C = regionCfg(r);
+    const standing = r.towns.filter((t) => !t.state.gameOver);
+    if (r.day < r.nextEventDay || standing.length === 0) return;
+    if (Engine.rnd(r) >= C.EVENT_CHANCE) return;
+
+    const season = Engine.seasonAt(standing[0].state, standing[0].state.day).key;
+    const eligible = Object.entries(REGION_EVENTS).filter(([, def]) => !def.seasons || def.seasons.includes(season));
+    if (eligible.length === 0) return;
+    const [key, def] = pickWeighted(r, eligible);
+
+    // One town always, the others each by reach.
+    const first = Engine.rndInt(r, 0, standing.length - 1);
+    const hit = standing.filter((t, i) => i === first || Engine.rnd(r) < def.reach);
+
+    ctx.log(def.log.replace("{towns}", hit.map((t) => townName(r, t.key)).join(", ")), "warn");
+    for (const town of hit) {
+      if (def.event) adoptTown(ctx, town, Engine.scheduleEvent(town.state, def.event, town.state.day));
+      if (def.weather) {
+        const days = Engine.rndInt(r, def.weather.days[0], def.weather.days[1]);
+        adoptTown(ctx, town, Engine.imposeWeather(town.state, def.weather.key, days));
+      }
+    }
+    r.nextEventDay = r.day + C.EVENT_COOLDOWN;
+    ctx.emit("regionEvent", { key, towns: hit.map((t) => t.key) });
+  }
+
+  // -------------------------------
+  // Outcome
+  // -------------------------------
+  function endRegion(ctx, cause, reason, win = false) {
+    const r = ctx.r;
+    r.gameOver = true;
+    r.outcome = { win, cause, reason };
+    ctx.log(reason, win ? "good" : "bad");
+    ctx.emit("gameOver", { win, cause, reason });
+  }
+
+  // cause: "towns" (too few left standing) | "survived"
+  function checkRegion(ctx) {
+    const r = ctx.r;
+    const C = regionCfg(r);
+    const standing = r.towns.filter((t) => !fallen(t));
+    if (standing.length < C.MIN_TOWNS) {
+      return endRegion(ctx, "towns", `Only ${standing.length} of ${r.towns.length} towns still stand. The region is lost.`);
+    }
+    if (standing.every((t) => t.state.gameOver)) {
+      endRegion(ctx, "survived", `${standing.length} of ${r.towns.length} towns reached day ${C.WIN_DAY}. The region endures.`, true);
+    }
+  }
+
+  // -------------------------------
+  // Commands
+  // -------------------------------
+  function applyCommand(ctx, cmd) {
+    if (!cmd || ctx.r.gameOver) return;
+
+    switch (cmd.type) {
+      case "town": {
+        const town = townOf(ctx.r, cmd.town);
+        if (town && !town.state.gameOver) adoptTown(ctx, town, Engine.dispatch(town.state, cmd.command));
+        break;
+      }
+      case "ship":
+        ship(ctx, cmd);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function dispatch(region, command) {
+    const ctx = makeCtx(Engine.clone(region));
+    applyCommand(ctx, command);
+    return { state: ctx.r, logEntries: ctx.logEntries, events: ctx.events };
+  }
+
+  // One day for the whole region: towns in map order and the verdict, then overnight
+  // the caravans due arrive and region events strike.
+  function step(region, commands = []) {
+    const ctx = makeCtx(Engine.clone(region));
+    const r = ctx.r;
+    for (const cmd of commands) applyCommand(ctx, cmd);
+    const rows = {};
+    if (r.gameOver) return { state: r, logEntries: ctx.logEntries, events: ctx.events, rows };
+
+    for (const town of r.towns) {
+      if (town.state.gameOver) continue;
+      const result = Engine.step(town.state, []);
+      adoptTown(ctx, town, result);
+      if (result.row) rows[town.key] = result.row;
+    }
+    checkRegion(ctx);
+    if (!r.gameOver) {
+      r.day += 1;
+      deliverShipments(ctx);
+      maybeRegionEvent(ctx);
+    }
+
+    return { state: r, logEntries: ctx.logEntries, events: ctx.events, rows };
+  }
+
+  // -------------------------------
+  // Presentation
+  // -------------------------------
+  // { key, name, description, day, winDay, minTowns, standing, towns, routes, shipments }
+  function describeRegion(r) {
+    const def = regionDef(r);
+    const C = regionCfg(r);
+    return {
+      key: r.region,
+      name: def.name,
+      description: def.description || "",
+      day: r.day,
+      winDay: C.WIN_DAY,
+      minTowns: C.MIN_TOWNS,
+      standing: r.towns.filter((t) => !fallen(t)).length,
+      towns: r.towns.map((t) => {
+        const d = townDef(r, t.key);
+        const s = t.state;
+        return {
+          key: t.key,
+          name: d.name,
+          x: d.x,
+          y: d.y,
+          pop: s.pop,
+          food: s.food,
+          wood: s.wood,
+          tools: s.tools,
+          stability: s.stability,
+          fallen: fallen(t),
+          eventWaiting: !!s.activeEvent,
+        };
+      }),
+      routes: def.routes.map((x) => ({ ...x })),
+      shipments: r.shipments.map((x) => {
+        const days = routeBetween(r, x.from, x.to)?.days || 1;
+        return { ...x, fromName: townName(r, x.from), toName: townName(r, x.to), daysLeft: x.arrives - r.day, progress: 1 - (x.arrives - r.day) / days };
+      }),
+    };
+  }
+
+  // -------------------------------
+  // Recording / replay
+  // -------------------------------
+  const RECORDING_VERSION = 1;
+
+  function createRecording(region) {
+    return { version: RECORDING_VERSION, start: Engine.clone(region), commands: [] };
+  }
+
+  // Same frames as Engine.replay(), with region states and step()'s rows.
+  function replay(recording) {
+    if (!recording || !recording.start || !Array.isArray(recording.start.towns) || !Array.isArray(recording.commands)) {
+      throw new Error("Not a Governance MPL region recording.");
+    }
+
+    let r = Engine.clone(recording.start);
+    const frames = [{ day: r.day, state: r, logEntries: [], rows: {} }];
+    let pendingLog = [];
+
+    for (const entry of recording.commands) {
+      const cmd = entry.cmd;
+      const result = cmd && cmd.type === "endDay" ? step(r, []) : dispatch(r, cmd);
+      r = result.state;
+      pendingLog = pendingLog.concat(result.logEntries);
+      if (cmd && cmd.type === "endDay") {
+        frames.push({ day: r.day, state: r, logEntries: pendingLog, rows: result.rows });
+        pendingLog = [];
+      }
+    }
+
+    if (r !== frames[frames.length - 1].state) {
+      frames.push({ day: r.day, state: r, logEntries: pendingLog, rows: {} });
+    }
+    return frames;
+  }
+
+  return {
+    REGION_CONFIG,
+    REGIONS,
+    DEFAULT_REGION,
+    REGION_EVENTS,
+    TOWN_EVENTS,
+    createRegion,
+    step,
+    dispatch,
+    createRecording,
+    replay,
+    // read-only helpers for views and tooling
+    regionCfg,
+    townName,
+    quoteShipment,
+    describeRegion,
+    validateRegions,
+    validateRegionEvents,
+  };
+});
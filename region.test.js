@@ -0,0 +1,175 @@
+// Governance MPL region tests - several towns on one day clock, run headless
+// Node:  node --test            (or: node region.test.js)
+//
+// Runs are played the way game.js plays them: an agent from agents.js decides for
+// every standing town, each command is dispatched and recorded, and an endDay entry
+// closes the day.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Engine = require("./engine.js");
+const Region = require("./region.js");
+const Agents = require("./agents.js");
+
+const SEED = 12345;
+
+// -------------------------------
+// Helpers
+// -------------------------------
+// Plays `days` days of a region, sending a caravan of food on day 3.
+// Returns { state, recording, rows } (rows: { town: history rows }).
+function playRegion(seed, days, region = "valley", strategy = "foodFirst") {
+  const agent = Agents.AGENTS[strategy];
+  let r = Region.createRegion({}, seed, region);
+  const recording = Region.createRecording(r);
+  const rows = Object.fromEntries(r.towns.map((t) => [t.key, []]));
+  const send = (cmd) => {
+    recording.commands.push({ t: 0, day: r.day, cmd });
+    r = Region.dispatch(r, cmd).state;
+  };
+
+  for (let i = 0; i < days && !r.gameOver; i++) {
+    for (const town of r.towns) {
+      if (town.state.gameOver) continue;
+      for (const cmd of Agents.decide(agent, town.state)) send({ type: "town", town: town.key, command: cmd });
+    }
+    if (r.day === 3) send({ type: "ship", from: r.towns[0].key, to: r.towns[1].key, cargo: "food", amount: 10 });
+    recording.commands.push({ t: 0, day: r.day, cmd: { type: "endDay" } });
+    const result = Region.step(r, []);
+    r = result.state;
+    for (const [town, row] of Object.entries(result.rows)) rows[town].push(row);
+  }
+  return { state: r, recording, rows };
+}
+
+// -------------------------------
+// Region
+// -------------------------------
+test("createRegion: one engine game per town, on the region's day", () => {
+  const r = Region.createRegion({}, SEED, "valley");
+  assert.deepEqual(r, Region.createRegion({}, SEED, "valley"));
+  assert.deepEqual(r.towns.map((t) => t.key), Region.REGIONS.valley.towns.map((t) => t.key));
+  for (const t of r.towns) assert.equal(t.state.day, r.day);
+  assert.throws(() => Region.createRegion({}, SEED, "nowhere"), /Unknown region/);
+});
+
+test("step: two runs on one seed match, and every town keeps the region's day", () => {
+  const a = playRegion(SEED, 30);
+  const b = playRegion(SEED, 30);
+  assert.deepEqual(a.state, b.state);
+  assert.deepEqual(a.rows, b.rows);
+  for (const t of a.state.towns) {
+    if (!t.state.gameOver) assert.equal(t.state.day, a.state.day, t.key);
+  }
+});
+
+test("replay: lands on the live run with the same history rows", () => {
+  const live = playRegion(SEED, 30, "frontier");
+  const frames = Region.replay(JSON.parse(JSON.stringify(live.recording)));
+  assert.deepEqual(frames[frames.length - 1].state, live.state);
+  for (const [town, rows] of Object.entries(live.rows)) {
+    assert.deepEqual(frames.map((f) => f.rows[town]).filter(Boolean), rows, town);
+  }
+  assert.throws(() => Region.replay({ start: {}, commands: [] }), /Not a Governance MPL region recording/);
+});
+
+// -------------------------------
+// Caravans
+// -------------------------------
+test("ship: cargo leaves at once and arrives after the route's days", () => {
+  let r = Region.createRegion({}, SEED, "valley");
+  const [from, to] = r.towns;
+  const quote = Region.quoteShipment(r, from.key, to.key, "wood", 10);
+  assert.equal(quote.problem, null);
+
+  const sent = Region.dispatch(r, { type: "ship", from: from.key, to: to.key, cargo: "wood", amount: 10 });
+  r = sent.state;
+  assert.equal(r.towns[0].state.wood, from.state.wood - 10);
+  assert.ok(sent.events.some((e) => e.type === "shipmentSent" && e.arrives === 1 + quote.days));
+
+  let arrived = null;
+  for (let d = 0; d < quote.days && !arrived; d++) {
+    const result = Region.step(r, []);
+    r = result.state;
+    arrived = result.events.find((e) => e.type === "shipmentArrived");
+  }
+  assert.ok(arrived, "caravan arrived");
+  assert.equal(r.day, 1 + quote.days);
+  assert.equal(r.shipments.length, 0);
+});
+
+test("ship: refused to an unknown town or beyond the stock", () => {
+  const r = Region.createRegion({}, SEED, "valley");
+  const [from, to] = r.towns;
+  assert.match(Region.quoteShipment(r, from.key, "nowhere", "food", 5).problem, /Unknown town/);
+  assert.ok(Region.quoteShipment(r, from.key, to.key, "food", from.state.food + 1).problem);
+  const sent = Region.dispatch(r, { type: "ship", from: from.key, to: to.key, cargo: "food", amount: from.state.food + 1 });
+  assert.deepEqual(sent.state.shipments, []);
+});
+
+// -------------------------------
+// Validators
+// -------------------------------
+test("validators: the shipped regions and region events are sound", () => {
+  assert.deepEqual(Region.validateRegions(Region.REGIONS), []);
+  assert.deepEqual(Region.validateRegionEvents(Region.REGION_EVENTS), []);
+});
+
+test("validateRegions: rejects malformed regions", () => {
+  assert.ok(Region.validateRegions({ empty: { name: "Empty", towns: [], routes: [] } }).includes("empty: towns must be a non-empty list"));
+  const problems = Region.validateRegions({
+    broken: {
+      name: "Broken",
+      config: { NO_SUCH_KEY: 1 },
+      towns: [
+        { key: "a", name: "A", x: 10, y: 10, scenario: "boomtown" },
+        { key: "a", name: "A again", x: 150, y: 10, start: { gold: 1 } },
+      ],
+      routes: [{ from: "a", to: "b", days: 2, risk: 0.1 }],
+    },
+  });
+  for (const expected of [
+    'unknown region CONFIG key "NO_SUCH_KEY"',
+    'scenario "boomtown" has goals of its own',
+    'duplicate key "a"',
+    "x and y must be in [0, 100]",
+    'unknown state field "gold"',
+    "routes[0]: unknown town",
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+});
+
+test("validateRegionEvents: rejects malformed region events", () => {
+  const problems = Region.validateRegionEvents({
+    broken: { name: "Broken", reach: 2, seasons: ["monsoon"], weather: { key: "fog", days: [0, 1] } },
+    empty: { name: "Empty", reach: 0.5, log: "Nothing." },
+  });
+  for (const expected of [
+    "broken: missing log",
+    "reach must be in [0, 1]",
+    'unknown season "monsoon"',
+    'unknown weather "fog"',
+    "days must be [min, max]",
+    "empty: needs an event or a weather",
+  ]) {
+    assert.ok(problems.some((p) => p.includes(expected)), `${expected}\n${problems.join("\n")}`);
+  }
+});
+
+test("region events: every town hit gets the plague or the blight", () => {
+  let r = Region.createRegion({ EVENT_MIN_DAY: 1, EVENT_CHANCE: 1, EVENT_COOLDOWN: 100 }, SEED, "valley");
+  const result = Region.step(r, []);
+  r = result.state;
+  const ev = result.events.find((e) => e.type === "regionEvent");
+  assert.ok(ev, "a region event fired");
+  assert.ok(ev.towns.length >= 1);
+  for (const key of ev.towns) {
+    const s = r.towns.find((t) => t.key === key).state;
+    if (ev.key === "plague") assert.ok(s.scheduledEvents.some((x) => x.key === "PLAGUE"), key);
+    else assert.equal(s.weather.key, "blight", key);
+  }
+});